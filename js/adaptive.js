@@ -0,0 +1,129 @@
+// js/adaptive.js
+//
+// Adaptive practice: estimates a student's ability per topic with an Elo rating built from
+// their saved attempts (see progress-store.js) and picks the topic and difficulty for the
+// next generated set. Loaded as a plain script; exposes window.AdaptiveEngine.
+
+const AdaptiveEngine = (() => {
+  // Questions are treated as opponents with a fixed rating per difficulty level
+  const DIFFICULTY_RATINGS = { easy: 850, medium: 1000, hard: 1150 };
+  const DIFFICULTIES = ["easy", "medium", "hard"];
+  const START_RATING = 1000;
+  // Move fast while we know little about a topic, then settle down
+  const K_NEW = 48;
+  const K_SETTLED = 24;
+  const SETTLED_AFTER = 10;
+  // Aim for questions the student gets right about 70% of the time
+  const TARGET_SUCCESS = 0.7;
+  // Two misses in a row at the current level always step the difficulty back down
+  const MISS_STREAK_STEP_DOWN = 2;
+  // Extra priority for topics with little evidence, so every topic gets sampled
+  const EXPLORATION_BONUS = 0.3;
+  // A right answer counts for less the more help it took: by last hint level seen (the fourth
+  // shows the answer), and a guided walkthrough counts like the setup hint
+  const HINT_CREDIT = [1, 0.9, 0.75, 0.5, 0];
+  const GUIDED_CREDIT = 0.5;
+
+  function credit(attempt) {
+    if (!attempt.isCorrect) return 0;
+    const hinted = HINT_CREDIT[Math.min(attempt.hintLevel || 0, HINT_CREDIT.length - 1)];
+    return attempt.guided ? Math.min(hinted, GUIDED_CREDIT) : hinted;
+  }
+
+  function expectedScore(studentRating, itemRating) {
+    return 1 / (1 + Math.pow(10, (itemRating - studentRating) / 400));
+  }
+
+  // Replay attempts in order and return { [category]: { rating, attempts, missStreak, lastDifficulty } }
+  function estimateAbilities(attempts, subject) {
+    const topics = ProgressStore.CATEGORIES[subject]
+      .map(([category]) => category)
+      .filter((category) => category !== "other");
+    const abilities = {};
+    topics.forEach((category) => {
+      abilities[category] = { rating: START_RATING, attempts: 0, missStreak: 0, lastDifficulty: null };
+    });
+
+    attempts
+      .filter((a) => a.subject === subject && abilities[a.category])
+      .forEach((a) => {
+        const ability = abilities[a.category];
+        const difficulty = DIFFICULTY_RATINGS[a.difficulty] ? a.difficulty : "medium";
+        const k = ability.attempts < SETTLED_AFTER ? K_NEW : K_SETTLED;
+        const expected = expectedScore(ability.rating, DIFFICULTY_RATINGS[difficulty]);
+        ability.rating += k * (credit(a) - expected);
+        ability.attempts += 1;
+        ability.missStreak = a.isCorrect ? 0 : ability.missStreak + 1;
+        ability.lastDifficulty = difficulty;
+      });
+
+    return abilities;
+  }
+
+  // Chance of answering a question at each difficulty, given a rating
+  function successChances(rating) {
+    const chances = {};
+    DIFFICULTIES.forEach((difficulty) => {
+      chances[difficulty] = expectedScore(rating, DIFFICULTY_RATINGS[difficulty]);
+    });
+    return chances;
+  }
+
+  function pickDifficulty(ability) {
+    const chances = successChances(ability.rating);
+    let best = DIFFICULTIES[0];
+    DIFFICULTIES.forEach((difficulty) => {
+      if (Math.abs(chances[difficulty] - TARGET_SUCCESS) < Math.abs(chances[best] - TARGET_SUCCESS)) {
+        best = difficulty;
+      }
+    });
+
+    // Repeated misses mean the rating hasn't caught up yet; back off a level right away
+    if (ability.missStreak >= MISS_STREAK_STEP_DOWN && ability.lastDifficulty) {
+      const below = Math.max(0, DIFFICULTIES.indexOf(ability.lastDifficulty) - 1);
+      if (below < DIFFICULTIES.indexOf(best)) best = DIFFICULTIES[below];
+    }
+    return best;
+  }
+
+  // Weakest topic first, with a bonus for topics we have little evidence on
+  function recommend(attempts, subject) {
+    const abilities = estimateAbilities(attempts, subject);
+    const ranked = Object.entries(abilities)
+      .map(([category, ability]) => {
+        const mastery = expectedScore(ability.rating, DIFFICULTY_RATINGS.medium);
+        const priority = 1 - mastery + EXPLORATION_BONUS / Math.sqrt(1 + ability.attempts);
+        return { category, ability, mastery, priority };
+      })
+      .sort((a, b) => b.priority - a.priority);
+
+    const { category, ability, mastery } = ranked[0];
+    const difficulty = pickDifficulty(ability);
+    const label = ProgressStore.CATEGORIES[subject].find(([c]) => c === category)[1];
+
+    let reason;
+    if (ability.attempts === 0) {
+      reason = `${label} has no answers yet, so we're starting there.`;
+    } else if (ability.missStreak >= MISS_STREAK_STEP_DOWN) {
+      reason = `${ability.missStreak} misses in a row on ${label}; easing off to ${difficulty}.`;
+    } else {
+      reason = `${label} is the weakest area (about ${Math.round(mastery * 100)}% on medium questions).`;
+    }
+
+    return {
+      subject,
+      topic: category,
+      difficulty,
+      rating: Math.round(ability.rating),
+      successChance: successChances(ability.rating)[difficulty],
+      reason,
+    };
+  }
+
+  return {
+    DIFFICULTY_RATINGS,
+    estimateAbilities,
+    successChances,
+    recommend,
+  };
+})();
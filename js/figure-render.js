@@ -0,0 +1,285 @@
+// js/figure-render.js
+//
+// Draws a question's figure spec (see netlify/lib/figures.js for the shapes) as inline SVG.
+// Strokes and text use currentColor so the figure follows the page's colors, including high
+// contrast. The server's description is the figure's alt text. Loaded as a plain script;
+// exposes window.FigureRender.
+
+const FigureRender = (() => {
+  const SVG_NS = "http://www.w3.org/2000/svg";
+  const WIDTH = 320;
+  const HEIGHT = 240;
+  const MARGIN = 34;
+  // A number line only needs a strip
+  const NUMBER_LINE_HEIGHT = 80;
+
+  function svgEl(tag, attrs = {}, text) {
+    const node = document.createElementNS(SVG_NS, tag);
+    Object.entries(attrs).forEach(([name, value]) => node.setAttribute(name, value));
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  function label(x, y, text, attrs = {}) {
+    return svgEl("text", { x, y, "text-anchor": "middle", "dominant-baseline": "middle", class: "figure-label", ...attrs }, text);
+  }
+
+  function line(x1, y1, x2, y2, className = "figure-line") {
+    return svgEl("line", { x1, y1, x2, y2, class: className });
+  }
+
+  // Step between ticks so a span shows at most `maxTicks` of them: 1, 2, 5, 10, 20, 50...
+  function niceStep(span, maxTicks) {
+    const raw = span / maxTicks;
+    const magnitude = 10 ** Math.floor(Math.log10(raw));
+    return [1, 2, 5, 10].map((m) => m * magnitude).find((step) => step >= raw);
+  }
+
+  function format(value) {
+    return String(Math.round(value * 1000) / 1000).replace("-", "−");
+  }
+
+  // ---------------------------------------------------------------------
+  // One drawing function per figure type; each fills an <svg> sized WIDTH × HEIGHT
+  // ---------------------------------------------------------------------
+
+  function drawPolygon(svg, f) {
+    const xs = f.vertices.map((v) => v.x);
+    const ys = f.vertices.map((v) => v.y);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    const scale = Math.min((WIDTH - 2 * MARGIN) / (Math.max(...xs) - minX || 1), (HEIGHT - 2 * MARGIN) / (Math.max(...ys) - minY || 1));
+    // Centered, with y flipped so it points up
+    const offsetX = (WIDTH - (Math.max(...xs) - minX) * scale) / 2;
+    const offsetY = (HEIGHT - (Math.max(...ys) - minY) * scale) / 2;
+    const points = f.vertices.map((v) => ({ ...v, px: offsetX + (v.x - minX) * scale, py: HEIGHT - offsetY - (v.y - minY) * scale }));
+    const center = {
+      x: points.reduce((sum, p) => sum + p.px, 0) / points.length,
+      y: points.reduce((sum, p) => sum + p.py, 0) / points.length,
+    };
+    const byLabel = (name) => points.find((p) => p.label === name);
+    // Unit vector from `a` toward `b`
+    const toward = (a, b) => {
+      const length = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+      return { x: (b.x - a.x) / length, y: (b.y - a.y) / length };
+    };
+
+    svg.appendChild(svgEl("polygon", { points: points.map((p) => `${p.px},${p.py}`).join(" "), class: "figure-shape" }));
+
+    points.forEach((p, i) => {
+      const out = toward(center, { x: p.px, y: p.py });
+      if (p.label) svg.appendChild(label(p.px + out.x * 14, p.py + out.y * 14, p.label, { class: "figure-label figure-vertex" }));
+
+      const angle = f.angles.find((a) => a.at === p.label);
+      if (!angle) return;
+      const here = { x: p.px, y: p.py };
+      const prev = points[(i - 1 + points.length) % points.length];
+      const next = points[(i + 1) % points.length];
+      const a = toward(here, { x: prev.px, y: prev.py });
+      const b = toward(here, { x: next.px, y: next.py });
+      if (angle.right) {
+        const size = 10;
+        const corner = [
+          [p.px + a.x * size, p.py + a.y * size],
+          [p.px + (a.x + b.x) * size, p.py + (a.y + b.y) * size],
+          [p.px + b.x * size, p.py + b.y * size],
+        ];
+        svg.appendChild(svgEl("polyline", { points: corner.map((c) => c.join(",")).join(" "), class: "figure-line" }));
+      }
+      if (angle.label && !(angle.right && /^90/.test(angle.label))) {
+        const inward = toward(here, center);
+        svg.appendChild(label(p.px + inward.x * 28, p.py + inward.y * 28, angle.label));
+      }
+    });
+
+    f.sides.forEach((side) => {
+      const a = byLabel(side.from);
+      const b = byLabel(side.to);
+      if (!a || !b || !side.label) return;
+      const mid = { x: (a.px + b.px) / 2, y: (a.py + b.py) / 2 };
+      const out = toward(center, mid);
+      svg.appendChild(label(mid.x + out.x * 16, mid.y + out.y * 16, side.label));
+    });
+  }
+
+  function drawCircle(svg, f) {
+    const cx = WIDTH / 2;
+    const cy = HEIGHT / 2;
+    const r = HEIGHT / 2 - MARGIN / 2;
+    svg.appendChild(svgEl("circle", { cx, cy, r, class: "figure-shape" }));
+    svg.appendChild(svgEl("circle", { cx, cy, r: 2.5, class: "figure-dot" }));
+    if (f.center) svg.appendChild(label(cx - 10, cy + 12, f.center, { class: "figure-label figure-vertex" }));
+    if (f.diameter) {
+      svg.appendChild(line(cx - r, cy, cx + r, cy));
+      svg.appendChild(label(cx - r / 2, cy - 10, f.diameter));
+    }
+    if (f.radius) {
+      // Up and to the right, clear of a diameter
+      const end = { x: cx + r * Math.cos(Math.PI / 4), y: cy - r * Math.sin(Math.PI / 4) };
+      svg.appendChild(line(cx, cy, end.x, end.y));
+      svg.appendChild(label((cx + end.x) / 2 + 14, (cy + end.y) / 2 + 8, f.radius));
+    }
+  }
+
+  function drawCoordinatePlane(svg, f) {
+    const size = Math.min(WIDTH, HEIGHT) - MARGIN;
+    const spanX = f.xMax - f.xMin;
+    const spanY = f.yMax - f.yMin;
+    const unit = size / Math.max(spanX, spanY);
+    const left = (WIDTH - spanX * unit) / 2;
+    const top = (HEIGHT - spanY * unit) / 2;
+    const px = (x) => left + (x - f.xMin) * unit;
+    const py = (y) => top + (f.yMax - y) * unit;
+    const step = Math.max(1, niceStep(Math.max(spanX, spanY), 10));
+
+    for (let x = f.xMin; x <= f.xMax; x++) svg.appendChild(line(px(x), py(f.yMin), px(x), py(f.yMax), "figure-grid"));
+    for (let y = f.yMin; y <= f.yMax; y++) svg.appendChild(line(px(f.xMin), py(y), px(f.xMax), py(y), "figure-grid"));
+
+    const axisY = Math.min(Math.max(0, f.yMin), f.yMax);
+    const axisX = Math.min(Math.max(0, f.xMin), f.xMax);
+    svg.appendChild(line(px(f.xMin), py(axisY), px(f.xMax), py(axisY), "figure-axis"));
+    svg.appendChild(line(px(axisX), py(f.yMin), px(axisX), py(f.yMax), "figure-axis"));
+    svg.appendChild(label(px(f.xMax) + 8, py(axisY), "x", { class: "figure-label figure-var" }));
+    svg.appendChild(label(px(axisX), py(f.yMax) - 8, "y", { class: "figure-label figure-var" }));
+    for (let x = Math.ceil(f.xMin / step) * step; x <= f.xMax; x += step) {
+      if (x !== axisX) svg.appendChild(label(px(x), py(axisY) + 10, format(x), { class: "figure-tick" }));
+    }
+    for (let y = Math.ceil(f.yMin / step) * step; y <= f.yMax; y += step) {
+      if (y !== axisY) svg.appendChild(label(px(axisX) - 10, py(y), format(y), { class: "figure-tick" }));
+    }
+
+    const byLabel = (name) => f.points.find((p) => p.label === name);
+    f.segments.forEach((s) => {
+      const a = byLabel(s.from);
+      const b = byLabel(s.to);
+      if (a && b) svg.appendChild(line(px(a.x), py(a.y), px(b.x), py(b.y)));
+    });
+    f.points.forEach((p) => {
+      svg.appendChild(svgEl("circle", { cx: px(p.x), cy: py(p.y), r: 3.5, class: "figure-dot" }));
+      if (p.label) svg.appendChild(label(px(p.x) + 9, py(p.y) - 9, p.label, { class: "figure-label figure-vertex" }));
+    });
+  }
+
+  function drawNumberLine(svg, f) {
+    const y = NUMBER_LINE_HEIGHT / 2 - 4;
+    const left = MARGIN;
+    const right = WIDTH - MARGIN;
+    const px = (value) => left + ((value - f.min) / (f.max - f.min)) * (right - left);
+    // Only label every tick when they have room
+    const ticks = Math.round((f.max - f.min) / f.step);
+    const labelEvery = Math.ceil(ticks / 10);
+
+    svg.appendChild(line(left - 14, y, right + 14, y));
+    svg.appendChild(svgEl("polygon", { points: `${left - 20},${y} ${left - 12},${y - 5} ${left - 12},${y + 5}`, class: "figure-arrow" }));
+    svg.appendChild(svgEl("polygon", { points: `${right + 20},${y} ${right + 12},${y - 5} ${right + 12},${y + 5}`, class: "figure-arrow" }));
+    for (let i = 0; i <= ticks; i++) {
+      const value = f.min + i * f.step;
+      svg.appendChild(line(px(value), y - 6, px(value), y + 6));
+      if (i % labelEvery === 0) svg.appendChild(label(px(value), y + 20, format(value), { class: "figure-tick" }));
+    }
+
+    f.ranges.forEach((r) => svg.appendChild(line(px(r.from), y, px(r.to), y, "figure-range")));
+    f.points.forEach((p) => {
+      svg.appendChild(svgEl("circle", { cx: px(p.value), cy: y, r: 5, class: p.open ? "figure-dot figure-open" : "figure-dot" }));
+      if (p.label) svg.appendChild(label(px(p.value), y - 18, p.label));
+    });
+  }
+
+  function drawBarChart(svg, f) {
+    const left = MARGIN + 16;
+    const right = WIDTH - 10;
+    const top = f.title ? 34 : 14;
+    const bottom = HEIGHT - (f.xLabel ? 42 : 26);
+    const step = niceStep(Math.max(...f.bars.map((b) => b.value), 1), 5);
+    const max = Math.ceil(Math.max(...f.bars.map((b) => b.value), 1) / step) * step;
+    const py = (value) => bottom - (value / max) * (bottom - top);
+
+    if (f.title) svg.appendChild(label(WIDTH / 2, 14, f.title, { class: "figure-label figure-title" }));
+    for (let value = 0; value <= max; value += step) {
+      svg.appendChild(line(left, py(value), right, py(value), "figure-grid"));
+      svg.appendChild(label(left - 14, py(value), format(value), { class: "figure-tick" }));
+    }
+
+    const slot = (right - left) / f.bars.length;
+    f.bars.forEach((bar, i) => {
+      const x = left + i * slot + slot * 0.2;
+      svg.appendChild(svgEl("rect", { x, y: py(bar.value), width: slot * 0.6, height: bottom - py(bar.value), class: "figure-bar" }));
+      svg.appendChild(label(x + slot * 0.3, bottom + 12, bar.label, { class: "figure-tick" }));
+    });
+    svg.appendChild(line(left, bottom, right, bottom, "figure-axis"));
+    svg.appendChild(line(left, top, left, bottom, "figure-axis"));
+    if (f.xLabel) svg.appendChild(label((left + right) / 2, HEIGHT - 10, f.xLabel));
+    if (f.yLabel) {
+      const x = 12;
+      const y = (top + bottom) / 2;
+      svg.appendChild(label(x, y, f.yLabel, { transform: `rotate(-90 ${x} ${y})` }));
+    }
+  }
+
+  const DRAW = {
+    polygon: drawPolygon,
+    circle: drawCircle,
+    "coordinate-plane": drawCoordinatePlane,
+    "number-line": drawNumberLine,
+    "bar-chart": drawBarChart,
+  };
+
+  // Tables stay real tables, which screen readers can move through cell by cell
+  function renderTable(f) {
+    const table = document.createElement("table");
+    table.className = "figure-table";
+    if (f.title) {
+      const caption = document.createElement("caption");
+      caption.textContent = f.title;
+      table.appendChild(caption);
+    }
+    const head = document.createElement("tr");
+    f.columns.forEach((column) => {
+      const th = document.createElement("th");
+      th.scope = "col";
+      th.textContent = column;
+      head.appendChild(th);
+    });
+    table.createTHead().appendChild(head);
+    const body = table.createTBody();
+    f.rows.forEach((row) => {
+      const tr = document.createElement("tr");
+      row.forEach((cell) => {
+        const td = document.createElement("td");
+        td.textContent = cell;
+        tr.appendChild(td);
+      });
+      body.appendChild(tr);
+    });
+    return table;
+  }
+
+  // The figure as an element to put under the question, or null for a spec it can't draw
+  function render(figure) {
+    if (!figure || (figure.type !== "table" && !DRAW[figure.type])) return null;
+    const wrapper = document.createElement("figure");
+    wrapper.className = "figure";
+
+    if (figure.type === "table") {
+      wrapper.appendChild(renderTable(figure));
+    } else {
+      const height = figure.type === "number-line" ? NUMBER_LINE_HEIGHT : HEIGHT;
+      const svg = svgEl("svg", { viewBox: `0 0 ${WIDTH} ${height}`, role: "img", class: "figure-svg" });
+      svg.setAttribute("aria-label", figure.description || "Figure");
+      svg.appendChild(svgEl("title", {}, figure.description || "Figure"));
+      DRAW[figure.type](svg, figure);
+      wrapper.appendChild(svg);
+    }
+
+    if (figure.notToScale) {
+      const note = document.createElement("figcaption");
+      note.textContent = "Note: Figure not drawn to scale.";
+      wrapper.appendChild(note);
+    }
+    return wrapper;
+  }
+
+  return {
+    render,
+  };
+})();
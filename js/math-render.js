@@ -0,0 +1,253 @@
+// js/math-render.js
+//
+// Inline math in question text. Anything between \( and \) is a small TeX subset:
+//   \frac{a}{b}  x^{2} or x^2  x_{1}  \sqrt{x}  \sqrt[3]{x}  \pi  \times  \div  \cdot  \pm
+//   \le  \ge  \ne  \approx  \degree  \%  \$  \text{...}  \left( \right)
+// and is drawn with plain HTML and CSS (no fonts or scripts to fetch). Each formula carries a
+// spoken label for screen readers. Loaded as a plain script; exposes window.MathRender.
+
+const MathRender = (() => {
+  const SYMBOLS = {
+    pi: ["π", "pi"],
+    times: ["×", "times"],
+    cdot: ["·", "times"],
+    div: ["÷", "divided by"],
+    pm: ["±", "plus or minus"],
+    le: ["≤", "is less than or equal to"],
+    leq: ["≤", "is less than or equal to"],
+    ge: ["≥", "is greater than or equal to"],
+    geq: ["≥", "is greater than or equal to"],
+    ne: ["≠", "is not equal to"],
+    neq: ["≠", "is not equal to"],
+    approx: ["≈", "is approximately"],
+    degree: ["°", "degrees"],
+    circ: ["°", "degrees"],
+    "%": ["%", "percent"],
+    $: ["$", "dollars"],
+    ",": [" ", ""],
+    ";": [" ", ""],
+    " ": [" ", ""],
+    "{": ["{", ""],
+    "}": ["}", ""],
+  };
+  const SPOKEN_CHARS = { "+": "plus", "-": "minus", "−": "minus", "=": "equals", "<": "is less than", ">": "is greater than", "/": "divided by" };
+  // Commands that only size brackets; the bracket itself follows as plain text
+  const IGNORED = ["left", "right", "big", "Big"];
+
+  // ---------------------------------------------------------------------
+  // Parsing: markup -> a small tree of { type, ... } nodes
+  // ---------------------------------------------------------------------
+
+  function parse(src) {
+    let pos = 0;
+
+    function command() {
+      pos++; // the backslash
+      const m = /^[a-zA-Z]+/.exec(src.slice(pos));
+      const name = m ? m[0] : src[pos] || "";
+      pos += name.length;
+
+      if (name === "frac") return { type: "frac", num: argument(), den: argument() };
+      if (name === "sqrt") {
+        let index = null;
+        if (src[pos] === "[") {
+          const end = src.indexOf("]", pos);
+          index = end === -1 ? null : parse(src.slice(pos + 1, end));
+          pos = end === -1 ? pos : end + 1;
+        }
+        return { type: "sqrt", index, body: argument() };
+      }
+      if (name === "text") {
+        const body = argument();
+        return { type: "text", value: plain(body) };
+      }
+      if (IGNORED.includes(name)) return { type: "seq", children: [] };
+      if (SYMBOLS[name]) return { type: "symbol", glyph: SYMBOLS[name][0], spoken: SYMBOLS[name][1] };
+      return { type: "text", value: name };
+    }
+
+    // One argument: a {group}, a \command, or a single character
+    function argument() {
+      while (src[pos] === " ") pos++;
+      if (src[pos] === "{") {
+        pos++;
+        const group = sequence("}");
+        pos++; // the closing brace
+        return group;
+      }
+      if (src[pos] === "\\") return command();
+      const ch = src[pos++] || "";
+      return { type: "text", value: ch };
+    }
+
+    function sequence(stop) {
+      const children = [];
+      while (pos < src.length && src[pos] !== stop) {
+        const ch = src[pos];
+        if (ch === "\\") {
+          children.push(command());
+        } else if (ch === "{") {
+          children.push(argument());
+        } else if (ch === "^" || ch === "_") {
+          pos++;
+          children.push({ type: ch === "^" ? "sup" : "sub", body: argument() });
+        } else {
+          const last = children[children.length - 1];
+          if (last && last.type === "text") last.value += ch;
+          else children.push({ type: "text", value: ch });
+          pos++;
+        }
+      }
+      return { type: "seq", children };
+    }
+
+    return sequence(null);
+  }
+
+  function plain(node) {
+    if (node.type === "text") return node.value;
+    if (node.type === "seq") return node.children.map(plain).join("");
+    return "";
+  }
+
+  // ---------------------------------------------------------------------
+  // Drawing and speaking a tree
+  // ---------------------------------------------------------------------
+
+  function el(tag, className, children = []) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    children.forEach((child) => node.appendChild(child));
+    return node;
+  }
+
+  // Single letters are variables and set in italics, as in print
+  function drawText(value) {
+    const frag = document.createDocumentFragment();
+    value.split(/(\b[a-zA-Z]\b)/).forEach((part, i) => {
+      if (!part) return;
+      if (i % 2) {
+        frag.appendChild(el("i", "math-var", [document.createTextNode(part)]));
+      } else {
+        frag.appendChild(document.createTextNode(part.replace(/-/g, "−").replace(/\*/g, "×")));
+      }
+    });
+    return frag;
+  }
+
+  function draw(node) {
+    switch (node.type) {
+      case "seq": {
+        const frag = document.createDocumentFragment();
+        node.children.forEach((child) => frag.appendChild(draw(child)));
+        return frag;
+      }
+      case "text":
+        return drawText(node.value);
+      case "symbol":
+        return document.createTextNode(node.glyph);
+      case "frac":
+        return el("span", "math-frac", [el("span", "math-num", [draw(node.num)]), el("span", "math-den", [draw(node.den)])]);
+      case "sup":
+        return el("sup", "", [draw(node.body)]);
+      case "sub":
+        return el("sub", "", [draw(node.body)]);
+      case "sqrt":
+        return el("span", "math-sqrt", [
+          ...(node.index ? [el("sup", "math-root-index", [draw(node.index)])] : []),
+          el("span", "math-radical", [document.createTextNode("√")]),
+          el("span", "math-radicand", [draw(node.body)]),
+        ]);
+      default:
+        return document.createDocumentFragment();
+    }
+  }
+
+  // A lone number or variable can be read without saying where it ends
+  function isSimple(node) {
+    const plainOnly = node.type === "text" || (node.type === "seq" && node.children.every((c) => c.type === "text"));
+    return plainOnly && /^[\w.]+$/.test(plain(node).trim());
+  }
+
+  function speakText(value) {
+    return value
+      .split("")
+      .map((ch) => (SPOKEN_CHARS[ch] ? ` ${SPOKEN_CHARS[ch]} ` : ch))
+      .join("");
+  }
+
+  function speak(node) {
+    switch (node.type) {
+      case "seq":
+        return node.children.map(speak).join(" ");
+      case "text":
+        return speakText(node.value);
+      case "symbol":
+        return ` ${node.spoken} `;
+      case "frac":
+        return isSimple(node.num) && isSimple(node.den)
+          ? `${speak(node.num)} over ${speak(node.den)}`
+          : `the fraction ${speak(node.num)} over ${speak(node.den)}, end fraction`;
+      case "sup": {
+        const power = plain(node.body).trim();
+        if (power === "2") return " squared";
+        if (power === "3") return " cubed";
+        return ` to the power of ${speak(node.body)}`;
+      }
+      case "sub":
+        return ` sub ${speak(node.body)}`;
+      case "sqrt": {
+        const root = node.index ? plain(node.index).trim() : "";
+        const kind = root === "3" ? "cube root" : root ? `root ${speak(node.index)}` : "square root";
+        return isSimple(node.body) ? `the ${kind} of ${speak(node.body)}` : `the ${kind} of ${speak(node.body)}, end root`;
+      }
+      default:
+        return "";
+    }
+  }
+
+  // ---------------------------------------------------------------------
+  // Public helpers
+  // ---------------------------------------------------------------------
+
+  const MATH_PATTERN = /\\\(([\s\S]*?)\\\)/g;
+
+  function tidy(text) {
+    return text.replace(/\s+/g, " ").trim();
+  }
+
+  // One formula as an element that reads as a single spoken phrase
+  function formula(src) {
+    const tree = parse(src);
+    const span = el("span", "math", [draw(tree)]);
+    span.setAttribute("role", "img");
+    span.setAttribute("aria-label", tidy(speak(tree)));
+    return span;
+  }
+
+  // Replace `container`'s contents with `text`, drawing any \( ... \) formulas. Everything else
+  // goes in as plain text nodes, so question text is never treated as HTML.
+  function render(container, text) {
+    container.textContent = "";
+    const source = String(text ?? "");
+    let last = 0;
+    source.replace(MATH_PATTERN, (match, src, offset) => {
+      if (offset > last) container.appendChild(document.createTextNode(source.slice(last, offset)));
+      container.appendChild(formula(src));
+      last = offset + match.length;
+      return match;
+    });
+    if (last < source.length) container.appendChild(document.createTextNode(source.slice(last)));
+    return container;
+  }
+
+  // `text` as a screen reader should say it, for labels that can't hold markup
+  function toSpeech(text) {
+    return tidy(String(text ?? "").replace(MATH_PATTERN, (_, src) => ` ${speak(parse(src))} `));
+  }
+
+  return {
+    render,
+    toSpeech,
+  };
+})();
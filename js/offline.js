@@ -0,0 +1,132 @@
+// js/offline.js
+//
+// Practice without a connection. A pack from the packs function is a batch of verified
+// questions with their answer keys in the clear, kept in ProgressStore until they are served,
+// so a set can be dealt and graded on the device; each question is served once. Requests that
+// need the server, like a worksheet submission, wait in an outbox and go out in order once the
+// connection is back. Loaded as a plain script; exposes window.Offline.
+
+const Offline = (() => {
+  const SUBJECTS = ["math", "ela"];
+  // What a typed grid-in may be, as check-answer reads it
+  const GRID_PATTERN = /^-?(\d+\s+\d+\s*\/\s*\d+|\d+\s*\/\s*\d+|\d+\.?\d*|\.\d+)$/;
+  // The server takes at most this many ids to skip
+  const MAX_EXCLUDE_IDS = 5000;
+
+  // Download a pack for `params` (a generate request) and store it. Resolves to the number of
+  // questions added; questions already on the device or already answered are skipped.
+  async function download(params, headers = {}) {
+    const stored = await ProgressStore.packQuestionIds();
+    const res = await fetch("/.netlify/functions/packs", {
+      method: "POST",
+      headers: { ...headers, "Content-Type": "application/json" },
+      body: JSON.stringify({ ...params, excludeIds: [...(params.excludeIds || []), ...stored].slice(-MAX_EXCLUDE_IDS) }),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      const err = new Error((data.problems || []).join("; ") || data.error || "Server error " + res.status);
+      err.status = res.status;
+      throw err;
+    }
+    const downloadedAt = new Date().toISOString();
+    // A pack can hold the same question twice (two templates drawing the same numbers)
+    const fresh = data.questions.filter((q, i) => !stored.includes(q.id) && data.questions.findIndex((other) => other.id === q.id) === i);
+    await ProgressStore.savePackQuestions(fresh.map((q) => ({ ...q, downloadedAt })));
+    return fresh.length;
+  }
+
+  // Up to `count` stored questions for a set, oldest first, matching `format` when given; they
+  // leave the pack as they are served
+  async function take({ subject, count, format = null }) {
+    const questions = (await ProgressStore.listPackQuestions(subject))
+      .filter((q) => !format || (q.format || "multiple-choice") === format)
+      .slice(0, count);
+    await ProgressStore.deletePackQuestions(questions.map((q) => q.id));
+    return questions.map(({ downloadedAt, ...q }) => q);
+  }
+
+  // { math, ela }: questions waiting on the device
+  async function counts() {
+    const entries = await Promise.all(SUBJECTS.map(async (subject) => [subject, (await ProgressStore.listPackQuestions(subject)).length]));
+    return Object.fromEntries(entries);
+  }
+
+  // A typed grid-in as an exact fraction of BigInts, or null
+  function gridFraction(text) {
+    const clean = String(text).replace(/[−–]/g, "-").replace(/,/g, "").trim();
+    if (!GRID_PATTERN.test(clean)) return null;
+    const sign = clean.startsWith("-") ? -1n : 1n;
+    const body = clean.replace(/^-/, "");
+    let m = body.match(/^(\d+)\s+(\d+)\s*\/\s*(\d+)$/);
+    // "3/00" is a zero denominator too, so the numbers are tested, not the digits
+    if (m) return BigInt(m[3]) === 0n ? null : { n: sign * (BigInt(m[1]) * BigInt(m[3]) + BigInt(m[2])), d: BigInt(m[3]) };
+    m = body.match(/^(\d+)\s*\/\s*(\d+)$/);
+    if (m) return BigInt(m[2]) === 0n ? null : { n: sign * BigInt(m[1]), d: BigInt(m[2]) };
+    const [whole, decimals = ""] = body.split(".");
+    return { n: sign * BigInt((whole || "0") + decimals), d: 10n ** BigInt(decimals.length) };
+  }
+
+  // Grade `response` (a choice index, or the typed grid-in) against a pack question's key.
+  // Returns what check-answer would reply.
+  function grade(q, response) {
+    const key = q.offlineKey;
+    let result;
+    if (q.format === "grid-in") {
+      const typed = gridFraction(response);
+      const n = BigInt(key.value.n);
+      const d = BigInt(key.value.d);
+      result = { isCorrect: !!typed && typed.n * d === n * typed.d, correctAnswer: key.correctAnswer, solution: key.solution };
+    } else {
+      result = { correctIndex: key.correctIndex, isCorrect: response === key.correctIndex, solution: key.solution };
+      const picked = !result.isCorrect && key.misconceptions ? key.misconceptions[response] : null;
+      if (picked) result.misconception = picked;
+    }
+    if (key.translatedSolution) result.translatedSolution = key.translatedSolution;
+    return result;
+  }
+
+  // Keep `request` ({ kind, url, body, label }) until it can be sent
+  function queue(request) {
+    return ProgressStore.queueRequest(request);
+  }
+
+  // Send what the outbox holds, oldest first. Resolves to [{ request, data } | { request, error }]
+  // for each request the server answered; a refused one is dropped with its error. Stops at the
+  // first that doesn't get through, which stays queued with everything after it.
+  async function flush(headers = {}) {
+    const sent = [];
+    const waiting = (await ProgressStore.listQueuedRequests()).sort((a, b) => a.id - b.id);
+    for (const request of waiting) {
+      let res;
+      try {
+        res = await fetch(request.url, {
+          method: "POST",
+          headers: { ...headers, "Content-Type": "application/json" },
+          body: JSON.stringify(request.body),
+        });
+      } catch (err) {
+        break;
+      }
+      // A server error or rate limit may pass; anything else will be refused again
+      if (res.status >= 500 || res.status === 429) break;
+      const data = await res.json().catch(() => ({}));
+      await ProgressStore.deleteQueuedRequest(request.id);
+      sent.push(res.ok ? { request, data } : { request, error: (data.problems || []).join("; ") || data.error || "Refused" });
+    }
+    return sent;
+  }
+
+  async function pending() {
+    return (await ProgressStore.listQueuedRequests()).length;
+  }
+
+  return {
+    download,
+    take,
+    counts,
+    grade,
+    queue,
+    flush,
+    pending,
+  };
+})();
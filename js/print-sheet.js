@@ -0,0 +1,257 @@
+// js/print-sheet.js
+//
+// Print-ready copies of a question set. Both copies number the questions and lay each passage
+// out once, ahead of its questions. The student copy ends with an answer sheet (bubbles for
+// multiple choice, SHSAT-style grids for grid-ins); the teacher copy ends with the answer key
+// and worked solutions instead. The copy is a standalone HTML document with its own styles, so
+// it prints (or saves as PDF) the same from any browser and can be downloaded as a file.
+// Loaded as a plain script after math-render.js and figure-render.js; exposes window.PrintSheet.
+
+const PrintSheet = (() => {
+  const LETTERS = ["A", "B", "C", "D"];
+  // Five columns, like the test: a minus sign fits only in the first
+  const GRID_COLUMNS = 5;
+  const GRID_SYMBOLS = [".", "0", "1", "2", "3", "4", "5", "6", "7", "8", "9"];
+  // A download starts after click() returns, so its file URL has to outlive the call
+  const REVOKE_DELAY_MS = 60 * 1000;
+
+  const STYLES = `
+    body { font-family: Georgia, "Times New Roman", serif; color: #000; background: #fff; margin: 24px; font-size: 12pt; }
+    .toolbar { margin-bottom: 18px; font-family: system-ui, sans-serif; }
+    .toolbar button, .toolbar a { margin-right: 8px; font-size: 11pt; }
+    header { border-bottom: 2px solid #000; margin-bottom: 16px; }
+    h1 { font-size: 18pt; margin: 0 0 4px; }
+    h2 { font-size: 14pt; margin: 0 0 10px; }
+    .copy { font-size: 10pt; text-transform: uppercase; letter-spacing: 0.1em; }
+    .name-line { margin: 10px 0; }
+    .passage { border: 1px solid #000; padding: 10px 14px; margin: 0 0 14px; break-inside: avoid-page; }
+    .passage h3 { margin: 0 0 8px; font-size: 12pt; }
+    .passage p, .passage .line { margin: 0 0 6px; padding-left: 2.2em; text-indent: -2.2em; }
+    .passage .stanza-break { height: 0.6em; }
+    .passage .num { display: inline-block; width: 2.2em; text-indent: 0; font-size: 9pt; }
+    .question { margin: 0 0 16px; break-inside: avoid; }
+    .question-number { font-weight: bold; margin-right: 6px; }
+    .choices { list-style: none; margin: 6px 0 0; padding-left: 1.6em; }
+    .choices li { margin: 2px 0; }
+    .grid-note { font-style: italic; margin-top: 4px; }
+    .page { break-before: page; }
+    .answer-sheet { display: flex; flex-wrap: wrap; gap: 12px 28px; }
+    .bubble-row { display: flex; align-items: center; gap: 6px; min-width: 190px; }
+    .n { width: 2em; text-align: right; font-weight: bold; }
+    .bubble { display: inline-flex; width: 1.4em; height: 1.4em; border: 1px solid #000; border-radius: 50%; align-items: center; justify-content: center; font-size: 8pt; }
+    .grid { display: flex; gap: 6px; align-items: flex-start; }
+    .grid table { border-collapse: collapse; }
+    .grid td { padding: 1px 2px; text-align: center; }
+    .grid .box { width: 1.5em; height: 1.5em; border: 1px solid #000; }
+    .key { width: 100%; border-collapse: collapse; }
+    .key th, .key td { border-bottom: 1px solid #999; padding: 6px; text-align: left; vertical-align: top; }
+    .key .answer { font-weight: bold; white-space: nowrap; }
+    .math { white-space: nowrap; }
+    .math-var { font-style: italic; }
+    .math-frac { display: inline-flex; flex-direction: column; vertical-align: middle; text-align: center; font-size: 0.85em; margin: 0 0.1em; }
+    .math-den { border-top: 1px solid currentColor; }
+    .math-sqrt { display: inline-flex; align-items: baseline; }
+    .math-radicand { border-top: 1px solid currentColor; padding: 0 0.1em; }
+    .math-root-index { font-size: 0.6em; margin-right: -0.3em; }
+    .figure { margin: 8px 0; }
+    .figure-svg { width: 280px; max-width: 100%; height: auto; color: #000; }
+    .figure-shape, .figure-line, .figure-axis { fill: none; stroke: currentColor; stroke-width: 1.5; }
+    .figure-grid { stroke: #ccc; stroke-width: 1; }
+    .figure-range { stroke: #000; stroke-width: 4; }
+    .figure-bar { fill: #888; }
+    .figure-dot, .figure-arrow { fill: currentColor; stroke: currentColor; }
+    .figure-dot.figure-open { fill: #fff; }
+    .figure-label { fill: currentColor; font-size: 13px; }
+    .figure-vertex, .figure-var { font-style: italic; font-size: 15px; }
+    .figure-tick { fill: currentColor; font-size: 11px; }
+    .figure-title { font-weight: bold; }
+    .figure figcaption { font-size: 9pt; }
+    .figure-table { border-collapse: collapse; }
+    .figure-table th, .figure-table td { border: 1px solid #000; padding: 3px 8px; }
+    @media print { .toolbar { display: none; } body { margin: 0; } }
+  `;
+
+  function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  function mathEl(tag, className, text) {
+    return MathRender.render(el(tag, className), text);
+  }
+
+  // Numbered the way the questions refer to it: every non-blank line of a poem, otherwise paragraphs
+  function passageBlock(passage) {
+    const block = el("section", "passage");
+    if (passage.title) block.appendChild(el("h3", "", passage.title));
+    const numbered = (tag, className, n, text) => {
+      const row = el(tag, className);
+      row.appendChild(el("span", "num", String(n)));
+      row.appendChild(document.createTextNode(text));
+      return row;
+    };
+
+    if (passage.numbering === "line") {
+      let lineNo = 0;
+      passage.text.split("\n").forEach((text) => {
+        block.appendChild(text.trim() ? numbered("div", "line", ++lineNo, text) : el("div", "stanza-break"));
+      });
+    } else {
+      passage.text.split("\n\n").forEach((text, i) => block.appendChild(numbered("p", "", i + 1, text)));
+    }
+    return block;
+  }
+
+  function questionBlock(q, number) {
+    const block = el("div", "question");
+    const prompt = el("div");
+    prompt.appendChild(el("span", "question-number", `${number}.`));
+    prompt.appendChild(mathEl("span", "", q.prompt));
+    block.appendChild(prompt);
+
+    const figure = q.figure ? FigureRender.render(q.figure) : null;
+    if (figure) block.appendChild(figure);
+
+    if (q.format === "grid-in") {
+      block.appendChild(el("div", "grid-note", "Grid your answer on the answer sheet."));
+      return block;
+    }
+    const list = el("ol", "choices");
+    (q.choices || []).forEach((choice, i) => {
+      const item = el("li");
+      item.appendChild(el("strong", "", `${LETTERS[i]}. `));
+      item.appendChild(mathEl("span", "", choice));
+      list.appendChild(item);
+    });
+    block.appendChild(list);
+    return block;
+  }
+
+  // Write-in boxes over a column of bubbles per character, as on the printed test
+  function gridBlock(number) {
+    const grid = el("div", "grid");
+    grid.appendChild(el("span", "n", String(number)));
+    const table = el("table");
+    const boxes = el("tr");
+    for (let c = 0; c < GRID_COLUMNS; c++) boxes.appendChild(el("td")).appendChild(el("div", "box"));
+    table.appendChild(boxes);
+    ["−", ...GRID_SYMBOLS].forEach((symbol) => {
+      const row = el("tr");
+      for (let c = 0; c < GRID_COLUMNS; c++) {
+        const cell = row.appendChild(el("td"));
+        if (symbol !== "−" || c === 0) cell.appendChild(el("span", "bubble", symbol));
+      }
+      table.appendChild(row);
+    });
+    grid.appendChild(table);
+    return grid;
+  }
+
+  function answerSheet(questions) {
+    const section = el("section", "page");
+    section.appendChild(el("h2", "", "Answer sheet"));
+    const sheet = el("div", "answer-sheet");
+    questions.forEach((q, i) => {
+      if (q.format === "grid-in") {
+        sheet.appendChild(gridBlock(i + 1));
+        return;
+      }
+      const row = el("div", "bubble-row");
+      row.appendChild(el("span", "n", String(i + 1)));
+      (q.choices || []).forEach((_, c) => row.appendChild(el("span", "bubble", LETTERS[c])));
+      sheet.appendChild(row);
+    });
+    section.appendChild(sheet);
+    return section;
+  }
+
+  function answerKey(questions, keys) {
+    const section = el("section", "page");
+    section.appendChild(el("h2", "", "Answer key"));
+    const table = el("table", "key");
+    const head = el("tr");
+    ["#", "Answer", "Solution"].forEach((text) => head.appendChild(el("th", "", text)));
+    table.appendChild(head);
+
+    questions.forEach((q, i) => {
+      const key = keys[i];
+      const row = el("tr");
+      row.appendChild(el("td", "", String(i + 1)));
+      if (!key) {
+        row.appendChild(el("td", "answer", "–"));
+        row.appendChild(el("td", "", "No stored key for this question; check it on screen."));
+      } else if (q.format === "grid-in") {
+        row.appendChild(mathEl("td", "answer", String(key.correctAnswer)));
+        row.appendChild(mathEl("td", "", key.solution || ""));
+      } else {
+        row.appendChild(el("td", "answer", LETTERS[key.correctIndex] || "?"));
+        row.appendChild(mathEl("td", "", key.solution || ""));
+      }
+      table.appendChild(row);
+    });
+    section.appendChild(table);
+    return section;
+  }
+
+  function escapeHtml(text) {
+    return String(text).replace(/[&<>"]/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[ch]);
+  }
+
+  // The whole document as an HTML string. `questions` are in print order, with `passage` attached
+  // to reading questions and each passage's questions next to each other. `copy` is "student" or
+  // "teacher"; the teacher copy needs `keys`, one { correctIndex | correctAnswer, solution } or null
+  // per question.
+  function build({ title, questions, copy = "student", keys = [] }) {
+    const body = el("main");
+    const header = el("header");
+    header.appendChild(el("h1", "", title));
+    header.appendChild(el("div", "copy", copy === "teacher" ? "Teacher copy" : "Student copy"));
+    if (copy !== "teacher") header.appendChild(el("div", "name-line", "Name: ______________________   Date: __________"));
+    body.appendChild(header);
+
+    let passageId = null;
+    questions.forEach((q, i) => {
+      if (q.passage && q.passage.id !== passageId) body.appendChild(passageBlock(q.passage));
+      passageId = q.passage ? q.passage.id : null;
+      body.appendChild(questionBlock(q, i + 1));
+    });
+    body.appendChild(copy === "teacher" ? answerKey(questions, keys) : answerSheet(questions));
+
+    return (
+      "<!DOCTYPE html>\n<html lang=\"en\">\n<head>\n<meta charset=\"utf-8\" />\n" +
+      `<title>${escapeHtml(title)}</title>\n<style>${STYLES}</style>\n</head>\n<body>\n` +
+      '<div class="toolbar"><button onclick="print()">Print or save as PDF</button><a id="download">Download HTML</a></div>\n' +
+      body.outerHTML +
+      "\n</body>\n</html>\n"
+    );
+  }
+
+  // Show `html` in `win`, a window the caller opened while handling the click (a window opened
+  // after awaiting a fetch would be blocked as a popup). Without one, download the file instead.
+  function show(win, html, filename) {
+    const url = URL.createObjectURL(new Blob([html], { type: "text/html" }));
+    if (!win) {
+      const link = el("a");
+      link.href = url;
+      link.download = filename;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS);
+      return;
+    }
+    win.document.open();
+    win.document.write(html);
+    win.document.close();
+    const download = win.document.getElementById("download");
+    download.href = url;
+    download.download = filename;
+    // The copy's Download link needs the URL for as long as the tab is open
+    win.addEventListener("pagehide", () => URL.revokeObjectURL(url));
+  }
+
+  return {
+    build,
+    show,
+  };
+})();
@@ -0,0 +1,296 @@
+// js/progress-store.js
+//
+// Per-student attempt history kept in the browser's IndexedDB, plus the summaries the
+// progress dashboard draws from. The same database holds each student's spaced-review queue
+// (scheduled by review-queue.js), and for offline use the downloaded question packs and the
+// requests waiting for a connection (see offline.js). Loaded as a plain script; exposes
+// window.ProgressStore.
+
+const ProgressStore = (() => {
+  const DB_NAME = "shsat-practice";
+  const DB_VERSION = 3;
+  const ATTEMPTS = "attempts";
+  const REVIEWS = "reviews";
+  const PACKS = "packs";
+  const OUTBOX = "outbox";
+  const CURRENT_STUDENT_KEY = "shsat.currentStudent";
+
+  // Dashboard rows, in display order. Anything the model labels differently lands in "other".
+  const CATEGORIES = {
+    math: [
+      ["number", "Number & operations"],
+      ["percent", "Percent"],
+      ["ratios", "Ratios & proportions"],
+      ["algebra", "Algebra"],
+      ["geometry", "Geometry"],
+      ["statistics", "Statistics & probability"],
+      ["other", "Other math"],
+    ],
+    ela: [
+      ["reading", "Reading comprehension"],
+      ["editing", "Revising & editing"],
+      ["other", "Other ELA"],
+    ],
+  };
+
+  let dbPromise = null;
+
+  function openDb() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        // Version 1 had attempts only; each store is created the first time it is missing
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(ATTEMPTS)) {
+            const attempts = db.createObjectStore(ATTEMPTS, { keyPath: "id", autoIncrement: true });
+            attempts.createIndex("studentId", "studentId");
+          }
+          if (!db.objectStoreNames.contains(REVIEWS)) {
+            // One entry per student and question: keyed "studentId|questionId"
+            const reviews = db.createObjectStore(REVIEWS, { keyPath: "key" });
+            reviews.createIndex("studentId", "studentId");
+          }
+          // Pack questions belong to the device, not a student: one entry per question id
+          if (!db.objectStoreNames.contains(PACKS)) {
+            const packs = db.createObjectStore(PACKS, { keyPath: "id" });
+            packs.createIndex("subject", "subject");
+          }
+          if (!db.objectStoreNames.contains(OUTBOX)) {
+            db.createObjectStore(OUTBOX, { keyPath: "id", autoIncrement: true });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  }
+
+  // Wrap one IndexedDB request in a promise, inside its own transaction on `storeName`
+  async function run(mode, fn, storeName = ATTEMPTS) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = fn(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  function getCurrentStudent() {
+    return localStorage.getItem(CURRENT_STUDENT_KEY) || "Student";
+  }
+
+  function setCurrentStudent(name) {
+    const trimmed = String(name || "").trim() || "Student";
+    localStorage.setItem(CURRENT_STUDENT_KEY, trimmed);
+    return trimmed;
+  }
+
+  // Map whatever topic string came back with a question onto a dashboard category
+  function categorize(subject, topic) {
+    const t = String(topic || "").toLowerCase();
+    if (subject === "math") {
+      if (t.includes("percent")) return "percent";
+      if (t.includes("ratio") || t.includes("proportion")) return "ratios";
+      if (t.includes("geometr")) return "geometry";
+      if (t.includes("algebra") || t.includes("equation") || t.includes("inequal")) return "algebra";
+      if (t.includes("statistic") || t.includes("probab")) return "statistics";
+      if (t.includes("number") || t.includes("integer")) return "number";
+      return "other";
+    }
+    if (t.includes("reading")) return "reading";
+    if (t.includes("editing") || t.includes("revising")) return "editing";
+    return "other";
+  }
+
+  async function recordAttempt(attempt) {
+    const record = {
+      studentId: getCurrentStudent(),
+      answeredAt: new Date().toISOString(),
+      ...attempt,
+    };
+    record.category = categorize(record.subject, record.topic);
+    await run("readwrite", (store) => store.add(record));
+    return record;
+  }
+
+  async function listAttempts(studentId = getCurrentStudent()) {
+    const attempts = await run("readonly", (store) => store.index("studentId").getAll(studentId));
+    return attempts.sort((a, b) => a.answeredAt.localeCompare(b.answeredAt));
+  }
+
+  async function listStudents() {
+    const attempts = await run("readonly", (store) => store.getAll());
+    return [...new Set(attempts.map((a) => a.studentId))].sort();
+  }
+
+  async function clearAttempts(studentId = getCurrentStudent()) {
+    const ids = await run("readonly", (store) => store.index("studentId").getAllKeys(studentId));
+    if (!ids.length) return;
+    // Deletes queued in one transaction; run() resolves once the last one commits
+    await run("readwrite", (store) => ids.map((id) => store.delete(id)).pop());
+  }
+
+  // Review queue entries; review-queue.js decides what goes in them
+  function reviewKey(questionId, studentId = getCurrentStudent()) {
+    return `${studentId}|${questionId}`;
+  }
+
+  function getReview(questionId, studentId = getCurrentStudent()) {
+    return run("readonly", (store) => store.get(reviewKey(questionId, studentId)), REVIEWS);
+  }
+
+  async function saveReview(review) {
+    const record = { studentId: getCurrentStudent(), ...review };
+    record.key = reviewKey(record.questionId, record.studentId);
+    await run("readwrite", (store) => store.put(record), REVIEWS);
+    return record;
+  }
+
+  function listReviews(studentId = getCurrentStudent()) {
+    return run("readonly", (store) => store.index("studentId").getAll(studentId), REVIEWS);
+  }
+
+  function deleteReview(review) {
+    return run("readwrite", (store) => store.delete(review.key), REVIEWS);
+  }
+
+  async function clearReviews(studentId = getCurrentStudent()) {
+    const keys = await run("readonly", (store) => store.index("studentId").getAllKeys(studentId), REVIEWS);
+    if (!keys.length) return;
+    await run("readwrite", (store) => keys.map((key) => store.delete(key)).pop(), REVIEWS);
+  }
+
+  // Offline question packs: questions with their keys in the clear, oldest download first
+  async function savePackQuestions(questions) {
+    if (!questions.length) return;
+    await run("readwrite", (store) => questions.map((q) => store.put(q)).pop(), PACKS);
+  }
+
+  async function listPackQuestions(subject) {
+    const questions = await run("readonly", (store) => store.index("subject").getAll(subject), PACKS);
+    return questions.sort((a, b) => a.downloadedAt.localeCompare(b.downloadedAt));
+  }
+
+  function packQuestionIds() {
+    return run("readonly", (store) => store.getAllKeys(), PACKS);
+  }
+
+  async function deletePackQuestions(ids) {
+    if (!ids.length) return;
+    await run("readwrite", (store) => ids.map((id) => store.delete(id)).pop(), PACKS);
+  }
+
+  // Requests made offline, to send once there is a connection
+  function queueRequest(entry) {
+    return run("readwrite", (store) => store.add({ queuedAt: new Date().toISOString(), ...entry }), OUTBOX);
+  }
+
+  function listQueuedRequests() {
+    return run("readonly", (store) => store.getAll(), OUTBOX);
+  }
+
+  function deleteQueuedRequest(id) {
+    return run("readwrite", (store) => store.delete(id), OUTBOX);
+  }
+
+  function accuracy(attempts) {
+    if (!attempts.length) return null;
+    return attempts.filter((a) => a.isCorrect).length / attempts.length;
+  }
+
+  // Accuracy per calendar day, oldest first, for the trend sparkline
+  function dailyAccuracy(attempts) {
+    const byDay = new Map();
+    attempts.forEach((a) => {
+      const day = a.answeredAt.slice(0, 10);
+      if (!byDay.has(day)) byDay.set(day, []);
+      byDay.get(day).push(a);
+    });
+    return [...byDay.entries()].map(([day, dayAttempts]) => ({
+      day,
+      attempts: dayAttempts.length,
+      accuracy: accuracy(dayAttempts),
+    }));
+  }
+
+  // One row per dashboard category: totals, accuracy, recent-vs-overall, average time and daily trend
+  function summarize(attempts, { recentWindow = 10 } = {}) {
+    const rows = [];
+    Object.entries(CATEGORIES).forEach(([subject, categories]) => {
+      categories.forEach(([category, label]) => {
+        const inCategory = attempts.filter((a) => a.subject === subject && a.category === category);
+        if (!inCategory.length && category === "other") return;
+        const timed = inCategory.filter((a) => Number.isFinite(a.timeSpentMs));
+        rows.push({
+          subject,
+          category,
+          label,
+          attempts: inCategory.length,
+          correct: inCategory.filter((a) => a.isCorrect).length,
+          accuracy: accuracy(inCategory),
+          recentAccuracy: accuracy(inCategory.slice(-recentWindow)),
+          avgTimeMs: timed.length
+            ? timed.reduce((sum, a) => sum + a.timeSpentMs, 0) / timed.length
+            : null,
+          trend: dailyAccuracy(inCategory),
+        });
+      });
+    });
+    return rows;
+  }
+
+  // Wrong answers grouped by the mistake their choice reflects, most frequent first. `topic`
+  // is the topic the mistake shows up in most, so a review set can target it.
+  function summarizeMisconceptions(attempts) {
+    const byTag = new Map();
+    attempts.forEach((a) => {
+      if (!a.misconception) return;
+      const key = `${a.subject}:${a.misconception}`;
+      if (!byTag.has(key)) {
+        byTag.set(key, { subject: a.subject, tag: a.misconception, label: a.misconception, count: 0, topics: {} });
+      }
+      const row = byTag.get(key);
+      row.count++;
+      row.label = a.misconceptionLabel || row.label;
+      row.lastSeen = a.answeredAt;
+      row.topics[a.topic] = (row.topics[a.topic] || 0) + 1;
+    });
+
+    return [...byTag.values()]
+      .map(({ topics, ...row }) => ({
+        ...row,
+        topic: Object.entries(topics).sort((x, y) => y[1] - x[1])[0][0],
+      }))
+      .sort((x, y) => y.count - x.count || y.lastSeen.localeCompare(x.lastSeen));
+  }
+
+  return {
+    CATEGORIES,
+    getCurrentStudent,
+    setCurrentStudent,
+    categorize,
+    recordAttempt,
+    listAttempts,
+    listStudents,
+    clearAttempts,
+    getReview,
+    saveReview,
+    listReviews,
+    deleteReview,
+    clearReviews,
+    savePackQuestions,
+    listPackQuestions,
+    packQuestionIds,
+    deletePackQuestions,
+    queueRequest,
+    listQueuedRequests,
+    deleteQueuedRequest,
+    accuracy,
+    summarize,
+    summarizeMisconceptions,
+  };
+})();
@@ -0,0 +1,156 @@
+// js/review-queue.js
+//
+// Spaced review of missed questions. A question the student gets wrong joins their queue
+// (kept in ProgressStore) and comes back on an SM-2 style schedule: ten minutes after a miss,
+// then a day, six days, and from there the last interval times the item's ease. Help lowers
+// how much a right answer counts, a miss starts the item over, and three right answers in a
+// row with no miss in between retire it. Loaded as a plain script; exposes window.ReviewQueue.
+
+const ReviewQueue = (() => {
+  const MINUTE_MS = 60 * 1000;
+  const DAY_MS = 24 * 60 * MINUTE_MS;
+  const START_EASE = 2.5;
+  const MIN_EASE = 1.3;
+  // A miss brings the question back later in the same sitting
+  const RELEARN_MINUTES = 10;
+  const FIRST_INTERVAL_DAYS = 1;
+  const SECOND_INTERVAL_DAYS = 6;
+  const MASTERED_AFTER = 3;
+  // SM-2 answer quality (0-5): right on its own, right with hints or a guided walkthrough, missed
+  const QUALITY = { clean: 5, helped: 3, missed: 1 };
+
+  function quality({ isCorrect, hintLevel = 0, guided = null }) {
+    if (!isCorrect) return QUALITY.missed;
+    return hintLevel > 0 || guided ? QUALITY.helped : QUALITY.clean;
+  }
+
+  // The SM-2 ease update
+  function nextEase(ease, q) {
+    return Math.max(MIN_EASE, ease + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02)));
+  }
+
+  // What a review needs to show the question again; attempts only keep the prompt
+  function snapshot(q) {
+    return {
+      id: q.id,
+      subject: q.subject,
+      topic: q.topic || "",
+      difficulty: q.difficulty || "",
+      format: q.format || "multiple-choice",
+      prompt: q.prompt,
+      choices: q.choices || null,
+      figure: q.figure || null,
+      passage: q.passage || null,
+      passageId: q.passageId || null,
+      answerKey: q.answerKey || null,
+      template: q.template || null,
+      translation: q.translation || null,
+      // A pack question's own key, so its reviews can be graded offline too
+      offlineKey: q.offlineKey || null,
+    };
+  }
+
+  // Put a missed question in the queue, or start it over if it is already there. Questions
+  // without an id can't be told apart, so they aren't queued. Worksheet questions come without
+  // their key and can't be checked again, so math ones come back as variants and ELA ones not at all.
+  async function addMiss(q, misconception = null) {
+    if (!q.id || (!q.answerKey && q.subject !== "math")) return null;
+    const now = Date.now();
+    const existing = await ProgressStore.getReview(q.id);
+    const item = existing || {
+      questionId: q.id,
+      question: snapshot(q),
+      ease: START_EASE,
+      addedAt: now,
+      reviews: 0,
+      lapses: 0,
+      stale: !q.answerKey,
+    };
+    // The latest mistake is the one worth naming when it comes back
+    if (misconception) {
+      item.misconception = misconception.tag;
+      item.misconceptionLabel = misconception.label || misconception.tag;
+    }
+    if (existing) {
+      item.ease = nextEase(item.ease, QUALITY.missed);
+      item.lapses += 1;
+    }
+    Object.assign(item, {
+      repetitions: 0,
+      intervalDays: 0,
+      streak: 0,
+      mastered: false,
+      dueAt: now + RELEARN_MINUTES * MINUTE_MS,
+    });
+    return ProgressStore.saveReview(item);
+  }
+
+  // Schedule `item` after one review answer: { isCorrect, hintLevel, guided }
+  async function recordReview(item, answer) {
+    const now = Date.now();
+    const q = quality(answer);
+    const next = { ...item, reviews: (item.reviews || 0) + 1, lastReviewedAt: now, ease: nextEase(item.ease, q) };
+
+    if (!answer.isCorrect) {
+      Object.assign(next, { repetitions: 0, intervalDays: 0, streak: 0, lapses: (item.lapses || 0) + 1 });
+      next.dueAt = now + RELEARN_MINUTES * MINUTE_MS;
+    } else {
+      next.repetitions = item.repetitions + 1;
+      next.streak = (item.streak || 0) + 1;
+      if (next.repetitions === 1) next.intervalDays = FIRST_INTERVAL_DAYS;
+      else if (next.repetitions === 2) next.intervalDays = SECOND_INTERVAL_DAYS;
+      else next.intervalDays = Math.round(item.intervalDays * next.ease);
+      next.dueAt = now + next.intervalDays * DAY_MS;
+      next.mastered = next.streak >= MASTERED_AFTER;
+    }
+    return ProgressStore.saveReview(next);
+  }
+
+  // The original can't be shown again (its key no longer opens), so only variants from here on
+  function markStale(item) {
+    return ProgressStore.saveReview({ ...item, stale: true });
+  }
+
+  function drop(item) {
+    return ProgressStore.deleteReview(item);
+  }
+
+  // Items due now, most overdue first
+  async function dueItems(limit = Infinity, now = Date.now()) {
+    const items = await ProgressStore.listReviews();
+    return items
+      .filter((item) => !item.mastered && item.dueAt <= now)
+      .sort((a, b) => a.dueAt - b.dueAt)
+      .slice(0, limit);
+  }
+
+  // { due, scheduled, mastered, nextDueAt }: counts for the button and the dashboard
+  async function counts(now = Date.now()) {
+    const items = await ProgressStore.listReviews();
+    const waiting = items.filter((item) => !item.mastered);
+    const upcoming = waiting.filter((item) => item.dueAt > now).map((item) => item.dueAt);
+    return {
+      due: waiting.length - upcoming.length,
+      scheduled: upcoming.length,
+      mastered: items.length - waiting.length,
+      nextDueAt: upcoming.length ? Math.min(...upcoming) : null,
+    };
+  }
+
+  // Whether a review should show a fresh variant rather than the original: once the student has
+  // got it right at least once, a new version checks they can do the problem, not recall it
+  function wantsVariant(item) {
+    return item.question.subject === "math" && (item.repetitions > 0 || !!item.stale);
+  }
+
+  return {
+    MASTERED_AFTER,
+    addMiss,
+    recordReview,
+    markStale,
+    drop,
+    dueItems,
+    counts,
+    wantsVariant,
+  };
+})();
@@ -0,0 +1,82 @@
+// netlify/functions/answer-keys.js
+//
+// Opens the sealed keys of a practice set for the teacher copy of a printed worksheet.
+//   POST { questions: [{ prompt, choices, format, figure, passageId, answerKey, printToken }] }
+//     -> { keys: [{ correctIndex | correctAnswer, solution } | null] }, one per question, in order
+// A key only opens for the question it was sealed with, and only with the print token of the
+// printable set it came in (see lib/answer-key.js). Exam parts are generated without one and
+// worksheet keys never leave the server, so neither can be opened here. Any other question comes
+// back as null, as do questions without a usable key.
+
+const { openAnswerKey, hasAnswer, printSetId } = require("../lib/answer-key");
+const { validate, parseBody } = require("../lib/validate");
+const { checkRateLimit, tooManyRequests } = require("../lib/rate-limit");
+
+// The most generate-questions puts in one set
+const MAX_QUESTIONS = 60;
+
+const SCHEMA = {
+  questions: {
+    type: "array",
+    required: true,
+    maxItems: MAX_QUESTIONS,
+    items: {
+      type: "object",
+      fields: {
+        prompt: { type: "string", required: true, maxLength: 4000 },
+        choices: { type: "array", maxItems: 4, items: { type: "string", maxLength: 500 } },
+        format: { type: "string", oneOf: ["multiple-choice", "grid-in"] },
+        figure: { type: "object" },
+        passageId: { type: "string", maxLength: 64 },
+        answerKey: { type: "string", maxLength: 8192 },
+        printToken: { type: "string", maxLength: 64 },
+      },
+    },
+  },
+};
+
+function json(statusCode, body) {
+  return {
+    statusCode,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  };
+}
+
+function openKey(q) {
+  const gridIn = q.format === "grid-in";
+  const key = openAnswerKey(q.answerKey, {
+    prompt: q.prompt,
+    choices: gridIn ? null : q.choices,
+    format: gridIn ? "grid-in" : "multiple-choice",
+    figure: q.figure,
+    passageId: q.passageId,
+  });
+  if (!hasAnswer(key) || !key.printSet || !q.printToken || printSetId(q.printToken) !== key.printSet) return null;
+  return gridIn
+    ? { correctAnswer: key.correctAnswer, solution: key.solution || "" }
+    : { correctIndex: key.correctIndex, solution: key.solution || "" };
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod !== "POST") {
+    return json(405, { error: "Method not allowed" });
+  }
+
+  const limited = checkRateLimit(event.headers, "print");
+  if (limited) {
+    return tooManyRequests(limited);
+  }
+
+  try {
+    const { body, problems: parseProblems } = parseBody(event.body);
+    const problems = parseProblems || validate(body, SCHEMA);
+    if (problems.length) {
+      return json(400, { error: "Invalid request", problems });
+    }
+    return json(200, { keys: body.questions.map(openKey) });
+  } catch (err) {
+    console.error("Function error:", err);
+    return json(500, { error: "Server error", details: String(err) });
+  }
+};
@@ -1,105 +1,156 @@
 // netlify/functions/check-answer.js
+//
+// Grades one answer. The question must carry the sealed token generate-questions issued with
+// it; anything else is refused. Keyed questions are graded from the token, unkeyed ones by
+// re-solving with the model.
+//   POST { subject, question: { prompt, choices, userIndex | format: "grid-in", response,
+//                               answerKey, figure?, passage? } }
+// A question shown in another language is still sent and graded in English; when it was issued
+// with a translation, the reply adds translatedSolution: { language, solution }.
+// Keys don't record whether a question belongs to an exam, so an exam in progress is graded like
+// any other set; exam mode only holds back checking in the page (see index.html).
+
+const llm = require("../lib/llm");
+const { openAnswerKey, hasAnswer } = require("../lib/answer-key");
+const { parseAnswer, sameAnswer, matchingChoiceIndexes } = require("../lib/answers");
+const solver = require("../lib/solver");
+const { describe } = require("../lib/misconceptions");
+const { normalizePassage, numberedText } = require("../lib/passages");
+const { checkFigure, promptWithFigure } = require("../lib/figures");
+const { validate, parseBody } = require("../lib/validate");
+const { checkRateLimit, tooManyRequests } = require("../lib/rate-limit");
+const telemetry = require("../lib/telemetry");
+
+const SCHEMA = {
+  subject: { type: "string", oneOf: ["math", "ela"] },
+  question: {
+    type: "object",
+    required: true,
+    fields: {
+      prompt: { type: "string", required: true, maxLength: 4000 },
+      choices: { type: "array", minItems: 4, maxItems: 4, items: { type: "string", maxLength: 500 } },
+      userIndex: { type: "integer", min: 0, max: 3 },
+      format: { type: "string", oneOf: ["multiple-choice", "grid-in"] },
+      response: { type: "string", maxLength: 20 },
+      answerKey: { type: "string", required: true, maxLength: 8192 },
+      figure: { type: "object" },
+      // Reading questions only, for re-solving; the token pins it to the passage it was issued with
+      passage: {
+        type: "object",
+        fields: {
+          title: { type: "string", maxLength: 200 },
+          text: { type: "string", required: true, maxLength: 20000 },
+          numbering: { type: "string", oneOf: ["line", "paragraph"] },
+        },
+      },
+    },
+  },
+};
 
-// Helper: convert a choice string like "3/8 cup" or "1 1/2" or "0.375" to a number
-function parseChoiceToNumber(raw) {
-  if (raw == null) return NaN;
-
-  const cleaned = raw.replace(/,/g, "").trim().toLowerCase();
-
-  // 1) Mixed fraction: "1 3/8", "-2 1/4"
-  let m = cleaned.match(/^(-?\d+)\s+(\d+)\s*\/\s*(\d+)/);
-  if (m) {
-    const whole = parseInt(m[1], 10);
-    const num = parseInt(m[2], 10);
-    const den = parseInt(m[3], 10);
-    if (den !== 0) {
-      return whole + (whole >= 0 ? num / den : -num / den);
-    }
-  }
-
-  // 2) Simple fraction: "3/8", "-5/6"
-  m = cleaned.match(/^(-?\d+)\s*\/\s*(\d+)/);
-  if (m) {
-    const num = parseInt(m[1], 10);
-    const den = parseInt(m[2], 10);
-    if (den !== 0) {
-      return num / den;
-    }
-  }
+// What the client sees when a solver call fails, by llm/solver error code
+const SOLVER_ERRORS = {
+  request_failed: "LLM request failed",
+  timeout: "Solver timed out",
+  no_content: "No content from solver",
+  invalid_json: "Failed to parse solver JSON",
+  invalid_answer: "Solver did not return a usable answer",
+  budget_exceeded: "Daily model budget is used up; try again tomorrow",
+};
 
-  // 3) Decimal or integer, maybe with units: "0.375 cup", "5 cm"
-  m = cleaned.match(/-?\d+(\.\d+)?/);
-  if (m) {
-    const val = parseFloat(m[0]);
-    if (!Number.isNaN(val)) return val;
+function json(statusCode, body) {
+  const response = { statusCode, body: JSON.stringify(body) };
+  if (statusCode === 200) {
+    response.headers = { "Content-Type": "application/json" };
   }
-
-  return NaN;
+  return response;
 }
 
-exports.handler = async (event) => {
-  if (event.httpMethod !== "POST") {
-    return {
-      statusCode: 405,
-      body: JSON.stringify({ error: "Method not allowed" }),
+function gradeWithKey(key, { subject, gridIn, userIndex, response }) {
+  const body = gridIn
+    ? {
+        isCorrect: sameAnswer(response, parseAnswer(key.correctAnswer)),
+        correctAnswer: key.correctAnswer,
+        solution: key.solution || "",
+      }
+    : {
+        correctIndex: key.correctIndex,
+        isCorrect: userIndex === key.correctIndex,
+        solution: key.solution || "",
+      };
+  if (key.translatedSolution) body.translatedSolution = key.translatedSolution;
+
+  // Tell the student which mistake their wrong choice reflects
+  const picked = !gridIn && !body.isCorrect ? key.misconceptions?.[userIndex] : null;
+  if (picked) {
+    body.misconception = {
+      tag: picked.tag,
+      label: describe(subject, picked.tag),
+      rationale: picked.rationale,
     };
   }
 
-  try {
-    const body = JSON.parse(event.body || "{}");
-    const { subject = "math", question } = body;
-
-    if (!question || !question.prompt || !Array.isArray(question.choices)) {
-      return {
-        statusCode: 400,
-        body: JSON.stringify({ error: "Missing or invalid question data" }),
-      };
-    }
-
-    const { prompt, choices, userIndex } = question;
-
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (!apiKey) {
-      return {
-        statusCode: 500,
-        body: JSON.stringify({ error: "OPENAI_API_KEY is not set" }),
-      };
-    }
+  return json(200, body);
+}
 
-    // Build subject-specific solver prompt
-    let solverPrompt;
+// Schema problems plus the fields each format needs
+function checkRequest(body) {
+  const problems = validate(body, SCHEMA);
+  if (problems.length) return problems;
+
+  const { question } = body;
+  if (question.format === "grid-in") {
+    if (question.response === undefined) problems.push("question.response is required for a grid-in");
+  } else {
+    if (!question.choices) problems.push("question.choices is required for multiple choice");
+    if (question.userIndex === undefined) problems.push("question.userIndex is required for multiple choice");
+  }
+  return problems;
+}
 
-    if (subject === "math") {
-      // MATH: do NOT show choices; ask only for numeric finalAnswer
-      solverPrompt = `
-You are solving a SHSAT-style MATH question.
+// No usable key: solve choice-blind and map the number onto the choices (or the typed grid-in)
+async function gradeMathBySolving({ prompt, choices, userIndex, gridIn, response }) {
+  const solved = await solver.solveNumeric(prompt);
+  if (solved.error) {
+    return json(500, { error: SOLVER_ERRORS[solved.error], details: solved.details });
+  }
 
-Question:
-${prompt}
+  const { finalAnswer, answer, solution } = solved;
 
-Tasks:
-1. Carefully solve the math problem and compute the exact numeric result (call it finalAnswer).
-2. DO NOT think in terms of answer choices, letters, or options. Ignore A/B/C/D completely.
-3. finalAnswer must be the actual numeric value that correctly solves the problem.
-4. In your explanation, you may show intermediate numeric steps, but you must not refer to "option A", "choice C", etc.
+  if (gridIn) {
+    return json(200, {
+      isCorrect: sameAnswer(response, answer),
+      correctAnswer: finalAnswer,
+      solution,
+    });
+  }
 
-Important:
-- finalAnswer must be a NUMBER (no units, no commas) that we can compare to the answer choices separately.
-- Do NOT put "A", "B", "C", "D", "option", or "choice" into finalAnswer. Only use a pure numeric value.
-- If you get a non-integer, return it as a decimal number (e.g., 0.375).
+  const correctIndex = matchingChoiceIndexes(answer, choices)[0] ?? -1;
 
-Respond ONLY with JSON of this exact shape:
+  if (correctIndex === -1) {
+    console.error("Could not match finalAnswer to any choice:", {
+      finalAnswer,
+      choices,
+    });
+    telemetry.event("no_choice_matches_answer", `${finalAnswer} not in ${choices.join(" | ")}`);
+    return json(500, { error: "Could not match finalAnswer to any choice" });
+  }
 
-{
-  "finalAnswer": 24,
-  "solution": "step-by-step explanation here"
+  return json(200, {
+    correctIndex,
+    isCorrect: userIndex === correctIndex,
+    solution,
+  });
 }
-`;
-    } else {
-      // ELA: we still let the model pick the correctIndex
-      solverPrompt = `
-You are solving a SHSAT-style ELA multiple-choice question.
 
+// ELA: we still let the model pick the correctIndex. Reading questions only make sense with
+// their passage, so the client sends it along ({ title, text, numbering }, already normalized here).
+async function gradeElaBySolving({ prompt, passage, choices, userIndex }) {
+  const passageBlock = passage
+    ? `\nPassage${passage.title ? ` ("${passage.title}")` : ""}:\n${numberedText(passage)}\n`
+    : "";
+  const solverPrompt = `
+You are solving a SHSAT-style ELA multiple-choice question.
+${passageBlock}
 Question:
 ${prompt}
 
@@ -125,138 +176,100 @@ Respond ONLY with JSON of this exact shape:
   "solution": "short explanation here"
 }
 `;
-    }
 
-    // Call OpenAI Chat Completions API
-    const response = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${apiKey}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        model: "gpt-4o", // or "gpt-4o-mini" if you want cheaper, but 4o is more reliable
-        messages: [
-          {
-            role: "system",
-            content:
-              "You are a careful SHSAT question solver. Always return valid JSON and follow the requested schema exactly.",
-          },
-          { role: "user", content: solverPrompt },
-        ],
-        temperature: 0.1,
-        response_format: { type: "json_object" },
-      }),
-    });
+  const reply = await llm.chatJSON({
+    purpose: "solve-ela",
+    system:
+      "You are a careful SHSAT question solver. Always return valid JSON and follow the requested schema exactly.",
+    user: solverPrompt,
+    temperature: 0.1,
+  });
 
-    if (!response.ok) {
-      const errText = await response.text();
-      console.error("Solver API error:", errText);
-      return {
-        statusCode: 500,
-        body: JSON.stringify({ error: "LLM request failed", details: errText }),
-      };
-    }
+  if (reply.error) {
+    return json(500, { error: SOLVER_ERRORS[reply.error], details: reply.details });
+  }
 
-    const data = await response.json();
-    const content = data.choices?.[0]?.message?.content;
+  // Trust correctIndex/isCorrect from model (with validation)
+  const result = reply.json;
+  const ci = result.correctIndex;
+  if (!Number.isInteger(ci) || ci < 0 || ci >= choices.length) {
+    console.error("Solver returned invalid correctIndex:", result);
+    telemetry.event("invalid_correct_index", JSON.stringify(result));
+    return json(500, { error: "Solver returned invalid correctIndex" });
+  }
 
-    if (!content) {
-      console.error("No content in solver response:", JSON.stringify(data, null, 2));
-      return {
-        statusCode: 500,
-        body: JSON.stringify({ error: "No content from solver" }),
-      };
-    }
+  return json(200, {
+    correctIndex: ci,
+    isCorrect: !!result.isCorrect,
+    solution: result.solution || "",
+  });
+}
 
-    let result;
-    try {
-      result = JSON.parse(content);
-    } catch (e) {
-      console.error("Failed to parse solver JSON:", content);
-      return {
-        statusCode: 500,
-        body: JSON.stringify({ error: "Failed to parse solver JSON" }),
-      };
-    }
+async function handle(event) {
+  if (event.httpMethod !== "POST") {
+    return {
+      statusCode: 405,
+      body: JSON.stringify({ error: "Method not allowed" }),
+    };
+  }
 
-    // Branch based on subject
-    if (subject === "math") {
-      // Expect { finalAnswer: number|string, solution: string }
-      let faRaw = result.finalAnswer;
-      let finalAnswer;
-
-      if (typeof faRaw === "number") {
-        finalAnswer = faRaw;
-      } else {
-        const parsed = parseFloat(String(faRaw).replace(/,/g, "").trim());
-        if (!Number.isNaN(parsed)) {
-          finalAnswer = parsed;
-        }
-      }
+  const limited = checkRateLimit(event.headers, "grade");
+  if (limited) {
+    return tooManyRequests(limited);
+  }
 
-      if (typeof finalAnswer !== "number" || Number.isNaN(finalAnswer)) {
-        console.error("Solver did not return a usable numeric finalAnswer:", result);
-        return {
-          statusCode: 500,
-          body: JSON.stringify({ error: "Solver did not return numeric finalAnswer" }),
-        };
-      }
+  try {
+    const { body, problems: parseProblems } = parseBody(event.body);
+    const problems = parseProblems || checkRequest(body);
+    if (problems.length) {
+      return json(400, { error: "Invalid request", problems });
+    }
 
-      // Map finalAnswer to one of the 4 choices
-      let correctIndex = -1;
-      for (let i = 0; i < choices.length; i++) {
-        const raw = (choices[i] ?? "").toString();
-        const num = parseChoiceToNumber(raw);
-        if (!Number.isNaN(num) && Math.abs(num - finalAnswer) < 1e-6) {
-          correctIndex = i;
-          break;
-        }
+    const { question } = body;
+    const { prompt, choices, userIndex } = question;
+    // Grid-ins carry a typed `response` instead of `choices` + `userIndex`
+    const gridIn = question.format === "grid-in";
+
+    let response;
+    if (gridIn) {
+      response = parseAnswer(question.response, { strict: true });
+      if (!response) {
+        return json(400, { error: "Invalid request", problems: ["question.response must be a number, fraction or mixed number"] });
       }
+    }
 
-      if (correctIndex === -1) {
-        console.error("Could not match finalAnswer to any choice:", {
-          finalAnswer,
-          choices,
-        });
-        return {
-          statusCode: 500,
-          body: JSON.stringify({ error: "Could not match finalAnswer to any choice" }),
-        };
-      }
+    // Only questions this server issued are graded: their sealed token must open for exactly
+    // this prompt, choices, figure and passage
+    const passage = question.passage ? normalizePassage(question.passage) : null;
+    const key = openAnswerKey(question.answerKey, {
+      prompt,
+      choices: gridIn ? null : choices,
+      format: gridIn ? "grid-in" : "multiple-choice",
+      figure: question.figure,
+      passageId: passage ? passage.id : undefined,
+    });
+    if (!key) {
+      return json(403, { error: "This question was not issued by this server, or it was changed, so it can't be graded" });
+    }
+    // The token knows the question's subject; older tokens fall back to the request
+    const subject = key.subject || body.subject || "math";
 
-      const isCorrect = userIndex === correctIndex;
+    if (hasAnswer(key)) {
+      return gradeWithKey(key, { subject, gridIn, userIndex, response });
+    }
 
-      return {
-        statusCode: 200,
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          correctIndex,
-          isCorrect,
-          solution: result.solution || "",
-        }),
-      };
-    } else {
-      // ELA branch – trust correctIndex/isCorrect from model (with validation)
-      const ci = result.correctIndex;
-      if (!Number.isInteger(ci) || ci < 0 || ci >= choices.length) {
-        console.error("Solver returned invalid correctIndex:", result);
-        return {
-          statusCode: 500,
-          body: JSON.stringify({ error: "Solver returned invalid correctIndex" }),
-        };
-      }
+    const configError = llm.configError();
+    if (configError) {
+      return json(500, { error: configError });
+    }
 
-      return {
-        statusCode: 200,
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          correctIndex: ci,
-          isCorrect: !!result.isCorrect,
-          solution: result.solution || "",
-        }),
-      };
+    if (subject === "math") {
+      // The solver reads the figure as words; one that doesn't check out is left out
+      const figure = question.figure ? checkFigure(question.figure, prompt) : null;
+      const solverPrompt = figure && !figure.problems.length ? promptWithFigure(prompt, figure.figure) : prompt;
+      return await gradeMathBySolving({ prompt: solverPrompt, choices, userIndex, gridIn, response });
     }
+    return await gradeElaBySolving({ prompt, passage, choices, userIndex });
   } catch (err) {
     console.error("check-answer function error:", err);
     return {
@@ -264,4 +277,6 @@ Respond ONLY with JSON of this exact shape:
       body: JSON.stringify({ error: "Server error", details: String(err) }),
     };
   }
-};
+}
+
+exports.handler = (event) => telemetry.track("check-answer", () => handle(event));
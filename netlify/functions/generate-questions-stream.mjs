@@ -0,0 +1,88 @@
+// netlify/functions/generate-questions-stream.mjs
+//
+// Same request body as generate-questions, but the reply is NDJSON streamed as work finishes:
+//   {"type":"passage","passage":{...}}     a reading passage, before the first question that uses it
+//   {"type":"question","question":{...}}   one per question, sealed like generate-questions
+//   {"type":"rejected","rejected":{...}}   one per question verification threw out
+//   {"type":"done","count":n,"fromBank":n,"fromTemplates":n,"shortfall":n,"seed":"...","printToken":"..."}
+//                                          last line on success; printToken only for a printable set
+//   {"type":"error","error":"...","details":...} last line when nothing could be produced
+// Streaming needs the v2 (Request/Response) function signature, hence the .mjs. Bad requests
+// and rate-limited clients are refused with a plain JSON reply before the stream starts. As in
+// generate-questions, rate limits and the model budget hold per function instance only unless
+// DATA_DIR is shared.
+
+import generator from "../lib/generator.js";
+import rateLimit from "../lib/rate-limit.js";
+import telemetry from "../lib/telemetry.js";
+
+const { checkRequest, parseRequest, generateQuestions } = generator;
+const { checkRateLimit, rateLimitBody } = rateLimit;
+
+export default async (req) => {
+  if (req.method !== "POST") {
+    return Response.json({ error: "Method not allowed" }, { status: 405 });
+  }
+
+  const limited = checkRateLimit(req.headers, "generate");
+  if (limited) {
+    return Response.json(rateLimitBody(limited), {
+      status: 429,
+      headers: { "Retry-After": String(limited.retryAfterSeconds) },
+    });
+  }
+
+  let body;
+  try {
+    body = await req.json();
+  } catch (err) {
+    return Response.json({ error: "Invalid request", problems: ["request body must be valid JSON"] }, { status: 400 });
+  }
+  const problems = checkRequest(body);
+  if (problems.length) {
+    return Response.json({ error: "Invalid request", problems }, { status: 400 });
+  }
+
+  const encoder = new TextEncoder();
+  const stream = new ReadableStream({
+    async start(controller) {
+      const send = (line) => controller.enqueue(encoder.encode(JSON.stringify(line) + "\n"));
+
+      try {
+        // Tracked here rather than around the handler, which returns as soon as the stream starts
+        const result = await telemetry.track("generate-questions-stream", () =>
+          generateQuestions(parseRequest(body), {
+            onPassage: (passage) => send({ type: "passage", passage }),
+            onQuestion: (question) => send({ type: "question", question }),
+            onRejected: (rejected) => send({ type: "rejected", rejected }),
+          })
+        );
+
+        if (result.error) {
+          send({ type: "error", error: result.error, details: result.details });
+        } else {
+          send({
+            type: "done",
+            count: result.questions.length,
+            fromBank: result.fromBank,
+            fromTemplates: result.fromTemplates,
+            shortfall: result.shortfall,
+            seed: result.seed,
+            printToken: result.printToken,
+          });
+        }
+      } catch (err) {
+        console.error("Function error:", err);
+        send({ type: "error", error: "Server error", details: String(err) });
+      }
+      controller.close();
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      "Content-Type": "application/x-ndjson; charset=utf-8",
+      "Cache-Control": "no-cache",
+    },
+  });
+};
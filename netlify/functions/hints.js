@@ -0,0 +1,132 @@
+// netlify/functions/hints.js
+//
+// Help for a student who is stuck on an issued question (see lib/hints.js). `question` is the
+// question as check-answer takes it: { prompt, choices | format: "grid-in", answerKey, figure?,
+// passage? }.
+//   POST { action: "hint", question, level }          -> { level, levels, label, text, solution? }
+//        levels count from 1; only the last one gives the answer (and the worked solution)
+//   POST { action: "guide", question }                -> { steps: [{ prompt }] }, empty for none
+//   POST { action: "step", question, step, response, reveal? }
+//        -> { step, steps, isCorrect, answer? }; answer comes back once the step is right or revealed
+// Exam questions get help like any other: only the page leaves hints off exam cards.
+
+const { openAnswerKey, hasAnswer } = require("../lib/answer-key");
+const { normalizePassage } = require("../lib/passages");
+const { hintsFor, hintAt, checkStep, LEVELS } = require("../lib/hints");
+const { validate, parseBody } = require("../lib/validate");
+const { checkRateLimit, tooManyRequests } = require("../lib/rate-limit");
+const telemetry = require("../lib/telemetry");
+
+const MAX_LEVEL = Math.max(...Object.values(LEVELS).map((labels) => labels.length));
+
+const SCHEMA = {
+  action: { type: "string", required: true, oneOf: ["hint", "guide", "step"] },
+  question: {
+    type: "object",
+    required: true,
+    fields: {
+      prompt: { type: "string", required: true, maxLength: 4000 },
+      choices: { type: "array", minItems: 4, maxItems: 4, items: { type: "string", maxLength: 500 } },
+      format: { type: "string", oneOf: ["multiple-choice", "grid-in"] },
+      answerKey: { type: "string", required: true, maxLength: 8192 },
+      figure: { type: "object" },
+      passage: {
+        type: "object",
+        fields: {
+          title: { type: "string", maxLength: 200 },
+          text: { type: "string", required: true, maxLength: 20000 },
+          numbering: { type: "string", oneOf: ["line", "paragraph"] },
+        },
+      },
+    },
+  },
+  level: { type: "integer", min: 1, max: MAX_LEVEL },
+  step: { type: "integer", min: 0 },
+  response: { type: "string", maxLength: 20 },
+  reveal: { type: "boolean" },
+};
+
+function json(statusCode, body) {
+  return {
+    statusCode,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  };
+}
+
+function checkRequest(body) {
+  const problems = validate(body, SCHEMA);
+  if (problems.length) return problems;
+
+  if (body.question.format !== "grid-in" && !body.question.choices) {
+    problems.push("question.choices is required for multiple choice");
+  }
+  if (body.action === "hint" && body.level === undefined) problems.push("level is required for a hint");
+  if (body.action === "step" && body.step === undefined) problems.push("step is required");
+  if (body.action === "step" && body.response === undefined && !body.reveal) {
+    problems.push("response is required unless the step is revealed");
+  }
+  return problems;
+}
+
+async function handle(event) {
+  if (event.httpMethod !== "POST") {
+    return json(405, { error: "Method not allowed" });
+  }
+
+  const limited = checkRateLimit(event.headers, "hint");
+  if (limited) {
+    return tooManyRequests(limited);
+  }
+
+  try {
+    const { body, problems: parseProblems } = parseBody(event.body);
+    const problems = parseProblems || checkRequest(body);
+    if (problems.length) {
+      return json(400, { error: "Invalid request", problems });
+    }
+
+    // Like grading, help is only given for questions this server issued, and it needs their key
+    const gridIn = body.question.format === "grid-in";
+    const passage = body.question.passage ? normalizePassage(body.question.passage) : null;
+    const question = {
+      prompt: body.question.prompt,
+      choices: gridIn ? null : body.question.choices,
+      format: gridIn ? "grid-in" : "multiple-choice",
+      figure: body.question.figure,
+      passageId: passage ? passage.id : undefined,
+    };
+    const key = openAnswerKey(body.question.answerKey, question);
+    if (!key) {
+      return json(403, { error: "This question was not issued by this server, or it was changed, so there are no hints for it" });
+    }
+    if (!hasAnswer(key)) {
+      return json(409, { error: "This question has no stored answer, so there are no hints for it; check your answer to see the solution" });
+    }
+
+    const subject = key.subject === "ela" ? "ela" : "math";
+    if (body.action === "hint" && body.level > LEVELS[subject].length) {
+      return json(400, { error: "Invalid request", problems: [`level must be at most ${LEVELS[subject].length}`] });
+    }
+
+    const entry = await hintsFor(subject, question, key, passage);
+
+    if (body.action === "hint") {
+      return json(200, hintAt(subject, entry, body.level, question, key));
+    }
+    if (body.action === "guide") {
+      return json(200, { steps: (entry.steps || []).map((step) => ({ prompt: step.prompt })) });
+    }
+
+    const checked = checkStep(entry, body.step, body.response, { reveal: !!body.reveal });
+    if (!checked) {
+      return json(400, { error: "Invalid request", problems: ["step is not one of this question's guided steps"] });
+    }
+    return json(200, checked);
+  } catch (err) {
+    console.error("Function error:", err);
+    return json(500, { error: "Server error", details: String(err) });
+  }
+}
+
+exports.handler = (event) => telemetry.track("hints", () => handle(event));
@@ -0,0 +1,115 @@
+// netlify/functions/packs.js
+//
+// Offline question packs: a batch of verified questions the page stores on the device, so a
+// student can practise and be graded with no connection (see js/offline.js).
+//   POST { subject, topic?, skills?, mix?, difficulty?, format?, count?, language?, excludeIds? }
+//     -> { questions: [question + { passage?, offlineKey }], dropped }
+// The request is a generate-questions request (40 questions unless it says otherwise), and each
+// question comes as generate-questions sends it, sealed answerKey included, so hints and online
+// grading keep working. What's new is `offlineKey`, the answer key in the clear: { correctIndex,
+// misconceptions? } or { correctAnswer, value: { n, d } } for a grid-in, plus solution and
+// translatedSolution?. A pack is practice material the student could read the answers out of,
+// so it is kept apart from the question bank that worksheets and exams draw on: packs never read
+// from the bank, what they generate is never saved to it, and a question that happens to match a
+// banked one is left out. So are questions whose key has no answer (graded by re-solving online),
+// which can't be graded offline; `dropped` counts both.
+
+const { checkRequest, parseRequest, generateQuestions } = require("../lib/generator");
+const { openAnswerKey, hasAnswer } = require("../lib/answer-key");
+const bank = require("../lib/question-bank");
+const { parseAnswer } = require("../lib/answers");
+const { rational } = require("../lib/expression");
+const { describe } = require("../lib/misconceptions");
+const { parseBody } = require("../lib/validate");
+const { checkRateLimit, tooManyRequests } = require("../lib/rate-limit");
+const telemetry = require("../lib/telemetry");
+
+const PACK_SIZE = 40;
+
+function json(statusCode, body) {
+  return {
+    statusCode,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  };
+}
+
+// A grid-in answer as an exact fraction ({ n, d } as strings), so the page can compare typed
+// responses without the server's parser; null for an answer that isn't a plain rational number
+function gridValue(correctAnswer) {
+  const answer = parseAnswer(correctAnswer);
+  const r = answer && answer.kind === "number" && !answer.percent ? rational(answer.value) : null;
+  return r && { n: String(r.n), d: String(r.d) };
+}
+
+// The question's key in the clear, or null when it can't be graded offline
+function offlineKey(q, passage) {
+  const gridIn = q.format === "grid-in";
+  const key = openAnswerKey(q.answerKey, {
+    prompt: q.prompt,
+    choices: gridIn ? null : q.choices,
+    format: gridIn ? "grid-in" : "multiple-choice",
+    figure: q.figure,
+    passageId: passage ? passage.id : undefined,
+  });
+  if (!hasAnswer(key)) return null;
+
+  const open = { solution: key.solution || "" };
+  if (gridIn) {
+    const value = gridValue(key.correctAnswer);
+    if (!value) return null;
+    Object.assign(open, { correctAnswer: key.correctAnswer, value });
+  } else {
+    open.correctIndex = key.correctIndex;
+    // Labelled here, since the page has no copy of the misconception list
+    if (key.misconceptions) {
+      open.misconceptions = key.misconceptions.map(
+        (entry) => entry && { tag: entry.tag, label: describe(q.subject, entry.tag), rationale: entry.rationale }
+      );
+    }
+  }
+  if (key.translatedSolution) open.translatedSolution = key.translatedSolution;
+  return open;
+}
+
+async function handle(event) {
+  if (event.httpMethod !== "POST") {
+    return json(405, { error: "Method not allowed" });
+  }
+
+  const limited = checkRateLimit(event.headers, "pack");
+  if (limited) {
+    return tooManyRequests(limited);
+  }
+
+  try {
+    const { body, problems: parseProblems } = parseBody(event.body);
+    const problems = parseProblems || checkRequest(body);
+    if (!parseProblems && body.variantsOf) problems.push("review variants can't be downloaded as a pack");
+    if (problems.length) {
+      return json(400, { error: "Invalid request", problems });
+    }
+
+    const result = await generateQuestions({ ...parseRequest({ count: PACK_SIZE, ...body }), useBank: false, saveToBank: false });
+    if (result.error) {
+      return json(500, { error: result.error, details: result.details });
+    }
+
+    // Each question carries its own passage, since the device stores questions one by one
+    const banked = bank.fingerprints();
+    const questions = [];
+    result.questions.forEach((q) => {
+      if (banked.has(q.id) || banked.has(bank.questionId(q))) return;
+      const passage = q.passageId ? result.passages.find((p) => p.id === q.passageId) : null;
+      const key = offlineKey(q, passage);
+      if (!key) return;
+      questions.push(passage ? { ...q, passage, offlineKey: key } : { ...q, offlineKey: key });
+    });
+    return json(200, { questions, dropped: result.questions.length - questions.length });
+  } catch (err) {
+    console.error("Function error:", err);
+    return json(500, { error: "Server error", details: String(err) });
+  }
+}
+
+exports.handler = (event) => telemetry.track("packs", () => handle(event));
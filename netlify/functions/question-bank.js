@@ -0,0 +1,255 @@
+// netlify/functions/question-bank.js
+//
+// Import, export and edit the curated question bank.
+//   GET  ?format=json|csv&subject=&topic=&skill=&difficulty=&questionFormat=   export, keys in the clear
+//        JSON is { questions, passages }; CSV repeats the passage on each of its questions
+//   POST { action: "import", format: "json"|"csv", data }
+//   POST { action: "update", id, changes }
+//   POST { action: "delete", id }
+// Every request must send ADMIN_TOKEN in the x-admin-token header; with no ADMIN_TOKEN set the
+// function refuses everything (see lib/admin.js).
+
+const bank = require("../lib/question-bank");
+const { parseCSVObjects, toCSV } = require("../lib/csv");
+const { checkAdmin } = require("../lib/admin");
+const { validate, parseBody } = require("../lib/validate");
+const { checkRateLimit, tooManyRequests } = require("../lib/rate-limit");
+
+const ID_RULE = { type: "string", required: true, maxLength: 64 };
+// One schema per action; an import's data is checked row by row once parsed
+const SCHEMAS = {
+  import: {
+    action: { type: "string" },
+    format: { type: "string", required: true, oneOf: ["json", "csv"] },
+    data: { required: true },
+  },
+  update: { action: { type: "string" }, id: ID_RULE, changes: { type: "object", required: true } },
+  delete: { action: { type: "string" }, id: ID_RULE },
+};
+
+const CSV_COLUMNS = [
+  "id",
+  "subject",
+  "topic",
+  "skill",
+  "difficulty",
+  "format",
+  "prompt",
+  "passage_id",
+  "passage_title",
+  "passage_genre",
+  "passage",
+  "figure",
+  "choice_a",
+  "choice_b",
+  "choice_c",
+  "choice_d",
+  "correct_index",
+  "correct_answer",
+  "solution",
+  "misconception_a",
+  "misconception_b",
+  "misconception_c",
+  "misconception_d",
+];
+const CHOICE_LETTERS = ["a", "b", "c", "d"];
+
+function json(statusCode, body) {
+  return {
+    statusCode,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  };
+}
+
+// Problems with a POST body, checked against its action's schema
+function checkRequest(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) return validate(body, {});
+  if (Object.hasOwn(SCHEMAS, body.action)) return validate(body, SCHEMAS[body.action]);
+  return validate({ action: body.action }, { action: { type: "string", required: true, oneOf: Object.keys(SCHEMAS) } });
+}
+
+function toCSVRow(q, passagesById) {
+  const choices = q.choices || [];
+  const passage = passagesById.get(q.passageId);
+  return {
+    id: q.id,
+    subject: q.subject,
+    topic: q.topic,
+    skill: q.skill,
+    difficulty: q.difficulty,
+    format: q.format,
+    prompt: q.prompt,
+    passage_id: q.passageId,
+    passage_title: passage?.title,
+    passage_genre: passage?.genre,
+    passage: passage?.text,
+    // The figure spec as JSON (see lib/figures.js)
+    figure: q.figure ? JSON.stringify(q.figure) : "",
+    choice_a: choices[0],
+    choice_b: choices[1],
+    choice_c: choices[2],
+    choice_d: choices[3],
+    correct_index: q.correctIndex,
+    correct_answer: q.correctAnswer,
+    solution: q.solution,
+    // "tag: rationale", blank for the correct choice
+    ...Object.fromEntries(
+      CHOICE_LETTERS.map((letter, i) => {
+        const m = q.misconceptions?.[i];
+        return [`misconception_${letter}`, m ? `${m.tag}: ${m.rationale}` : ""];
+      })
+    ),
+  };
+}
+
+// A spreadsheet row back into a question; correct_index may also be a letter A-D
+function fromCSVRow(row) {
+  const format = (row.format || "").trim() === "grid-in" ? "grid-in" : "multiple-choice";
+  const q = {
+    subject: (row.subject || "").trim().toLowerCase(),
+    topic: row.topic,
+    skill: (row.skill || "").trim().toLowerCase(),
+    difficulty: (row.difficulty || "").trim().toLowerCase(),
+    format,
+    prompt: row.prompt,
+    solution: row.solution,
+  };
+  // Rows repeating the same passage text end up sharing one passage
+  if ((row.passage || "").trim()) {
+    q.passage = { title: row.passage_title, genre: (row.passage_genre || "").trim(), text: row.passage };
+  }
+  if ((row.figure || "").trim()) {
+    try {
+      q.figure = JSON.parse(row.figure);
+    } catch (err) {
+      // Left as text, so validation reports it with the rest of the row's problems
+      q.figure = row.figure;
+    }
+  }
+
+  if (format === "grid-in") {
+    q.correctAnswer = (row.correct_answer || "").trim();
+  } else {
+    q.choices = [row.choice_a, row.choice_b, row.choice_c, row.choice_d];
+    const raw = (row.correct_index || "").trim().toUpperCase();
+    q.correctIndex = /^[A-D]$/.test(raw) ? raw.charCodeAt(0) - 65 : raw === "" ? null : Number(raw);
+
+    const misconceptions = CHOICE_LETTERS.map((letter) => {
+      const cell = (row[`misconception_${letter}`] || "").trim();
+      if (!cell) return null;
+      const split = cell.indexOf(":");
+      return split === -1
+        ? { tag: cell, rationale: "" }
+        : { tag: cell.slice(0, split).trim(), rationale: cell.slice(split + 1).trim() };
+    });
+    if (misconceptions.some(Boolean)) q.misconceptions = misconceptions;
+  }
+  return q;
+}
+
+function parseImport(format, data) {
+  if (format === "csv") {
+    return parseCSVObjects(String(data || "")).map(fromCSVRow);
+  }
+  const parsed = typeof data === "string" ? JSON.parse(data) : data;
+  const questions = Array.isArray(parsed) ? parsed : parsed?.questions;
+  if (!Array.isArray(questions)) {
+    throw new Error('JSON import must be an array of questions or { "questions": [...], "passages": [...] }');
+  }
+
+  // Questions may point at passages listed in the same file, as exports do
+  const passages = new Map((Array.isArray(parsed.passages) ? parsed.passages : []).map((p) => [p.id, p]));
+  return questions.map((q) =>
+    q && !q.passage && passages.has(q.passageId) ? { ...q, passage: passages.get(q.passageId) } : q
+  );
+}
+
+function exportBank(params) {
+  const filters = {
+    subject: params.subject,
+    topic: params.topic,
+    skills: params.skill ? [params.skill] : undefined,
+    difficulty: params.difficulty,
+    format: params.questionFormat,
+  };
+  const questions = bank.listQuestions(filters);
+  const passages = bank.passagesFor(questions);
+
+  if (params.format === "csv") {
+    const passagesById = new Map(passages.map((p) => [p.id, p]));
+    return {
+      statusCode: 200,
+      headers: {
+        "Content-Type": "text/csv; charset=utf-8",
+        "Content-Disposition": 'attachment; filename="question-bank.csv"',
+      },
+      body: toCSV(CSV_COLUMNS, questions.map((q) => toCSVRow(q, passagesById))),
+    };
+  }
+
+  return {
+    statusCode: 200,
+    headers: {
+      "Content-Type": "application/json",
+      "Content-Disposition": 'attachment; filename="question-bank.json"',
+    },
+    body: JSON.stringify({ questions, passages }, null, 2),
+  };
+}
+
+exports.handler = async (event) => {
+  // Counted before the token check, so guessing tokens is limited too
+  const limited = checkRateLimit(event.headers, "admin");
+  if (limited) {
+    return tooManyRequests(limited);
+  }
+  const refused = checkAdmin(event.headers);
+  if (refused) {
+    return json(refused.statusCode, { error: refused.error });
+  }
+
+  try {
+    if (event.httpMethod === "GET") {
+      return exportBank(event.queryStringParameters || {});
+    }
+
+    if (event.httpMethod !== "POST") {
+      return json(405, { error: "Method not allowed" });
+    }
+
+    const { body, problems: parseProblems } = parseBody(event.body);
+    const problems = parseProblems || checkRequest(body);
+    if (problems.length) {
+      return json(400, { error: "Invalid request", problems });
+    }
+
+    if (body.action === "import") {
+      let incoming;
+      try {
+        incoming = parseImport(body.format, body.data);
+      } catch (err) {
+        return json(400, { error: "Could not parse import", details: String(err.message || err) });
+      }
+      const { added, duplicates, invalid } = bank.addQuestions(incoming, { source: "imported" });
+      return json(200, { added: added.length, duplicates, invalid });
+    }
+
+    if (body.action === "update") {
+      const result = bank.updateQuestion(body.id, body.changes);
+      if (result.problems) {
+        return json(400, { error: "Question not updated", problems: result.problems });
+      }
+      return json(200, { question: result.question });
+    }
+
+    // "delete" is all checkRequest leaves
+    if (!bank.deleteQuestion(body.id)) {
+      return json(404, { error: "Question not found" });
+    }
+    return json(200, { deleted: body.id });
+  } catch (err) {
+    console.error("Function error:", err);
+    return json(500, { error: "Server error", details: String(err) });
+  }
+};
@@ -0,0 +1,67 @@
+// netlify/functions/scores.js
+//
+// Estimated scaled scores for a practice set or exam (see lib/scoring.js).
+//   POST { sections: [{ subject: "ela" | "math", raw, total }] }
+//     -> { sections: [{ subject, raw, total, percent, scaled, low, high }],
+//          composite: { scaled, low, high } | null,
+//          cutoffs: [{ school, cutoff, chance, outlook }] | null, confidence, source }
+// The composite and the cutoffs come back only when both sections are sent.
+
+const { SECTIONS, estimateScores } = require("../lib/scoring");
+const { validate, parseBody } = require("../lib/validate");
+
+const SCHEMA = {
+  sections: {
+    type: "array",
+    required: true,
+    minItems: 1,
+    maxItems: SECTIONS.length,
+    items: {
+      type: "object",
+      fields: {
+        subject: { type: "string", required: true, oneOf: SECTIONS },
+        raw: { type: "integer", required: true, min: 0 },
+        total: { type: "integer", required: true, min: 1, max: 500 },
+      },
+    },
+  },
+};
+
+function json(statusCode, body) {
+  return {
+    statusCode,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  };
+}
+
+function checkRequest(body) {
+  const problems = validate(body, SCHEMA);
+  if (problems.length) return problems;
+
+  body.sections.forEach((section, i) => {
+    if (section.raw > section.total) problems.push(`sections[${i}].raw must be at most its total`);
+    if (body.sections.findIndex((s) => s.subject === section.subject) !== i) {
+      problems.push(`sections[${i}] repeats the ${section.subject} section`);
+    }
+  });
+  return problems;
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod !== "POST") {
+    return json(405, { error: "Method not allowed" });
+  }
+
+  try {
+    const { body, problems: parseProblems } = parseBody(event.body);
+    const problems = parseProblems || checkRequest(body);
+    if (problems.length) {
+      return json(400, { error: "Invalid request", problems });
+    }
+    return json(200, estimateScores(body.sections));
+  } catch (err) {
+    console.error("Function error:", err);
+    return json(500, { error: "Server error", details: String(err) });
+  }
+};
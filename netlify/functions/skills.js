@@ -0,0 +1,24 @@
+// netlify/functions/skills.js
+//
+// The skill taxonomy (see lib/skills.js), for the page's topic and skill pickers.
+//   GET -> { math: { topics: [[id, label]], categories: [{ id, label, skills: [{ id, category,
+//          topic, label, standards, weight }] }] }, ela: { ... } }
+// It only changes with a deploy, so browsers may cache it for an hour.
+
+const { publicTaxonomy } = require("../lib/skills");
+
+exports.handler = async (event) => {
+  if (event.httpMethod !== "GET") {
+    return {
+      statusCode: 405,
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ error: "Method not allowed" }),
+    };
+  }
+
+  return {
+    statusCode: 200,
+    headers: { "Content-Type": "application/json", "Cache-Control": "public, max-age=3600" },
+    body: JSON.stringify(publicTaxonomy()),
+  };
+};
@@ -0,0 +1,54 @@
+// netlify/functions/telemetry.js
+//
+// The admin report on model usage and generation quality (see lib/telemetry.js).
+//   GET ?days=7 -> { since, requests, totals: { calls, errors, tokens, costUsd },
+//                    byFunction: { name: { requests, failed, calls, errors, promptTokens,
+//                                  completionTokens, costUsd, latencyMs: { p50, p95 }, durationMs } },
+//                    byPurpose: { purpose: { calls, errors, ..., latencyMs } },
+//                    generation: { requests, requested, delivered, fromBank, fromTemplates, dropped,
+//                                  shortfall, shortRequests, reasons: { reason: n } },
+//                    solver: { checks, disagreements, disagreementRate },
+//                    questionBank: { saved, duplicates }, events: { kind: n },
+//                    recent: [record], newest first }
+// `days` runs from 1 to 31. Costs are estimates from budget.js's price list. Requests must send
+// ADMIN_TOKEN in the x-admin-token header; with no ADMIN_TOKEN set the report is turned off.
+
+const telemetry = require("../lib/telemetry");
+const { checkAdmin } = require("../lib/admin");
+const { checkRateLimit, tooManyRequests } = require("../lib/rate-limit");
+
+const DEFAULT_DAYS = 7;
+const MAX_DAYS = 31;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function json(statusCode, body) {
+  return {
+    statusCode,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  };
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod !== "GET") {
+    return json(405, { error: "Method not allowed" });
+  }
+  const limited = checkRateLimit(event.headers, "admin");
+  if (limited) {
+    return tooManyRequests(limited);
+  }
+  const refused = checkAdmin(event.headers);
+  if (refused) {
+    return json(refused.statusCode, { error: refused.error });
+  }
+
+  try {
+    const params = event.queryStringParameters || {};
+    const days = Math.max(1, Math.min(MAX_DAYS, parseInt(params.days, 10) || DEFAULT_DAYS));
+    const since = new Date(Date.now() - days * DAY_MS).toISOString();
+    return json(200, { days, ...telemetry.report({ since }) });
+  } catch (err) {
+    console.error("Function error:", err);
+    return json(500, { error: "Server error", details: String(err) });
+  }
+};
@@ -0,0 +1,108 @@
+// netlify/functions/worksheets.js
+//
+// Teacher worksheets, shared by code (see lib/worksheets.js).
+//   GET  ?code=                                   the worksheet for a student, without keys
+//   GET  ?code=&view=answers                      { code, keys } once the teacher has released them
+//   GET  ?code=&view=gradebook  (x-teacher-key)   per-student scores and item analysis
+//   GET  ?code=&view=key        (x-teacher-key)   the worksheet plus its keys, for the teacher copy
+//   POST { action: "create", title, subject, topics, mix: { easy, medium, hard }, format, source, seed }
+//        -> { code, title, questionCount, teacherKey, rejected }
+//   POST { action: "submit", code, student, responses: { questionId: index | "grid-in text" }, timeSpentMs }
+//        -> { score, total, released, results }; 409 when that student already submitted
+//   POST { action: "release", code }  (x-teacher-key)  -> the worksheet summary with releasedAt
+// Results carry keys and solutions only after "release". The teacher key is only ever returned once, by "create". Creating counts against the
+// "generate" rate limit, since it can mean many model calls; everything else is "worksheet".
+
+const worksheets = require("../lib/worksheets");
+const { parseBody } = require("../lib/validate");
+const { checkRateLimit, tooManyRequests } = require("../lib/rate-limit");
+const telemetry = require("../lib/telemetry");
+
+function json(statusCode, body) {
+  return {
+    statusCode,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  };
+}
+
+function teacherKey(event) {
+  const headers = event.headers || {};
+  return headers["x-teacher-key"] || headers["X-Teacher-Key"] || "";
+}
+
+function read(event) {
+  const params = event.queryStringParameters || {};
+  if (params.view === "gradebook" || params.view === "key") {
+    const view = params.view === "key" ? worksheets.teacherCopy : worksheets.gradebook;
+    const result = view(params.code, teacherKey(event));
+    return result ? json(200, result) : json(401, { error: "Unknown worksheet code or wrong teacher key" });
+  }
+  if (params.view === "answers") {
+    const answers = worksheets.releasedAnswers(params.code);
+    if (!answers) return json(404, { error: "Unknown worksheet code" });
+    return answers.problems ? json(403, { error: answers.problems[0] }) : json(200, answers);
+  }
+  const worksheet = worksheets.getWorksheet(params.code);
+  return worksheet ? json(200, worksheets.studentView(worksheet)) : json(404, { error: "Unknown worksheet code" });
+}
+
+exports.handler = async (event) => {
+  try {
+    if (event.httpMethod === "GET") {
+      const limited = checkRateLimit(event.headers, "worksheet");
+      return limited ? tooManyRequests(limited) : read(event);
+    }
+
+    if (event.httpMethod !== "POST") {
+      return json(405, { error: "Method not allowed" });
+    }
+
+    const { body, problems: parseProblems } = parseBody(event.body);
+    if (parseProblems) {
+      return json(400, { error: "Invalid request", problems: parseProblems });
+    }
+    const limited = checkRateLimit(event.headers, body && body.action === "create" ? "generate" : "worksheet");
+    if (limited) {
+      return tooManyRequests(limited);
+    }
+
+    if (body && body.action === "create") {
+      const { options, problems } = worksheets.parseCreateRequest(body);
+      if (problems) {
+        return json(400, { error: "Worksheet not created", problems });
+      }
+
+      // Only creating calls the model, so only creating is tracked
+      const created = await telemetry.track("worksheets-create", () => worksheets.createWorksheet(options));
+      if (created.problems) {
+        return json(400, { error: "Worksheet not created", problems: created.problems });
+      }
+      if (created.error) {
+        return json(502, { error: created.error, details: created.details });
+      }
+      return json(200, { ...created.worksheet, teacherKey: created.teacherKey, rejected: created.rejected });
+    }
+
+    if (body && body.action === "submit") {
+      const { submission, results, released, conflict, problems } = worksheets.submitWorksheet(body);
+      if (problems) {
+        return json(400, { error: "Worksheet not submitted", problems });
+      }
+      if (conflict) {
+        return json(409, { error: "Worksheet not submitted", problems: [conflict] });
+      }
+      return json(200, { score: submission.score, total: submission.total, released, results });
+    }
+
+    if (body && body.action === "release") {
+      const released = worksheets.releaseAnswers(body.code, teacherKey(event));
+      return released ? json(200, released) : json(401, { error: "Unknown worksheet code or wrong teacher key" });
+    }
+
+    return json(400, { error: 'action must be "create", "submit" or "release"' });
+  } catch (err) {
+    console.error("Function error:", err);
+    return json(500, { error: "Server error", details: String(err) });
+  }
+};
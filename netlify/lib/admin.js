@@ -0,0 +1,29 @@
+// netlify/lib/admin.js
+//
+// The admin token check shared by the question-bank and telemetry functions. Those functions
+// hand out answer keys and usage records, so they stay closed until ADMIN_TOKEN is set, and a
+// request must then send the token in the x-admin-token header.
+
+const crypto = require("crypto");
+
+function digest(text) {
+  return crypto.createHash("sha256").update(String(text)).digest();
+}
+
+// null when the request may go ahead, or { statusCode, error } to refuse it with
+function checkAdmin(headers) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) {
+    return { statusCode: 403, error: "Admin functions are turned off until ADMIN_TOKEN is set" };
+  }
+  const given = (headers && (headers["x-admin-token"] || headers["X-Admin-Token"])) || "";
+  // Digests are the same length whatever was sent, so the comparison takes the same time
+  if (!given || !crypto.timingSafeEqual(digest(given), digest(token))) {
+    return { statusCode: 401, error: "Missing or wrong admin token" };
+  }
+  return null;
+}
+
+module.exports = {
+  checkAdmin,
+};
@@ -0,0 +1,127 @@
+// netlify/lib/answer-key.js
+//
+// Answer keys travel with each question as an encrypted token, so the client can hand them
+// back to check-answer without being able to read them. Tokens are AES-256-GCM sealed with
+// ANSWER_KEY_SECRET and bound to the question text, so a key can't be moved onto another question.
+// A token is also the server's proof that it issued the question: check-answer grades nothing else.
+// A practice set the page may print gets a print token, and each of its keys carries the token's
+// digest; answer-keys opens a key only for the token it was sealed with, so exam parts and other
+// sets generated without one can't be opened that way.
+
+const crypto = require("crypto");
+
+const VERSION = 1;
+
+let ephemeralSecret = null;
+
+function getSecret() {
+  if (process.env.ANSWER_KEY_SECRET) {
+    return process.env.ANSWER_KEY_SECRET;
+  }
+  // Without a configured secret, keys only survive as long as this function instance, and
+  // check-answer refuses questions issued before a cold start. Set it in production.
+  if (!ephemeralSecret) {
+    console.warn("ANSWER_KEY_SECRET is not set; answer keys will not survive a cold start");
+    ephemeralSecret = crypto.randomBytes(32).toString("hex");
+  }
+  return ephemeralSecret;
+}
+
+function encryptionKey() {
+  return crypto.createHash("sha256").update(getSecret()).digest();
+}
+
+// Stable digest of what the student sees; grading a different question with this key fails.
+// A figure or passage is part of the question, so swapping either breaks the key too (the
+// passage by its id, which is a hash of its text).
+function fingerprint({ prompt, choices, format, figure, passageId }) {
+  const seen = [prompt || "", Array.isArray(choices) ? choices : null, format || "multiple-choice"];
+  if (figure) seen.push(figure);
+  if (passageId) seen.push(passageId);
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(seen))
+    .digest("base64url")
+    .slice(0, 22);
+}
+
+// Encrypt `key` (e.g. { correctIndex, solution, misconceptions }) for `question`; returns an opaque string
+function sealAnswerKey(question, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const plaintext = JSON.stringify({ v: VERSION, q: fingerprint(question), key });
+  const ciphertext = Buffer.concat([cipher.update(plaintext, "utf8"), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString("base64url");
+}
+
+// Returns the key sealed for `question`, or null if the token is missing, tampered with,
+// sealed under another secret, or belongs to a different question
+function openAnswerKey(token, question) {
+  if (typeof token !== "string" || !token) return null;
+
+  try {
+    const raw = Buffer.from(token, "base64url");
+    const iv = raw.subarray(0, 12);
+    const tag = raw.subarray(12, 28);
+    const ciphertext = raw.subarray(28);
+    const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    const plaintext = Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString("utf8");
+    const payload = JSON.parse(plaintext);
+
+    if (payload.v !== VERSION || payload.q !== fingerprint(question)) {
+      return null;
+    }
+    return payload.key;
+  } catch (e) {
+    return null;
+  }
+}
+
+function newPrintToken() {
+  return crypto.randomBytes(18).toString("base64url");
+}
+
+// What a key sealed for a printable set carries in place of the token itself
+function printSetId(printToken) {
+  return crypto.createHash("sha256").update(String(printToken)).digest("base64url").slice(0, 22);
+}
+
+// Move the grading fields off a solved question and into its sealed answerKey. A question
+// without correctIndex/correctAnswer still gets a token, just one with no answer in it.
+// `printSet` (a printSetId) lets answer-keys open the key for that set's print token.
+function sealQuestion(q, { printSet = null } = {}) {
+  const key = { subject: q.subject, solution: q.solution || "" };
+  if (printSet) key.printSet = printSet;
+  if (q.format === "grid-in") {
+    key.correctAnswer = q.correctAnswer;
+  } else {
+    key.correctIndex = q.correctIndex;
+    // Which mistake each distractor catches would give the answer away, so it is sealed too
+    if (q.misconceptions) key.misconceptions = q.misconceptions;
+  }
+  // A translated solution (see translations.js) comes back with the English one after grading
+  if (q.translatedSolution) key.translatedSolution = q.translatedSolution;
+
+  q.answerKey = sealAnswerKey(q, key);
+  delete q.correctIndex;
+  delete q.correctAnswer;
+  delete q.solution;
+  delete q.misconceptions;
+  delete q.translatedSolution;
+  return q;
+}
+
+// Whether an opened key can grade on its own, or only proves the question was issued
+function hasAnswer(key) {
+  return !!key && (Number.isInteger(key.correctIndex) || (typeof key.correctAnswer === "string" && key.correctAnswer !== ""));
+}
+
+module.exports = {
+  sealAnswerKey,
+  openAnswerKey,
+  hasAnswer,
+  sealQuestion,
+  newPrintToken,
+  printSetId,
+};
@@ -0,0 +1,178 @@
+// netlify/lib/answers.js
+//
+// Reading answers out of answer choices, solver replies and typed grid-in responses, and
+// comparing them. An answer is { kind, value, ... } with value from expression.js, so
+// "$1,250.50", "12%", "3π cm²", "√50", "2.5 × 10^3", "x = 4", "3:5" and "x > 7" all parse,
+// as do the same written in inline math markup ("\(\frac{3}{5}\)"), and values compare
+// exactly unless one side was rounded.
+//   kind "number"      value, plus percent: true for "12%"
+//   kind "ratio"       value is the quotient, so "6:10" equals "3:5"
+//   kind "inequality"  relation ("<", ">", "≤", "≥" or "≠") and value, read as "x <relation> value"
+
+const { evaluate, fraction, exact, add, multiply, reciprocal, equal, rational, toNumber } = require("./expression");
+
+// SHSAT grid-in boxes hold 5 characters, including a minus sign and decimal point
+const GRID_MAX_CHARS = 5;
+
+const RELATIONS = { "<": "<", ">": ">", "<=": "≤", ">=": "≥", "≤": "≤", "≥": "≥", "≠": "≠", "!=": "≠" };
+const FLIPPED = { "<": ">", ">": "<", "≤": "≥", "≥": "≤", "≠": "≠" };
+
+// What a typed grid-in may be: an integer, decimal, fraction or mixed number and nothing else
+const GRID_PATTERN = /^-?(\d+\s+\d+\s*\/\s*\d+|\d+\s*\/\s*\d+|\d+\.?\d*|\.\d+)$/;
+
+// "1 1/2" and "-2 1/4" are mixed numbers, not 1 × 1/2
+function mixedNumber(text) {
+  const m = text.match(/^(-?)(\d+)\s+(\d+)\s*\/\s*(\d+)$/);
+  // "1 1/00" is a zero denominator too, so test the number rather than the digits
+  if (!m || BigInt(m[4]) === 0n) return null;
+  const value = add(exact(fraction(BigInt(m[2]))), exact(fraction(BigInt(m[3]), BigInt(m[4]))));
+  return m[1] ? multiply(value, exact(fraction(-1n))) : value;
+}
+
+function quantity(text) {
+  return mixedNumber(text) || evaluate(text);
+}
+
+// Strip what surrounds the number: currency, thousands separators, trailing units
+function clean(text) {
+  return text
+    .replace(/[$€£¢]/g, "")
+    .replace(/(\d),(?=\d{3}(?!\d))/g, "$1")
+    .replace(/\s+(dollars?|cents?)\b/gi, "")
+    // Trailing units: "cm", "sq ft", "cm²", "miles per hour", "m/s", "°"
+    .replace(/\s*(?:°|\b(?!pi\b|sqrt\b)[a-z][a-z²³]*\.?)(?:[\s/.]*(?:per\b|[a-z][a-z²³]*\.?|°))*\s*$/i, "")
+    .trim();
+}
+
+const MARKUP_SYMBOLS = { pi: "π", times: "×", cdot: "×", div: "÷", le: "≤", leq: "≤", ge: "≥", geq: "≥", ne: "≠", neq: "≠" };
+
+// Inline math markup (see js/math-render.js) as plain arithmetic: "\(\frac{3}{8}\)" is "((3)/(8))"
+function unmarkup(text) {
+  if (!text.includes("\\")) return text;
+  let out = text
+    .replace(/\\[()]/g, "")
+    .replace(/\\(?:left|right)\b/g, "")
+    .replace(/\\text\s*\{([^{}]*)\}/g, "$1")
+    .replace(/\\([%$])/g, "$1")
+    // "1\frac{1}{2}" is a mixed number
+    .replace(/(\d+)\s*\\frac\s*\{(\d+)\}\s*\{(\d+)\}/g, "($1+$2/$3)");
+  // Innermost first, so nested fractions and roots unwind one level per pass
+  for (let prev = null; prev !== out; ) {
+    prev = out;
+    out = out
+      .replace(/\\frac\s*\{([^{}]*)\}\s*\{([^{}]*)\}/g, "(($1)/($2))")
+      .replace(/\\sqrt\s*\{([^{}]*)\}/g, "√($1)")
+      .replace(/\^\s*\{([^{}]*)\}/g, "^($1)");
+  }
+  return out
+    .replace(/\\([a-z]+)/gi, (match, name) => MARKUP_SYMBOLS[name] || match)
+    .replace(/\{/g, "(")
+    .replace(/\}/g, ")");
+}
+
+// Returns an answer, or null when `raw` isn't something we can read. With { strict: true }
+// only a plain integer, decimal, fraction or mixed number is accepted, which is how typed
+// grid-in responses are read.
+function parseAnswer(raw, { strict = false } = {}) {
+  if (raw == null || typeof raw === "object") return null;
+  let text = String(raw).replace(/[−–]/g, "-").trim();
+
+  if (!strict) text = unmarkup(text).trim();
+  if (strict) {
+    text = text.replace(/,/g, "");
+    const value = GRID_PATTERN.test(text) ? quantity(text) : null;
+    return value && { kind: "number", value };
+  }
+
+  // "x = 4", "y = 3/2"
+  text = text.replace(/^[a-z]\s*=\s*/i, "");
+
+  // "x > 7", "x ≤ 3.5", "7 < x"
+  let m = text.match(/^([a-z])?\s*(<=|>=|!=|[<>≤≥≠])\s*(.+)$/i);
+  let reversed = false;
+  if (!m) {
+    m = text.match(/^(.+?)\s*(<=|>=|!=|[<>≤≥≠])\s*([a-z])$/i);
+    reversed = !!m;
+  }
+  if (m) {
+    const value = quantity(clean(reversed ? m[1] : m[3]));
+    const relation = RELATIONS[m[2]];
+    return value && { kind: "inequality", relation: reversed ? FLIPPED[relation] : relation, value };
+  }
+
+  // "3:5", "3 to 5"
+  m = text.match(/^(.+?)\s*(?::|\bto\b)\s*(.+)$/i);
+  if (m) {
+    const left = quantity(clean(m[1]));
+    const right = quantity(clean(m[2]));
+    if (!left || !right || toNumber(right) === 0) return null;
+    return { kind: "ratio", value: multiply(left, reciprocal(right)) };
+  }
+
+  // "12%", "12 percent"
+  m = text.match(/^(.+?)\s*(?:%|\bpercent\b)$/i);
+  if (m) {
+    const value = quantity(clean(m[1]));
+    return value && { kind: "number", percent: true, value: multiply(value, exact(fraction(1n, 100n))) };
+  }
+
+  const value = quantity(clean(text));
+  return value && { kind: "number", value };
+}
+
+// Percents match either way a solver might report them: "12%" equals 0.12 and 12
+function sameAnswer(a, b) {
+  if (!a || !b) return false;
+  if (a.kind === "inequality" || b.kind === "inequality") {
+    return a.kind === b.kind && a.relation === b.relation && equal(a.value, b.value);
+  }
+  if (equal(a.value, b.value)) return true;
+  if (a.percent === b.percent) return false;
+  const percent = a.percent ? a : b;
+  const plain = a.percent ? b : a;
+  return equal(multiply(percent.value, exact(fraction(100n))), plain.value);
+}
+
+// Indexes of every choice equal to `answer` (an answer from parseAnswer)
+function matchingChoiceIndexes(answer, choices) {
+  const matches = [];
+  choices.forEach((choice, i) => {
+    if (sameAnswer(parseAnswer(choice), answer)) matches.push(i);
+  });
+  return matches;
+}
+
+// A plain rational answer as an exact decimal ("0.375", "-12.5"), or null when it doesn't
+// terminate or isn't a plain number
+function decimalText(answer) {
+  const r = answer && answer.kind === "number" && !answer.percent ? rational(answer.value) : null;
+  if (!r) return null;
+  // Terminates exactly when the denominator is 2^a × 5^b, after max(a, b) places
+  let d = r.d;
+  let twos = 0;
+  let fives = 0;
+  for (; d % 2n === 0n; twos++) d /= 2n;
+  for (; d % 5n === 0n; fives++) d /= 5n;
+  if (d !== 1n) return null;
+  const places = Math.max(twos, fives);
+
+  const scaled = (r.n * 10n ** BigInt(places)) / r.d;
+  const negative = scaled < 0n;
+  const digits = (negative ? -scaled : scaled).toString().padStart(places + 1, "0");
+  const whole = digits.slice(0, digits.length - places);
+  const decimals = digits.slice(digits.length - places).replace(/0+$/, "");
+  return `${negative ? "-" : ""}${whole}${decimals ? "." + decimals : ""}`;
+}
+
+// Grid answers drop the leading zero ("0.125" is gridded as ".125")
+function fitsGrid(value) {
+  return String(value).replace(/^(-?)0\./, "$1.").length <= GRID_MAX_CHARS;
+}
+
+module.exports = {
+  parseAnswer,
+  sameAnswer,
+  matchingChoiceIndexes,
+  decimalText,
+  fitsGrid,
+};
@@ -0,0 +1,92 @@
+// netlify/lib/budget.js
+//
+// Daily spending cap on model calls. llm.js records the tokens every call uses, and once
+// today's total (UTC) passes the budget, further calls are refused until midnight:
+//   LLM_DAILY_TOKEN_BUDGET     tokens per day across all calls (default 2,000,000; 0 = no cap;
+//                              empty or not a number = the default)
+//   LLM_DAILY_COST_BUDGET_USD  dollars per day, priced from PRICES below (unset = no cap)
+// Models missing from PRICES count toward the token budget only.
+// The totals live in the JSON store (store.js), so the cap is only as shared as DATA_DIR. On
+// hosted Netlify, without a persistent DATA_DIR, each function instance keeps its own short-lived
+// count: the cap is then a best-effort brake per instance, not a daily total for the site, and
+// the provider's own spending limit is what actually bounds the bill.
+
+const store = require("./store");
+
+const USAGE = "llm-usage";
+const DEFAULT_DAILY_TOKENS = 2000000;
+// Days of history kept in the usage file
+const KEEP_DAYS = 31;
+// US dollars per million tokens: [prompt, completion]
+const PRICES = {
+  "gpt-4o": [2.5, 10],
+  "gpt-4o-mini": [0.15, 0.6],
+  "gpt-4.1": [2, 8],
+  "gpt-4.1-mini": [0.4, 1.6],
+};
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// Only an explicit number counts; Number("") is 0, which would quietly lift the cap
+function tokenBudget() {
+  const text = (process.env.LLM_DAILY_TOKEN_BUDGET || "").trim();
+  const value = Number(text);
+  return text !== "" && Number.isFinite(value) && value >= 0 ? value : DEFAULT_DAILY_TOKENS;
+}
+
+function costBudget() {
+  const value = Number(process.env.LLM_DAILY_COST_BUDGET_USD);
+  return process.env.LLM_DAILY_COST_BUDGET_USD && Number.isFinite(value) ? value : 0;
+}
+
+// Estimated US dollars for one call's `usage`; 0 for a model without a price
+function costOf(model, usage) {
+  const price = PRICES[model];
+  if (!price) return 0;
+  return ((usage.prompt_tokens || 0) * price[0] + (usage.completion_tokens || 0) * price[1]) / 1e6;
+}
+
+// Today's totals: { date, calls, promptTokens, completionTokens, tokens, costUsd }
+function usageToday() {
+  const day = store.readJSON(USAGE, {})[today()];
+  return { date: today(), calls: 0, promptTokens: 0, completionTokens: 0, tokens: 0, costUsd: 0, ...day };
+}
+
+// Add one call's `usage` ({ prompt_tokens, completion_tokens, total_tokens }) to today's totals
+function recordUsage(model, usage) {
+  const date = today();
+  store.updateJSON(USAGE, {}, (days) => {
+    const day = { calls: 0, promptTokens: 0, completionTokens: 0, tokens: 0, costUsd: 0, ...days[date] };
+    day.calls++;
+    day.promptTokens += (usage && usage.prompt_tokens) || 0;
+    day.completionTokens += (usage && usage.completion_tokens) || 0;
+    day.tokens += (usage && usage.total_tokens) || 0;
+    day.costUsd += usage ? costOf(model, usage) : 0;
+
+    const kept = Object.keys(days).sort().slice(-KEEP_DAYS + 1);
+    return { ...Object.fromEntries(kept.map((d) => [d, days[d]])), [date]: day };
+  });
+}
+
+// A message when today's budget is spent, otherwise null
+function budgetError() {
+  const used = usageToday();
+  const tokens = tokenBudget();
+  if (tokens > 0 && used.tokens >= tokens) {
+    return `Daily token budget of ${tokens} is used up; try again tomorrow`;
+  }
+  const dollars = costBudget();
+  if (dollars > 0 && used.costUsd >= dollars) {
+    return `Daily spending budget of $${dollars} is used up; try again tomorrow`;
+  }
+  return null;
+}
+
+module.exports = {
+  costOf,
+  usageToday,
+  recordUsage,
+  budgetError,
+};
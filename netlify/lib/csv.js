@@ -0,0 +1,79 @@
+// netlify/lib/csv.js
+//
+// Minimal RFC 4180 CSV: quoted fields, doubled quotes, and newlines inside quotes.
+
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  const src = String(text).replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Skip blank lines
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ""));
+}
+
+// Parse into objects keyed by the header row
+function parseCSVObjects(text) {
+  const [header, ...rows] = parseCSV(text);
+  if (!header) return [];
+  const keys = header.map((h) => h.trim());
+  return rows.map((cells) => {
+    const obj = {};
+    keys.forEach((key, i) => {
+      obj[key] = cells[i] ?? "";
+    });
+    return obj;
+  });
+}
+
+function escapeField(value) {
+  const str = value == null ? "" : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function toCSV(columns, objects) {
+  const lines = [columns.map(escapeField).join(",")];
+  objects.forEach((obj) => {
+    lines.push(columns.map((column) => escapeField(obj[column])).join(","));
+  });
+  return lines.join("\r\n") + "\r\n";
+}
+
+module.exports = {
+  parseCSV,
+  parseCSVObjects,
+  toCSV,
+};
@@ -0,0 +1,273 @@
+// netlify/lib/expression.js
+//
+// Exact evaluation of the arithmetic in an answer: "3/8", "2.5 × 10^3", "3π", "√50", "(2/3)^2".
+// An exact value is coef × π^pi × √root, with coef a BigInt fraction and root square-free, so
+// "√50" and "5√2" come out identical. Anything that doesn't fit that shape (2 + √3, 2^0.3)
+// falls back to an ordinary float with exact: false. See answers.js for units, percents,
+// ratios and inequalities.
+
+// Decimals with more places than this are taken as rounded ("0.3333333"), not exact
+const EXACT_DECIMAL_PLACES = 6;
+// Limits that keep a hostile or silly input from building enormous numbers
+const MAX_LENGTH = 100;
+const MAX_EXPONENT = 64;
+const MAX_SQUARE_FREE = 10n ** 10n;
+
+function gcd(a, b) {
+  a = a < 0n ? -a : a;
+  b = b < 0n ? -b : b;
+  while (b) [a, b] = [b, a % b];
+  return a;
+}
+
+function fraction(n, d = 1n) {
+  if (d === 0n) throw new Error("division by zero");
+  if (d < 0n) [n, d] = [-n, -d];
+  const g = gcd(n, d) || 1n;
+  return { n: n / g, d: d / g };
+}
+
+function exact(coef, pi = 0, root = 1n) {
+  return { exact: true, coef, pi: coef.n === 0n ? 0 : pi, root: coef.n === 0n ? 1n : root };
+}
+
+function approx(x) {
+  if (!Number.isFinite(x)) throw new Error("not a finite number");
+  return { exact: false, approx: x };
+}
+
+function toNumber(v) {
+  if (!v.exact) return v.approx;
+  return (Number(v.coef.n) / Number(v.coef.d)) * Math.PI ** v.pi * Math.sqrt(Number(v.root));
+}
+
+// s = k² × r with r square-free, as [k, r]; null when s is too big to factor quickly
+function squareFree(s) {
+  if (s > MAX_SQUARE_FREE) return null;
+  let k = 1n;
+  let r = s;
+  for (let p = 2n; p * p <= r; p++) {
+    while (r % (p * p) === 0n) {
+      r /= p * p;
+      k *= p;
+    }
+  }
+  return [k, r];
+}
+
+function isZero(v) {
+  return v.exact ? v.coef.n === 0n : v.approx === 0;
+}
+
+function add(a, b) {
+  if (a.exact && b.exact) {
+    if (isZero(a)) return b;
+    if (isZero(b)) return a;
+    if (a.pi === b.pi && a.root === b.root) {
+      return exact(fraction(a.coef.n * b.coef.d + b.coef.n * a.coef.d, a.coef.d * b.coef.d), a.pi, a.root);
+    }
+  }
+  return approx(toNumber(a) + toNumber(b));
+}
+
+function negate(v) {
+  return v.exact ? exact(fraction(-v.coef.n, v.coef.d), v.pi, v.root) : approx(-v.approx);
+}
+
+function multiply(a, b) {
+  if (a.exact && b.exact) {
+    const split = squareFree(a.root * b.root);
+    if (split) {
+      const [k, r] = split;
+      return exact(fraction(a.coef.n * b.coef.n * k, a.coef.d * b.coef.d), a.pi + b.pi, r);
+    }
+  }
+  return approx(toNumber(a) * toNumber(b));
+}
+
+// 1/(c × π^p × √r) = (1/(c × r)) × π^-p × √r
+function reciprocal(v) {
+  if (isZero(v)) throw new Error("division by zero");
+  if (!v.exact) return approx(1 / v.approx);
+  return exact(fraction(v.coef.d, v.coef.n * v.root), -v.pi, v.root);
+}
+
+function squareRoot(v) {
+  if (toNumber(v) < 0) throw new Error("square root of a negative number");
+  if (v.exact && v.root === 1n && v.pi % 2 === 0) {
+    // √(n/d) = √(n × d) / d
+    const split = squareFree(v.coef.n * v.coef.d);
+    if (split) return exact(fraction(split[0], v.coef.d), v.pi / 2, split[1]);
+  }
+  return approx(Math.sqrt(toNumber(v)));
+}
+
+function power(base, exponent) {
+  const e = exponent.exact && exponent.pi === 0 && exponent.root === 1n ? exponent.coef : null;
+  if (e && e.d === 1n && (e.n < 0n ? -e.n : e.n) <= BigInt(MAX_EXPONENT)) {
+    let result = exact(fraction(1n));
+    const times = Number(e.n < 0n ? -e.n : e.n);
+    for (let i = 0; i < times; i++) result = multiply(result, base);
+    return e.n < 0n ? reciprocal(result) : result;
+  }
+  if (e && e.n === 1n && e.d === 2n) return squareRoot(base);
+  return approx(Math.pow(toNumber(base), toNumber(exponent)));
+}
+
+function equal(a, b) {
+  if (a.exact && b.exact) {
+    return a.coef.n === b.coef.n && a.coef.d === b.coef.d && a.pi === b.pi && a.root === b.root;
+  }
+  // At least one side was rounded somewhere; compare relative to the size of the numbers
+  const x = toNumber(a);
+  const y = toNumber(b);
+  return Math.abs(x - y) <= 1e-6 * Math.max(1, Math.abs(x), Math.abs(y));
+}
+
+// Exact rational value as { n, d }, or null when π, a radical or rounding is involved
+function rational(v) {
+  return v.exact && v.pi === 0 && v.root === 1n ? v.coef : null;
+}
+
+// Number literals: "12", "2.50", ".5", "2.5e3"
+function parseNumber(text) {
+  const m = text.match(/^(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i);
+  if (!m || (!m[1] && !m[2])) throw new Error(`bad number "${text}"`);
+  const places = (m[2] || "").length;
+  const digits = BigInt((m[1] || "0") + (m[2] || ""));
+  let value = exact(fraction(digits, 10n ** BigInt(places)));
+  if (m[3]) {
+    value = multiply(value, power(exact(fraction(10n)), exact(fraction(BigInt(m[3])))));
+  }
+  return places > EXACT_DECIMAL_PLACES ? approx(toNumber(value)) : value;
+}
+
+const SUPERSCRIPTS = { "⁰": "0", "¹": "1", "²": "2", "³": "3", "⁴": "4", "⁵": "5", "⁶": "6", "⁷": "7", "⁸": "8", "⁹": "9", "⁻": "-" };
+
+// Spellings people and models use for the same thing
+function normalize(text) {
+  return text
+    .replace(/[−–—]/g, "-")
+    .replace(/[×·⋅]|\*/g, "*")
+    .replace(/÷/g, "/")
+    .replace(/\bpi\b/gi, "π")
+    .replace(/\bsqrt\b/gi, "√")
+    // "2.5 x 10^3": an x between two numbers is a times sign
+    .replace(/([\d).])\s*x\s*(?=[\d(])/gi, "$1*")
+    // "10³" and "(2/3)²" are powers; a superscript after a letter ("cm²") is part of a unit
+    .replace(/([\d)π])([⁰¹²³⁴⁵⁶⁷⁸⁹⁻]+)/g, (_, before, sup) => `${before}^(${[...sup].map((c) => SUPERSCRIPTS[c]).join("")})`);
+}
+
+function tokenize(text) {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([-+*/^()π√]))/iy;
+  let index = 0;
+  while (text.slice(index).trim()) {
+    pattern.lastIndex = index;
+    const m = pattern.exec(text);
+    if (!m) throw new Error(`unexpected "${text.slice(index)}"`);
+    tokens.push(m[1] !== undefined ? { number: m[1] } : { op: m[2] });
+    index = pattern.lastIndex;
+  }
+  return tokens;
+}
+
+// expression := term (("+" | "-") term)*
+// term       := unary (("*" | "/") unary | implicit unary)*    implicit: "3π", "2√3", "2(4)"
+//               (never between two numbers: "1 1/2" is a mixed number, handled in answers.js)
+// unary      := "-" unary | "+" unary | power
+// power      := primary ("^" unary)?
+// primary    := number | "π" | "√" primary | "(" expression ")"
+function parse(tokens) {
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isOp = (op) => peek() && peek().op === op;
+  const expect = (op) => {
+    if (!isOp(op)) throw new Error(`expected "${op}"`);
+    pos++;
+  };
+
+  function expression() {
+    let value = term();
+    while (isOp("+") || isOp("-")) {
+      const op = tokens[pos++].op;
+      const right = term();
+      value = op === "+" ? add(value, right) : add(value, negate(right));
+    }
+    return value;
+  }
+
+  function term() {
+    let value = unary();
+    for (;;) {
+      if (isOp("*")) {
+        pos++;
+        value = multiply(value, unary());
+      } else if (isOp("/")) {
+        pos++;
+        value = multiply(value, reciprocal(unary()));
+      } else if (isOp("π") || isOp("√") || isOp("(")) {
+        value = multiply(value, unary());
+      } else {
+        return value;
+      }
+    }
+  }
+
+  function unary() {
+    if (isOp("-")) {
+      pos++;
+      return negate(unary());
+    }
+    if (isOp("+")) {
+      pos++;
+      return unary();
+    }
+    const base = primary();
+    if (isOp("^")) {
+      pos++;
+      return power(base, unary());
+    }
+    return base;
+  }
+
+  function primary() {
+    const token = tokens[pos++];
+    if (!token) throw new Error("unexpected end");
+    if (token.number !== undefined) return parseNumber(token.number);
+    if (token.op === "π") return exact(fraction(1n), 1);
+    if (token.op === "√") return squareRoot(primary());
+    if (token.op === "(") {
+      const value = expression();
+      expect(")");
+      return value;
+    }
+    throw new Error(`unexpected "${token.op}"`);
+  }
+
+  const value = expression();
+  if (pos < tokens.length) throw new Error("unexpected input after the expression");
+  return value;
+}
+
+// The value of `text`, or null when it isn't an expression we can evaluate
+function evaluate(text) {
+  if (typeof text !== "string" || !text.trim() || text.length > MAX_LENGTH) return null;
+  try {
+    return parse(tokenize(normalize(text)));
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = {
+  evaluate,
+  fraction,
+  exact,
+  add,
+  multiply,
+  reciprocal,
+  equal,
+  rational,
+  toNumber,
+};
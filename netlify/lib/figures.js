@@ -0,0 +1,273 @@
+// netlify/lib/figures.js
+//
+// Figures that go with a math question: a small JSON spec the page draws as SVG (see
+// js/figure-render.js). The model, the templates and bank imports all write specs; checkFigure
+// cleans one up and makes sure every labeled measurement is one the question text states too,
+// so the picture and the words can't disagree. Coordinates are math-style: x right, y up.
+//   polygon           vertices [{ label, x, y }], sides [{ from, to, label }], angles [{ at, label, right }]
+//   circle            center (label), radius and diameter (labels)
+//   coordinate-plane  xMin, xMax, yMin, yMax, points [{ label, x, y }], segments [{ from, to }]
+//   number-line       min, max, step, points [{ value, label, open }], ranges [{ from, to }]
+//   bar-chart         title, xLabel, yLabel, bars [{ label, value }]
+//   table             title, columns [...], rows [[...], ...]
+// Every figure also gets a `description`: the page's alt text and what solvers read.
+
+const { parseAnswer, sameAnswer } = require("./answers");
+const { exact, fraction, multiply, equal, toNumber } = require("./expression");
+
+const TYPES = ["polygon", "circle", "coordinate-plane", "number-line", "bar-chart", "table"];
+const MAX_LABEL = 40;
+const MAX_TITLE = 80;
+const MAX_COORDINATE = 1000;
+const LIMITS = { vertices: 8, points: 12, segments: 12, bars: 12, columns: 6, rows: 12, ticks: 40 };
+
+const SHAPE_NAMES = { 3: "triangle", 4: "quadrilateral", 5: "pentagon", 6: "hexagon", 7: "heptagon", 8: "octagon" };
+
+// Numbers the question text states, in any of the forms answers.js reads
+const TEXT_NUMBER = /\\\([\s\S]*?\\\)|(?:\d[\d,]*(?:\.\d+)?|\.\d+)?\s*(?:π|√\s*\d+(?:\.\d+)?)|\d[\d,]*(?:\.\d+)?|\.\d+/g;
+
+function text(value, max = MAX_LABEL) {
+  return typeof value === "string" || typeof value === "number" ? String(value).trim().slice(0, max) : "";
+}
+
+function isCoordinate(value) {
+  return typeof value === "number" && Number.isFinite(value) && Math.abs(value) <= MAX_COORDINATE;
+}
+
+// The value a label states ("12 cm", "40°", "3√2"), or null for an unknown ("x", "2x + 1", "?")
+function measurement(label) {
+  return /\d/.test(label) ? parseAnswer(label) : null;
+}
+
+function statedNumbers(prompt) {
+  return (String(prompt).match(TEXT_NUMBER) || []).map((token) => parseAnswer(token)).filter(Boolean);
+}
+
+// ---------------------------------------------------------------------
+// Per-type cleanup: each returns the clean spec, pushing anything wrong onto `problems`
+// ---------------------------------------------------------------------
+
+function cleanPolygon(raw, problems) {
+  const vertices = (Array.isArray(raw.vertices) ? raw.vertices : []).slice(0, LIMITS.vertices + 1).map((v) => ({
+    label: text(v && v.label, 3),
+    x: v && v.x,
+    y: v && v.y,
+  }));
+  if (vertices.length < 3 || vertices.length > LIMITS.vertices) {
+    problems.push(`a polygon needs 3 to ${LIMITS.vertices} vertices`);
+  }
+  if (vertices.some((v) => !isCoordinate(v.x) || !isCoordinate(v.y))) problems.push("every vertex needs numeric x and y");
+  const names = vertices.map((v) => v.label).filter(Boolean);
+  if (new Set(names).size !== names.length) problems.push("vertex labels must be different");
+  const index = (label) => vertices.findIndex((v) => v.label && v.label === text(label, 3));
+
+  const sides = (Array.isArray(raw.sides) ? raw.sides : []).map((s) => ({ from: text(s && s.from, 3), to: text(s && s.to, 3), label: text(s && s.label) }));
+  sides.forEach((side) => {
+    const a = index(side.from);
+    const b = index(side.to);
+    const n = vertices.length;
+    if (a === -1 || b === -1 || (Math.abs(a - b) !== 1 && Math.abs(a - b) !== n - 1)) {
+      problems.push(`side ${side.from}${side.to} is not a side of the polygon`);
+    }
+  });
+
+  const angles = (Array.isArray(raw.angles) ? raw.angles : []).map((a) => ({ at: text(a && a.at, 3), label: text(a && a.label), right: !!(a && a.right) }));
+  angles.forEach((angle) => {
+    if (index(angle.at) === -1) problems.push(`angle ${angle.at} is not at a vertex`);
+    const value = measurement(angle.label);
+    if (angle.right && value && toNumber(value.value) !== 90) problems.push(`angle ${angle.at} is marked right but labeled ${angle.label}`);
+  });
+
+  // With every angle given, they have to add up to (n - 2) × 180°
+  const values = vertices.map((v) => {
+    const angle = angles.find((a) => a.at === v.label);
+    const value = angle && measurement(angle.label);
+    return angle && angle.right ? 90 : value ? toNumber(value.value) : null;
+  });
+  if (vertices.length >= 3 && values.every((v) => v !== null)) {
+    const sum = values.reduce((a, b) => a + b, 0);
+    if (Math.abs(sum - (vertices.length - 2) * 180) > 1e-6) problems.push(`the angles add up to ${sum}°, not ${(vertices.length - 2) * 180}°`);
+  }
+
+  return { type: "polygon", vertices, sides, angles, labels: [...sides.map((s) => s.label), ...angles.map((a) => a.label)] };
+}
+
+function cleanCircle(raw, problems) {
+  const figure = { type: "circle", center: text(raw.center, 3), radius: text(raw.radius), diameter: text(raw.diameter) };
+  const r = measurement(figure.radius);
+  const d = measurement(figure.diameter);
+  if (r && d && !equal(multiply(r.value, exact(fraction(2n))), d.value)) {
+    problems.push(`a radius of ${figure.radius} doesn't go with a diameter of ${figure.diameter}`);
+  }
+  return { ...figure, labels: [figure.radius, figure.diameter] };
+}
+
+function cleanCoordinatePlane(raw, problems) {
+  const figure = { type: "coordinate-plane", xMin: raw.xMin, xMax: raw.xMax, yMin: raw.yMin, yMax: raw.yMax };
+  if (![figure.xMin, figure.xMax, figure.yMin, figure.yMax].every(Number.isInteger) || figure.xMin >= figure.xMax || figure.yMin >= figure.yMax) {
+    problems.push("a coordinate plane needs whole-number xMin < xMax and yMin < yMax");
+  } else if (figure.xMax - figure.xMin > LIMITS.ticks || figure.yMax - figure.yMin > LIMITS.ticks) {
+    problems.push(`a coordinate plane can span at most ${LIMITS.ticks} units each way`);
+  }
+
+  figure.points = (Array.isArray(raw.points) ? raw.points : []).slice(0, LIMITS.points).map((p) => ({ label: text(p && p.label, 3), x: p && p.x, y: p && p.y }));
+  figure.points.forEach((p) => {
+    if (!isCoordinate(p.x) || !isCoordinate(p.y) || p.x < figure.xMin || p.x > figure.xMax || p.y < figure.yMin || p.y > figure.yMax) {
+      problems.push(`point ${p.label || "?"} is off the grid`);
+    }
+  });
+  const names = figure.points.map((p) => p.label);
+  figure.segments = (Array.isArray(raw.segments) ? raw.segments : []).slice(0, LIMITS.segments).map((s) => ({ from: text(s && s.from, 3), to: text(s && s.to, 3) }));
+  figure.segments.forEach((s) => {
+    if (!names.includes(s.from) || !names.includes(s.to)) problems.push(`segment ${s.from}${s.to} joins a point that isn't plotted`);
+  });
+  // Plotted coordinates are given, so there are no labels to check against the text
+  return { ...figure, labels: [] };
+}
+
+function cleanNumberLine(raw, problems) {
+  const figure = { type: "number-line", min: raw.min, max: raw.max, step: raw.step };
+  const ok = [figure.min, figure.max, figure.step].every(isCoordinate) && figure.min < figure.max && figure.step > 0;
+  if (!ok) {
+    problems.push("a number line needs numeric min < max and a positive step");
+  } else if ((figure.max - figure.min) / figure.step > LIMITS.ticks) {
+    problems.push(`a number line can have at most ${LIMITS.ticks} tick marks`);
+  }
+  const inRange = (value) => isCoordinate(value) && value >= figure.min && value <= figure.max;
+
+  figure.points = (Array.isArray(raw.points) ? raw.points : []).slice(0, LIMITS.points).map((p) => ({ value: p && p.value, label: text(p && p.label), open: !!(p && p.open) }));
+  figure.ranges = (Array.isArray(raw.ranges) ? raw.ranges : []).slice(0, LIMITS.points).map((r) => ({ from: r && r.from, to: r && r.to }));
+  figure.points.forEach((p) => {
+    if (!inRange(p.value)) problems.push(`point ${p.label || p.value} is off the number line`);
+  });
+  figure.ranges.forEach((r) => {
+    if (!inRange(r.from) || !inRange(r.to) || r.from >= r.to) problems.push("a shaded range must run from one point on the line to a later one");
+  });
+  return { ...figure, labels: figure.points.map((p) => p.label) };
+}
+
+function cleanBarChart(raw, problems) {
+  const bars = (Array.isArray(raw.bars) ? raw.bars : []).slice(0, LIMITS.bars + 1).map((b) => ({ label: text(b && b.label), value: b && b.value }));
+  if (bars.length < 1 || bars.length > LIMITS.bars) problems.push(`a bar chart needs 1 to ${LIMITS.bars} bars`);
+  if (bars.some((b) => !b.label || !isCoordinate(b.value) || b.value < 0)) problems.push("every bar needs a label and a value of 0 or more");
+  // The chart is where the data lives, so its values don't also have to be in the text
+  return { type: "bar-chart", title: text(raw.title, MAX_TITLE), xLabel: text(raw.xLabel), yLabel: text(raw.yLabel), bars, labels: [] };
+}
+
+function cleanTable(raw, problems) {
+  const columns = (Array.isArray(raw.columns) ? raw.columns : []).map((c) => text(c));
+  const rows = (Array.isArray(raw.rows) ? raw.rows : []).map((row) => (Array.isArray(row) ? row.map((cell) => text(cell)) : []));
+  if (columns.length < 1 || columns.length > LIMITS.columns) problems.push(`a table needs 1 to ${LIMITS.columns} columns`);
+  if (rows.length < 1 || rows.length > LIMITS.rows) problems.push(`a table needs 1 to ${LIMITS.rows} rows`);
+  if (rows.some((row) => row.length !== columns.length)) problems.push("every table row needs one cell per column");
+  return { type: "table", title: text(raw.title, MAX_TITLE), columns, rows, labels: [] };
+}
+
+const CLEANERS = {
+  polygon: cleanPolygon,
+  circle: cleanCircle,
+  "coordinate-plane": cleanCoordinatePlane,
+  "number-line": cleanNumberLine,
+  "bar-chart": cleanBarChart,
+  table: cleanTable,
+};
+
+// ---------------------------------------------------------------------
+// Descriptions
+// ---------------------------------------------------------------------
+
+function describePolygon(f) {
+  const name = f.vertices.map((v) => v.label).join("");
+  const parts = [`${SHAPE_NAMES[f.vertices.length] || "polygon"}${name ? " " + name : ""}.`];
+  f.sides.forEach((s) => {
+    if (s.label) parts.push(`Side ${s.from}${s.to} is labeled ${s.label}.`);
+  });
+  f.angles.forEach((a) => {
+    if (a.right) parts.push(`Angle ${a.at} is a right angle.`);
+    else if (a.label) parts.push(`Angle ${a.at} is labeled ${a.label}.`);
+  });
+  return `A ${parts.join(" ")}`;
+}
+
+function describeCircle(f) {
+  const parts = [`A circle${f.center ? ` with center ${f.center}` : ""}.`];
+  if (f.radius) parts.push(`A radius is labeled ${f.radius}.`);
+  if (f.diameter) parts.push(`A diameter is labeled ${f.diameter}.`);
+  return parts.join(" ");
+}
+
+function describeCoordinatePlane(f) {
+  const parts = [`A coordinate plane with x from ${f.xMin} to ${f.xMax} and y from ${f.yMin} to ${f.yMax}.`];
+  f.points.forEach((p) => parts.push(`Point ${p.label ? p.label + " " : ""}is at (${p.x}, ${p.y}).`));
+  f.segments.forEach((s) => parts.push(`Segment ${s.from}${s.to} is drawn.`));
+  return parts.join(" ");
+}
+
+function describeNumberLine(f) {
+  const parts = [`A number line from ${f.min} to ${f.max} with tick marks every ${f.step}.`];
+  f.points.forEach((p) => parts.push(`${p.open ? "An open" : "A closed"} dot at ${p.value}${p.label ? ` labeled ${p.label}` : ""}.`));
+  f.ranges.forEach((r) => parts.push(`The line is shaded from ${r.from} to ${r.to}.`));
+  return parts.join(" ");
+}
+
+function describeBarChart(f) {
+  const parts = [`A bar chart${f.title ? ` titled "${f.title}"` : ""}.`];
+  if (f.xLabel) parts.push(`The horizontal axis shows ${f.xLabel}.`);
+  if (f.yLabel) parts.push(`The vertical axis shows ${f.yLabel}.`);
+  parts.push(`Bars: ${f.bars.map((b) => `${b.label} ${b.value}`).join(", ")}.`);
+  return parts.join(" ");
+}
+
+function describeTable(f) {
+  const parts = [`A table${f.title ? ` titled "${f.title}"` : ""} with columns ${f.columns.join(", ")}.`];
+  f.rows.forEach((row, i) => parts.push(`Row ${i + 1}: ${row.join(", ")}.`));
+  return parts.join(" ");
+}
+
+const DESCRIBERS = {
+  polygon: describePolygon,
+  circle: describeCircle,
+  "coordinate-plane": describeCoordinatePlane,
+  "number-line": describeNumberLine,
+  "bar-chart": describeBarChart,
+  table: describeTable,
+};
+
+// ---------------------------------------------------------------------
+// Public helpers
+// ---------------------------------------------------------------------
+
+// Clean up a figure spec for the question `prompt`. Returns { figure, problems }: the cleaned
+// spec with its description, and what is wrong with it (empty when it can be used).
+function checkFigure(raw, prompt) {
+  if (!raw || typeof raw !== "object" || !TYPES.includes(raw.type)) {
+    return { figure: null, problems: [`a figure must be an object with type ${TYPES.join(", ")}`] };
+  }
+  const problems = [];
+  const { labels, ...figure } = CLEANERS[raw.type](raw, problems);
+  if (raw.notToScale) figure.notToScale = true;
+  // SVG text can't hold drawn math, so figures stick to plain text
+  if (JSON.stringify(figure).includes("\\\\")) problems.push("figure text must be plain (3√2, 7/2, 40°), not math markup");
+
+  const stated = statedNumbers(prompt || "");
+  labels.forEach((label) => {
+    const value = label && measurement(label);
+    if (value && !stated.some((n) => sameAnswer(n, value))) {
+      problems.push(`the figure labels ${label}, but the question never says so`);
+    }
+  });
+
+  figure.description = DESCRIBERS[figure.type](figure);
+  return { figure, problems };
+}
+
+// The question as solvers see it, with its figure spelled out in words
+function promptWithFigure(prompt, figure) {
+  return figure && figure.description ? `${prompt}\n\nFigure: ${figure.description}` : prompt;
+}
+
+module.exports = {
+  TYPES,
+  checkFigure,
+  promptWithFigure,
+};
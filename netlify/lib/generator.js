@@ -0,0 +1,1077 @@
+// netlify/lib/generator.js
+//
+// Question generation shared by generate-questions (one JSON reply) and
+// generate-questions-stream (NDJSON, one line per question as soon as it is verified).
+
+const llm = require("./llm");
+const { sealQuestion, newPrintToken, printSetId } = require("./answer-key");
+const { parseAnswer, sameAnswer, matchingChoiceIndexes, decimalText, fitsGrid } = require("./answers");
+const solver = require("./solver");
+const bank = require("./question-bank");
+const { isKnown, promptList, describe, normalizeMisconceptions } = require("./misconceptions");
+const { GENRES, planPassages, pickGenres, normalizePassage } = require("./passages");
+const { generateFromTemplates, isTemplate } = require("./math-templates");
+const { newSeed } = require("./random");
+const { checkFigure, promptWithFigure } = require("./figures");
+const { validate } = require("./validate");
+const { topicIds, findSkill, isSkill, normalizeSkill, planSkills, promptList: skillList, SKILLS } = require("./skills");
+const { LANGUAGES, isLanguage, translateQuestion } = require("./translations");
+const telemetry = require("./telemetry");
+
+// A full SHSAT section is 57 questions, so exam mode asks for up to 60 at once.
+const MAX_COUNT = 60;
+// The model stays reliable up to about 10 questions per call; larger requests are split.
+const BATCH_SIZE = 10;
+// Every math question is solved this many times without seeing the choices; all must agree
+const NUMERIC_SOLVES = 2;
+// How many times to ask for replacements when verification rejects questions
+const REGENERATION_ROUNDS = 1;
+// Where questions come from: "llm" (bank, then the model), "template" (math templates only, see
+// math-templates.js), or "auto" (bank, then the model, then templates for whatever is missing)
+const SOURCES = ["auto", "llm", "template"];
+// Topics a request may name, from the skill taxonomy (skills.js). They go into the model's
+// prompt, so nothing else is accepted.
+const TOPICS = {
+  math: topicIds("math"),
+  ela: topicIds("ela"),
+};
+// How a set is shared out over its skills: equally, or like the real test ("blueprint")
+const MIXES = ["even", "blueprint"];
+const DIFFICULTIES = ["easy", "medium", "hard"];
+// A student's full history of seen ids is sent along; the page trims it to this many
+const MAX_EXCLUDE_IDS = 5000;
+
+const REQUEST_SCHEMA = {
+  subject: { type: "string", oneOf: ["math", "ela"] },
+  topic: { type: "string", maxLength: 40 },
+  // Skill ids from the taxonomy; a set asks for these in place of a topic
+  skills: { type: "array", minItems: 1, maxItems: 40, items: { type: "string", maxLength: 40 } },
+  mix: { type: "string", oneOf: MIXES },
+  difficulty: { type: "string", oneOf: DIFFICULTIES },
+  count: { type: "integer", min: 1, max: MAX_COUNT },
+  format: { type: "string", oneOf: ["multiple-choice", "grid-in"] },
+  excludeIds: { type: "array", maxItems: MAX_EXCLUDE_IDS, items: { type: "string", maxLength: 64 } },
+  useBank: { type: "boolean" },
+  // A set the page may print with its answers; the reply carries a printToken for answer-keys
+  printable: { type: "boolean" },
+  focus: { type: "string", nullable: true, maxLength: 40 },
+  source: { type: "string", oneOf: SOURCES },
+  seed: { type: "string", nullable: true, maxLength: 64 },
+  // Math questions also come in this language, next to the English (see translations.js)
+  language: { type: "string", oneOf: Object.keys(LANGUAGES) },
+  // Review variants: questions the student missed, each to be rewritten with new numbers
+  variantsOf: {
+    type: "array",
+    minItems: 1,
+    maxItems: BATCH_SIZE,
+    items: {
+      type: "object",
+      fields: {
+        prompt: { type: "string", required: true, maxLength: 4000 },
+        template: { type: "string", maxLength: 40 },
+      },
+    },
+  },
+};
+
+const MULTIPLE_CHOICE_RULES = `Answer choices:
+- Each question must have EXACTLY 4 answer choices (A, B, C, D).
+- Choices MUST be numeric: integers, fractions, decimals, percents, or exact forms like "4π" or "2√3" (units are fine, e.g. "12 cm").
+- Wrong choices must be plausible distractors that come from:
+  - common misreads (missing a condition),
+  - forgetting to convert a percent or rate correctly,
+  - using the wrong total/denominator in a ratio,
+  - making a typical order-of-operations or equation setup error.
+- Do NOT say or hint which choice is correct.
+- Do NOT include phrases like “Correct answer:”, “The answer is”, or any solution steps.`;
+
+// Grid-in items are the SHSAT's student-produced responses: no choices, a single typed number.
+const GRID_IN_RULES = `Grid-in answers (student-produced response):
+- Do NOT provide answer choices. The student types the answer into an answer grid.
+- The answer must be a single number: an integer, a terminating decimal, or a fraction that converts to a terminating decimal.
+- The answer must fit the SHSAT grid: at most 5 characters including a minus sign and decimal point (e.g. 42, 3.75, -12.5, 0.125).
+- Do NOT include units in the answer; make the unit clear in the question instead (e.g. "How many dollars ...").
+- Do NOT say or hint what the answer is.
+- Do NOT include phrases like “Correct answer:”, “The answer is”, or any solution steps.`;
+
+// Figure specs are checked and drawn by figures.js and js/figure-render.js
+const FIGURE_RULES = `Figures (optional, "figure": null when there is none):
+- One figure per question, as one of these JSON objects. Coordinates are x right, y up.
+  - {"type": "polygon", "vertices": [{"label": "A", "x": 0, "y": 0}, ...], "sides": [{"from": "A", "to": "B", "label": "12 cm"}], "angles": [{"at": "B", "label": "40°"}, {"at": "C", "right": true}]}
+  - {"type": "circle", "center": "O", "radius": "5 in", "diameter": ""}
+  - {"type": "coordinate-plane", "xMin": -6, "xMax": 6, "yMin": -6, "yMax": 6, "points": [{"label": "P", "x": 2, "y": 3}], "segments": [{"from": "P", "to": "Q"}]}
+  - {"type": "number-line", "min": -5, "max": 5, "step": 1, "points": [{"value": 2, "label": "", "open": true}], "ranges": [{"from": 2, "to": 5}]}
+  - {"type": "bar-chart", "title": "...", "xLabel": "...", "yLabel": "...", "bars": [{"label": "Mon", "value": 12}]}
+  - {"type": "table", "title": "...", "columns": ["Hours", "Pay"], "rows": [["1", "$12"], ["2", "$24"]]}
+- Every measurement labeled in a polygon, circle or number line (e.g. "12 cm", "40°") MUST also be stated in the question text. Label unknowns with a letter ("x") or leave them unlabeled.
+- Draw shapes roughly to scale; add "notToScale": true when they are not.
+- Figure text is plain (e.g. "3√2", "7/2"), with no \\( \\) markup.
+- Bar charts and tables hold the data themselves; the question text may refer to them instead of repeating the numbers.`;
+
+const ELA_CHOICE_RULES = `Answer choices and correctness:
+- Each question must have EXACTLY 4 answer choices: A, B, C, D.
+- Exactly ONE choice is correct for each question.
+- correctIndex must be an integer 0–3 corresponding to the correct choice in the choices array.
+- Do NOT include explanations or reasoning in the prompt or choices. Do NOT say which letter is correct in the text; only use correctIndex.
+- Put a brief (1–2 sentence) explanation of why the correct choice is right in the solution field.`;
+
+const JSON_RULES = `Rules for JSON:
+- Double quotes around all keys and string values.
+- No trailing commas.
+- The "difficulty" field for each question must match one of: "easy", "medium", "hard".`;
+
+// Per-choice misconception tags; the list is never shown to students until they answer
+function misconceptionRules(subject) {
+  return `Misconceptions (never shown to students before they answer):
+- Add a "misconceptions" list with one entry per choice, in the same order as "choices".
+- For each wrong choice give { "tag": "...", "rationale": "..." }. The rationale is one sentence, addressed to the student, saying exactly which mistake leads to that choice.
+- For the choice you intend to be correct, use null.
+- tag must be one of:
+${promptList(subject)}`;
+}
+
+// Spaced review: one new version of each missed question, so its old answer can't be remembered
+function variantRules(variantsOf) {
+  if (!variantsOf) return "";
+  return `
+Review variants:
+- Every question is a new version of one question the student missed earlier, listed below. Keep the structure, the reasoning steps, the skills tested and the kind of answer; change the numbers (and the names or context) so the old answer no longer works.
+- Write exactly one question per original, in the order listed, and give each one a "variantOf" field with the number of its original.
+
+Originals:
+${variantsOf.map((prompt, i) => `${i + 1}. ${prompt}`).join("\n")}
+`;
+}
+
+// Skill tags, and with a skill plan how many questions each skill gets. Without a plan the
+// model picks from the skills of `category`, or from all of them.
+function skillRules(subject, plan, category) {
+  const ids = plan
+    ? plan.map((entry) => entry.skill)
+    : category
+      ? SKILLS[subject].filter((skill) => skill.category === category).map((skill) => skill.id)
+      : null;
+  const counts = plan
+    ? `\n- Write exactly this many questions for each skill:\n${plan.map((entry) => `  - "${entry.skill}": ${entry.count}`).join("\n")}`
+    : "";
+  return `
+Skills:
+- Give every question a "skill" field: the id of the one skill it mainly tests. skill must be one of:
+${skillList(subject, ids)}${counts}
+`;
+}
+
+// Targeted review: steer every question toward one mistake the student keeps making
+function focusRules(subject, focus, gridIn) {
+  if (!focus) return "";
+  const target = gridIn ? "" : ` At least one wrong choice in every question must be the result of that mistake (tag "${focus}").`;
+  return `
+Targeted review:
+- The student keeps making this mistake: ${describe(subject, focus)}. Write questions where that mistake is tempting.${target}
+`;
+}
+
+function buildUserPrompt({ subject, topic, difficulty, count, format, focus, variantsOf, plan }) {
+  if (subject === "math") {
+    const gridIn = format === "grid-in";
+    const answerRules = gridIn ? GRID_IN_RULES : `${MULTIPLE_CHOICE_RULES}\n\n${misconceptionRules("math")}`;
+    return `Your job:
+- Create questions that look, feel, and behave like real NYC SHSAT Math questions.
+- Do NOT include the correct answer or any solution. ${gridIn ? "Just write the question." : "Just write the question and answer choices."}
+
+Core style (very important):
+- Match the difficulty and flavor of official NYCDOE SHSAT math questions (2024 samples).
+- Every question is a compact, information-dense word problem.
+- The student should need to translate the story into equations/relationships and reason for several steps.
+
+Reasoning requirements:
+- Each question must require at least 3 distinct math reasoning steps (set up, transform, solve, interpret).
+- Avoid one-step or “plug in numbers and compute once” problems.
+- At most 1 small arithmetic step can be trivial; the rest must involve reasoning (setting proportions, equations, or combining conditions).
+
+Question format:
+- 100% must be word problems.
+- NO bare “compute” questions like “What is 35 × 12?”
+- Use realistic contexts: money, discounts, tax, simple interest, time/distance/rate, averages, mixtures, test scores, geometry in context (perimeter, area, angles, volume), tables and bar charts, ratios and proportions, integer operations, inequalities.
+- Use grade 7–8 math vocabulary: “constant rate,” “proportional,” “scale factor,” “linear relationship,” “term,” “expression,” “inequality,” etc.
+- Hide the math slightly inside the wording so the student has to read carefully.
+
+Topic coverage:
+- Topics allowed: fractions, ratios, proportions, percentages (including percent increase/decrease), simple and multi-step equations, inequalities, integer arithmetic, absolute value in context, geometry (described in words), basic probability, averages, and interpreting small data tables in words.
+- Topic preference: ${topic}.
+  - If it is "mixed": mix across common SHSAT math topics.
+  - Otherwise, focus primarily on that topic but still allow secondary concepts to appear (for example, a geometry problem that also requires solving an equation).
+
+Difficulty:
+- Difficulty: ${difficulty} (easy / medium / hard).
+- "Easy": still multi-step, but with cleaner numbers and fewer conditions.
+- "Medium": realistic SHSAT average difficulty with 3 to 4 steps and at least one trap (e.g., extra information or a subtle condition).
+- "Hard": 4 to 5 steps, layered conditions, or combined topics (e.g., percent + ratio, geometry + algebra). The path to the answer should not be obvious.
+
+Numbers and realism:
+- Use mostly non-trivial numbers (e.g., 18, 27, 45, 72, 150, 240) rather than very small or “too clean” ones, unless the difficulty is easy.
+- Allow fractions or decimals in choices when natural (e.g., 1.5, 2.4, 3/5).
+- Keep arithmetic within what a strong 8th grader can do without a calculator.
+
+Math notation:
+- Write fractions, exponents, roots and symbols in inline math markup between \\( and \\): \\(\\frac{3}{8}\\), \\(x^{2}\\), \\(\\sqrt{50}\\), \\(4\\pi\\), \\(x \\ge 7\\), \\(12 \\times 15\\).
+- Only use \\frac, ^, _, \\sqrt, \\pi, \\times, \\div, \\cdot, \\pm, \\le, \\ge, \\ne, \\approx, \\degree, \\% and \\text. Plain numbers, money and percents need no markup.
+- In JSON every backslash is doubled: "\\\\(\\\\frac{3}{8}\\\\)".
+
+${answerRules}
+${focusRules("math", focus, gridIn)}${variantRules(variantsOf)}${skillRules("math", plan)}
+Constraints:
+- Only math; NO reading-comprehension-style questions.
+- NO images. When a figure, graph or table helps (especially for geometry and data questions), give it as a "figure" object, described below; never draw it in text.
+- Questions must be solvable without a calculator by a well-prepared SHSAT test-taker within about 1–3 minutes.
+
+Output format (strict JSON only):
+Return ONLY valid JSON with this exact shape:
+
+{
+  "questions": [
+    {
+      "prompt": "question text here",
+      ${gridIn ? '"format": "grid-in",' : `"choices": ["choice A", "choice B", "choice C", "choice D"],
+      "misconceptions": [{ "tag": "percent-conversion", "rationale": "..." }, null, { "tag": "stopped-early", "rationale": "..." }, { "tag": "wrong-base", "rationale": "..." }],`}
+      "topic": "${TOPICS.math.filter((t) => t !== "mixed").join(" | ")}",
+      "skill": "linear-equations",
+      "difficulty": "easy | medium | hard",
+      "figure": null
+    }
+  ]
+}
+
+${FIGURE_RULES}
+
+There should be exactly ${count} questions.
+`;
+  }
+
+  // ELA revising & editing; reading questions come with their passage from buildPassagePrompt
+  return `
+You are generating SHSAT-style ELA Revising & Editing multiple-choice questions.
+
+Overall requirements:
+- ONLY English Language Arts revising and editing tasks on short sentences or very short paragraphs (grammar, punctuation, clarity, word choice, sentence structure, and transitions).
+- Match the tone, structure, and difficulty of official NYC SHSAT ELA questions.
+
+Difficulty:
+- Difficulty: ${difficulty} (easy/medium/hard).
+  - "Easy": basic grammar or punctuation.
+  - "Medium": more subtle word choice, multi-clause sentences, common grammar traps.
+  - "Hard": multiple errors or tricky sentence structure.
+
+REVISING & EDITING style (SHSAT-like):
+- Use topic: "editing".
+- Questions are self-contained; include a short 1–3 sentence context in the prompt if needed.
+- Focus on:
+  - Grammar: subject-verb agreement, pronoun agreement, verb tense consistency.
+  - Punctuation: commas in compound or complex sentences, commas with introductory phrases, apostrophes, and end punctuation.
+  - Sentence structure: run-ons, fragments, awkward phrasing, misplaced or dangling modifiers.
+  - Clarity and concision: choosing the best word or phrase, removing redundancy.
+  - Transitions and logical connections between ideas.
+- Typical formats:
+  - “Which revision of the underlined portion is best?”
+  - “Which sentence best combines these two sentences?”
+  - “Which choice correctly completes the sentence?”
+  - “Which choice makes the paragraph clearer or more formal?”
+
+${ELA_CHOICE_RULES}
+- Wrong answer choices should reflect common grammar mistakes or almost-correct but slightly off phrasing.
+
+${misconceptionRules("ela")}
+${focusRules("ela", focus, false)}${skillRules("ela", plan, "editing")}
+Return ONLY valid JSON with this shape:
+
+{
+  "questions": [
+    {
+      "prompt": "question text here",
+      "choices": ["choice A", "choice B", "choice C", "choice D"],
+      "correctIndex": 0,
+      "solution": "brief explanation of the correct choice",
+      "misconceptions": [null, { "tag": "agreement-error", "rationale": "..." }, { "tag": "punctuation-error", "rationale": "..." }, { "tag": "run-on-or-fragment", "rationale": "..." }],
+      "topic": "editing",
+      "skill": "grammar-usage",
+      "difficulty": "easy | medium | hard"
+    }
+  ]
+}
+
+${JSON_RULES}
+
+There should be exactly ${count} questions.
+`;
+}
+
+// One reading passage of the given genre plus `count` questions about it
+function buildPassagePrompt({ difficulty, count, genre, focus, plan }) {
+  const poem = GENRES[genre].numbering === "line";
+  const shape = poem
+    ? `- A poem of 16 to 36 lines, arranged in stanzas.
+- Put each line of the poem on its own line ("\\n") and separate stanzas with one blank line. Do NOT number the lines; the app numbers every line.`
+    : `- 4 to 7 paragraphs, about 350 to 600 words total.
+- Separate paragraphs with one blank line ("\\n\\n"). Do NOT number the paragraphs; the app numbers them.`;
+  const references = poem
+    ? `- When a question points to part of the poem, refer to it by line number ("In lines 5–8, ..."). Count every line of the poem from 1, skipping the blank lines between stanzas and the title.`
+    : `- When a question points to part of the passage, refer to it by paragraph number ("In paragraph 3, ..."), counting from 1 and not counting the title.`;
+
+  return `
+You are writing one SHSAT-style ELA reading passage and the multiple-choice questions that go with it.
+
+Passage:
+- Genre: ${GENRES[genre].label}.
+${shape}
+- Written at a strong 7th to 8th grade reading level: clear but not childish, with some complex sentences and varied vocabulary.
+- Original writing, with a short title.
+
+Questions:
+- Write exactly ${count} questions about this passage, all with topic "reading".
+- Vary the question types:
+  - Main idea / central idea.
+  - Key detail / supporting evidence.
+  - Inference about character, motivation, or implied ideas.
+  - Vocabulary in context (choose the best meaning of a word or phrase as used in the passage).
+  - Author's purpose, tone, or attitude.
+  - Text structure or the role of a particular ${poem ? "line or stanza" : "paragraph or sentence"}.
+${references}
+- Avoid trivia-type questions; each question should require careful reading and reasoning, not just grabbing a random detail.
+- Do NOT repeat the passage inside the questions.
+
+Difficulty: ${difficulty} (easy/medium/hard).
+  - "Easy": straightforward main idea and explicit details.
+  - "Medium": mix of literal and inferential questions.
+  - "Hard": nuanced inference, author's attitude/tone, subtle vocabulary in context.
+
+${ELA_CHOICE_RULES}
+- Wrong answer choices should reflect common misreadings, partial understanding, or misinterpretation of the passage.
+
+${misconceptionRules("ela")}
+${focusRules("ela", focus, false)}${skillRules("ela", plan, "reading")}
+Return ONLY valid JSON with this shape:
+
+{
+  "passage": {
+    "title": "passage title",
+    "text": "${poem ? "first line\\nsecond line\\n\\nfirst line of the next stanza" : "first paragraph\\n\\nsecond paragraph"}"
+  },
+  "questions": [
+    {
+      "prompt": "question text here",
+      "choices": ["choice A", "choice B", "choice C", "choice D"],
+      "correctIndex": 0,
+      "solution": "brief explanation of the correct choice",
+      "misconceptions": [null, { "tag": "too-narrow", "rationale": "..." }, { "tag": "unsupported-inference", "rationale": "..." }, { "tag": "misread-detail", "rationale": "..." }],
+      "topic": "reading",
+      "skill": "central-idea",
+      "difficulty": "easy | medium | hard"
+    }
+  ]
+}
+
+${JSON_RULES}
+
+There should be exactly ${count} questions.
+`;
+}
+
+// Split a requested count into generation batches of at most BATCH_SIZE.
+function splitIntoBatches(count) {
+  const sizes = [];
+  for (let remaining = count; remaining > 0; remaining -= BATCH_SIZE) {
+    sizes.push(Math.min(BATCH_SIZE, remaining));
+  }
+  return sizes;
+}
+
+function generationPurpose(subject, format, genre) {
+  if (genre) return "generate-passage";
+  if (subject !== "math") return "generate-ela";
+  return format === "grid-in" ? "generate-grid-in" : "generate-math";
+}
+
+// Generate one batch of questions and verify them all concurrently (the solver limits how many
+// calls are actually in flight). With a `genre` the batch is one reading passage and its
+// questions. `onResult(q, rejection)` fires for each question as soon as its verification
+// finishes, with rejection null for a keeper. Resolves to {} once every question is through, or
+// to { error, details } when the generation call itself fails. Keys are still in the clear here
+// so verified questions can be banked; toClientQuestion seals them on the way out.
+async function generateBatch({ subject, topic, skills, difficulty, count, format, focus, genre, variantsOf, plan }, onResult) {
+  const userPrompt = genre
+    ? buildPassagePrompt({ difficulty, count, genre, focus, plan })
+    : buildUserPrompt({ subject, topic, difficulty, count, format, focus, variantsOf, plan });
+
+  const reply = await llm.chatJSON({
+    purpose: generationPurpose(subject, format, genre),
+    system: "You are a careful SHSAT-style question generator. Always return valid JSON.",
+    user: userPrompt,
+    temperature: 0.2,
+  });
+
+  if (reply.error) {
+    return {
+      request_failed: { error: "LLM request failed", details: reply.details },
+      timeout: { error: "LLM request timed out", details: reply.details },
+      no_content: { error: "No content from model" },
+      budget_exceeded: { error: reply.details },
+      invalid_json: { error: "Failed to parse questions JSON" },
+    }[reply.error];
+  }
+
+  const questionsPayload = reply.json;
+
+  if (!questionsPayload.questions || !Array.isArray(questionsPayload.questions)) {
+    console.error("Invalid questions format:", questionsPayload);
+    telemetry.event("invalid_questions_format", JSON.stringify(questionsPayload));
+    return { error: "Invalid questions format from model" };
+  }
+
+  let passage = null;
+  if (genre) {
+    passage = normalizePassage(questionsPayload.passage, genre);
+    if (!passage) {
+      console.error("Invalid passage from model:", questionsPayload.passage);
+      telemetry.event("invalid_passage", JSON.stringify(questionsPayload.passage));
+      return { error: "Invalid passage from model" };
+    }
+  }
+
+  // Models occasionally overshoot the requested count
+  const candidates = questionsPayload.questions.slice(0, count);
+
+  await Promise.all(
+    candidates.map(async (q) => {
+      let rejection = subject === "math" ? await verifyMathQuestion(q, format) : checkElaStructure(q);
+      if (!rejection) {
+        q.subject = subject;
+        tagSkill(q, plan);
+        cleanLabels(q, { topic, difficulty });
+        // A student who picked skills gets only those
+        if (skills && !skills.includes(q.skill)) rejection = { reason: "off_skill", detail: q.skill || "untagged" };
+      }
+      if (rejection) {
+        console.error("Rejected generated question:", rejection.reason, rejection.detail || "");
+        onResult(q, { prompt: q?.prompt ?? null, ...rejection });
+      } else {
+        // Figures are checked with math verification; reading questions have their passage instead
+        if (subject !== "math") delete q.figure;
+        if (passage) {
+          q.passage = passage;
+          q.topic = "reading";
+        }
+        cleanMisconceptions(q);
+        onResult(q, null);
+      }
+    })
+  );
+
+  return {};
+}
+
+// Keep the model's skill tag only when the taxonomy has it; a batch planned for a single skill
+// can only be that skill. A known skill also settles the question's topic.
+function tagSkill(q, plan) {
+  q.skill = normalizeSkill(q.subject, q.skill, plan && plan.length === 1 ? plan[0].skill : null);
+  if (q.skill) {
+    q.topic = findSkill(q.subject, q.skill).topic;
+  } else {
+    delete q.skill;
+  }
+}
+
+// The model's topic and difficulty labels are free text; anything off the lists becomes what
+// the batch asked for
+function cleanLabels(q, { topic, difficulty }) {
+  const modelTopic = typeof q.topic === "string" ? q.topic.trim().toLowerCase() : "";
+  q.topic = TOPICS[q.subject].includes(modelTopic) ? modelTopic : topic || "mixed";
+  const modelDifficulty = typeof q.difficulty === "string" ? q.difficulty.trim().toLowerCase() : "";
+  q.difficulty = DIFFICULTIES.includes(modelDifficulty) ? modelDifficulty : difficulty;
+}
+
+// Keep the model's distractor tags only when they line up with the verified key
+function cleanMisconceptions(q) {
+  const list =
+    q.format !== "grid-in" && hasUsableKey(q)
+      ? normalizeMisconceptions(q.misconceptions, q.subject, q.correctIndex)
+      : null;
+  if (list) {
+    q.misconceptions = list;
+  } else {
+    delete q.misconceptions;
+  }
+}
+
+// What the browser gets: the question with its key sealed. Every question carries a sealed
+// token, since check-answer grades only questions the server issued; an ELA item the model
+// didn't key gets a token without an answer and is graded by re-solving instead.
+// `translation` (from translations.js) goes out with the question, except for its solution,
+// which is sealed with the English one and comes back from check-answer after grading.
+// `printSet` binds the key to a printable set's print token (see answer-key.js).
+function toClientQuestion(q, translation = null, language = null, printSet = null) {
+  const client = {
+    id: q.id || bank.questionId(q),
+    subject: q.subject,
+    topic: q.topic,
+    difficulty: q.difficulty,
+    prompt: q.prompt,
+  };
+  if (q.skill) client.skill = q.skill;
+  // The passage itself is sent once, separately; see generateQuestions
+  if (q.passage) client.passageId = q.passage.id;
+  if (q.figure) client.figure = q.figure;
+  // Lets a review ask the same template for a variant later
+  if (q.template) client.template = q.template;
+  if (q.variantOf !== undefined) client.variantOf = q.variantOf;
+  if (q.format === "grid-in") {
+    client.format = "grid-in";
+  } else {
+    client.choices = q.choices;
+  }
+
+  if (translation) {
+    client.translation = { language, dir: LANGUAGES[language].dir, prompt: translation.prompt, glossary: translation.glossary };
+    if (translation.choices && client.choices) client.translation.choices = translation.choices;
+  }
+
+  const key = hasUsableKey(q)
+    ? { correctIndex: q.correctIndex, correctAnswer: q.correctAnswer, solution: q.solution, misconceptions: q.misconceptions }
+    : {};
+  if (translation && translation.solution && key.solution) {
+    key.translatedSolution = { language, solution: translation.solution };
+  }
+  return sealQuestion(Object.assign(client, key), { printSet });
+}
+
+// Save newly verified questions for later requests; the bank skips near-duplicates itself
+function bankQuestions(questions) {
+  try {
+    const { added, duplicates } = bank.addQuestions(questions.filter(hasUsableKey), { source: "generated" });
+    telemetry.count("bankSaved", added.length);
+    telemetry.count("bankDuplicates", duplicates.length);
+  } catch (err) {
+    // Banking is best effort; the student still gets their questions
+    console.error("Could not save questions to the bank:", err);
+  }
+}
+
+// Prompts that differ only in case or spacing are the same question
+function promptKey(prompt) {
+  return String(prompt).trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+// Generate a batch, then ask for replacements for anything verification rejected. Each kept
+// question and each rejection is also passed to onQuestion / onRejected as it happens.
+// `seenPrompts` (promptKey values) is shared by every batch of one set, so batches running side
+// by side can't both keep the same question.
+async function generateVerifiedBatch(options, { onQuestion, onRejected, seenPrompts = new Set() }) {
+  const questions = [];
+  const rejected = [];
+
+  function onResult(q, rejection) {
+    if (!rejection && seenPrompts.has(promptKey(q.prompt))) {
+      rejection = { prompt: q.prompt, reason: "duplicate_prompt" };
+    }
+    if (rejection) {
+      rejected.push(rejection);
+      onRejected(rejection);
+      return;
+    }
+    seenPrompts.add(promptKey(q.prompt));
+    questions.push(q);
+    onQuestion(q);
+  }
+
+  // A replacement reading question would need a whole new passage, so passage sets aren't topped up
+  const rounds = options.genre ? 0 : REGENERATION_ROUNDS;
+  for (let round = 0; round <= rounds && questions.length < options.count; round++) {
+    const count = options.count - questions.length;
+    const plan = options.plan && remainingPlan(options.plan, questions, count);
+    const batch = await generateBatch({ ...options, count, plan }, onResult);
+    if (batch.error) {
+      if (round === 0) return batch;
+      break;
+    }
+  }
+
+  return { questions, rejected };
+}
+
+function hasUsableKey(q) {
+  if (q.format === "grid-in") {
+    return typeof q.correctAnswer === "string" && q.correctAnswer !== "";
+  }
+  return Number.isInteger(q.correctIndex) && q.correctIndex >= 0 && q.correctIndex < q.choices.length;
+}
+
+function checkElaStructure(q) {
+  if (!q || typeof q.prompt !== "string" || !Array.isArray(q.choices) || q.choices.length !== 4) {
+    return { reason: "invalid_structure" };
+  }
+  return null;
+}
+
+// Solve the question several independent ways and keep it only if they agree. On success the
+// question gets correctIndex/correctAnswer/solution and null is returned; otherwise a
+// { reason, detail } rejection.
+async function verifyMathQuestion(q, format) {
+  if (!q || typeof q.prompt !== "string" || !q.prompt.trim()) {
+    return { reason: "invalid_structure" };
+  }
+
+  if (q.figure) {
+    const { figure, problems } = checkFigure(q.figure, q.prompt);
+    if (problems.length) {
+      return { reason: "invalid_figure", detail: problems.join("; ") };
+    }
+    q.figure = figure;
+  } else {
+    delete q.figure;
+  }
+  // What the solvers read: the question with its figure put into words
+  const solverPrompt = promptWithFigure(q.prompt, q.figure);
+
+  const gridIn = format === "grid-in";
+  if (gridIn) {
+    q.format = "grid-in";
+    delete q.choices;
+  } else {
+    if (!Array.isArray(q.choices) || q.choices.length !== 4) {
+      return { reason: "invalid_structure" };
+    }
+    const values = q.choices.map((choice) => parseAnswer(choice));
+    if (values.some((value) => !value)) {
+      return { reason: "non_numeric_choice", detail: q.choices.join(" | ") };
+    }
+    if (values.some((v, i) => values.findIndex((w) => sameAnswer(v, w)) !== i)) {
+      return { reason: "duplicate_choices", detail: q.choices.join(" | ") };
+    }
+  }
+
+  // Choice-blind solves at different temperatures, plus one choice-aware solve, all at once
+  const [choiceSolve, ...numericSolves] = await Promise.all([
+    gridIn ? null : solver.solveWithChoices(solverPrompt, q.choices),
+    ...Array.from({ length: NUMERIC_SOLVES }, (_, i) =>
+      solver.solveNumeric(solverPrompt, { temperature: i === 0 ? 0.1 : 0.7 })
+    ),
+  ]);
+
+  const failedSolve = [choiceSolve, ...numericSolves].find((result) => result && result.error);
+  if (failedSolve) {
+    return { reason: "solver_failed", detail: failedSolve.error };
+  }
+  // Every question that gets this far is a solver check; the disagreement rejections below are its misses
+  telemetry.count("solverChecks");
+
+  const { answer } = numericSolves[0];
+  if (numericSolves.some((result) => !sameAnswer(result.answer, answer))) {
+    return {
+      reason: "numeric_solves_disagree",
+      detail: numericSolves.map((result) => result.finalAnswer).join(" vs "),
+    };
+  }
+
+  if (gridIn) {
+    // The grid takes an exact decimal, so "1/3" or "4π" can't be gridded at all
+    const text = decimalText(answer);
+    if (text === null || !fitsGrid(text)) {
+      return { reason: "not_griddable", detail: numericSolves[0].finalAnswer };
+    }
+    q.correctAnswer = text;
+    q.solution = numericSolves[0].solution;
+    return null;
+  }
+
+  // Choices are distinct numbers, so at most one can match
+  const [matched] = matchingChoiceIndexes(answer, q.choices);
+  if (matched === undefined) {
+    return {
+      reason: "no_choice_matches_answer",
+      detail: `${numericSolves[0].finalAnswer} not in ${q.choices.join(" | ")}`,
+    };
+  }
+  if (choiceSolve.correctIndex !== matched) {
+    return {
+      reason: "choice_solve_disagrees",
+      detail: `choice-blind ${q.choices[matched]}, choice-aware ${q.choices[choiceSolve.correctIndex]}`,
+    };
+  }
+
+  // Attach solver result to the question
+  q.correctIndex = matched;
+  q.correctAnswer = q.choices[matched];
+  q.solution = choiceSolve.solution;
+  return null;
+}
+
+// Problems with a request body both endpoints accept, one sentence per bad field. Checked
+// before parseRequest, which fills in defaults.
+function checkRequest(body) {
+  const problems = validate(body, REQUEST_SCHEMA);
+  if (problems.length) return problems;
+
+  const subject = body.subject || "math";
+  if (body.topic !== undefined && !TOPICS[subject].includes(body.topic)) {
+    problems.push(`topic must be one of ${TOPICS[subject].map((t) => JSON.stringify(t)).join(", ")} for ${subject}`);
+  }
+  if (body.skills) {
+    if (body.topic !== undefined && body.topic !== "mixed") problems.push("send either topic or skills, not both");
+    body.skills
+      .filter((skill) => !isSkill(subject, skill))
+      .forEach((skill) => problems.push(`skill "${skill}" is not a known ${subject} skill`));
+  }
+  if (body.format === "grid-in" && subject !== "math") problems.push("grid-in questions are only available for math");
+  if (body.language !== undefined && subject !== "math") problems.push("translated questions are only available for math");
+  if (body.source === "template" && subject !== "math") problems.push("template questions are only available for math");
+  if (body.focus && !isKnown(subject, body.focus)) problems.push(`focus "${body.focus}" is not a known ${subject} mistake`);
+  if (body.variantsOf) {
+    if (subject !== "math") problems.push("variants are only available for math");
+    if (body.count !== undefined && body.count !== body.variantsOf.length) {
+      problems.push("count must match the number of variantsOf entries");
+    }
+    body.variantsOf.forEach((original, i) => {
+      if (original.template !== undefined && !isTemplate(original.template)) {
+        problems.push(`variantsOf[${i}].template is not a known template`);
+      }
+    });
+  }
+  return problems;
+}
+
+// Read and clamp the request options both endpoints accept
+function parseRequest(body) {
+  const subject = body.subject === "ela" ? "ela" : "math";
+  return {
+    subject,
+    topic: body.topic || "mixed",
+    // Skill ids the set is drawn from (null for any), and how it is shared out over them
+    skills: Array.isArray(body.skills) ? [...new Set(body.skills.filter((skill) => isSkill(subject, skill)))] : null,
+    mix: MIXES.includes(body.mix) ? body.mix : "even",
+    difficulty: body.difficulty || "medium",
+    count: Array.isArray(body.variantsOf) ? body.variantsOf.length : Math.max(1, Math.min(MAX_COUNT, Number(body.count) || 5)),
+    // "multiple-choice" (default) or "grid-in"; grid-ins only exist on the math section
+    format: subject === "math" && body.format === "grid-in" ? "grid-in" : "multiple-choice",
+    // Ids of questions this student has already seen, so the bank doesn't repeat them
+    excludeIds: Array.isArray(body.excludeIds) ? body.excludeIds.map(String) : [],
+    useBank: body.useBank !== false,
+    printable: body.printable === true,
+    // A misconception tag to practise against (targeted review), or null
+    focus: isKnown(subject, body.focus) ? body.focus : null,
+    source: SOURCES.includes(body.source) ? body.source : "auto",
+    // Seeds the template generator so a worksheet can be rebuilt exactly
+    seed: body.seed === undefined || body.seed === null || body.seed === "" ? null : String(body.seed).slice(0, 64),
+    // A language code from translations.js for side-by-side math questions, or null for English only
+    language: subject === "math" && isLanguage(body.language) ? body.language : null,
+    // [{ prompt, template }] for review variants (math only), or null
+    variantsOf:
+      subject === "math" && Array.isArray(body.variantsOf)
+        ? body.variantsOf.map((original) => ({ prompt: String(original.prompt), template: original.template || null }))
+        : null,
+  };
+}
+
+// The part of a skill plan the `done` questions haven't covered, cut down to `needed`. Questions
+// the model tagged with a skill off the plan still count toward the total.
+function remainingPlan(plan, done, needed) {
+  const left = plan.map((entry) => ({
+    skill: entry.skill,
+    count: Math.max(0, entry.count - done.filter((q) => q.skill === entry.skill).length),
+  }));
+  let extra = left.reduce((sum, entry) => sum + entry.count, 0) - needed;
+  for (let i = left.length - 1; i >= 0 && extra > 0; i--) {
+    const cut = Math.min(extra, left[i].count);
+    left[i].count -= cut;
+    extra -= cut;
+  }
+  return left.filter((entry) => entry.count > 0);
+}
+
+// Deal a skill plan out, in order, over batches of the given sizes
+function splitPlan(plan, sizes) {
+  const dealt = plan.flatMap((entry) => Array(entry.count).fill(entry.skill));
+  let start = 0;
+  return sizes.map((size) => {
+    const skills = dealt.slice(start, (start += size));
+    return [...new Set(skills)].map((skill) => ({ skill, count: skills.filter((s) => s === skill).length }));
+  });
+}
+
+// One entry per generation call. ELA splits into editing batches and one call per reading
+// passage; "mixed" follows the real test's 10 editing to 47 reading questions. With a skill
+// plan each batch carries its share of it, and for ELA the plan decides the editing/reading split.
+function planBatches({ subject, topic, count, plan }) {
+  if (subject !== "ela") {
+    const sizes = splitIntoBatches(count);
+    const plans = plan ? splitPlan(plan, sizes) : [];
+    return sizes.map((size, i) => (plan ? { count: size, plan: plans[i] } : { count: size }));
+  }
+
+  const readingPlan = plan ? plan.filter((entry) => findSkill("ela", entry.skill).category === "reading") : null;
+  const editingPlan = plan ? plan.filter((entry) => !readingPlan.includes(entry)) : null;
+  const editing = plan
+    ? editingPlan.reduce((sum, entry) => sum + entry.count, 0)
+    : topic === "editing" ? count : topic === "reading" ? 0 : Math.round((count * 10) / 57);
+  const editingSizes = splitIntoBatches(editing);
+  const passageSizes = count > editing ? planPassages(count - editing) : [];
+  const genres = pickGenres(passageSizes.length);
+  const editingPlans = plan ? splitPlan(editingPlan, editingSizes) : [];
+  const readingPlans = plan ? splitPlan(readingPlan, passageSizes) : [];
+  return [
+    ...editingSizes.map((size, i) => ({ count: size, topic: "editing", plan: editingPlans[i] })),
+    ...passageSizes.map((size, i) => ({ count: size, topic: "reading", genre: genres[i], plan: readingPlans[i] })),
+  ];
+}
+
+// Serve from the bank first and only ask the model to top up; math templates fill whatever is
+// still missing (source "auto") or make the whole set (source "template", which skips the bank
+// so a seed always rebuilds the same set). Every question reaches the client through onQuestion
+// (already sealed) as soon as it is ready, preceded by its passage through onPassage the first
+// time that passage appears; every rejection goes to onRejected, and questions it rejects are
+// replaced as far as one more round of generation can. Resolves to { questions, passages,
+// rejected, fromBank, fromTemplates, shortfall, seed? } (shortfall: how many short of `count`
+// the set still is; seed when templates were used), or to { error, details } when nothing could
+// be produced. Generated questions are saved to the bank unless the request has saveToBank: false.
+// A printable request also gets a printToken, which opens the set's keys through answer-keys.
+async function generateQuestions(
+  request,
+  { onQuestion = () => {}, onPassage = () => {}, onRejected = () => {} } = {}
+) {
+  if (request.variantsOf) {
+    return generateVariants(request, { onQuestion, onRejected });
+  }
+  const { subject, topic, skills, mix, difficulty, count, format, excludeIds, useBank, focus, source, seed, language } = request;
+  const saveToBank = request.saveToBank !== false;
+  const printToken = request.printable ? newPrintToken() : null;
+  const printSet = printToken && printSetId(printToken);
+  if (source === "template" && subject !== "math") {
+    return { error: "Template questions are only available for math" };
+  }
+  // How many questions each skill gets, or null for a plain topic request
+  const plan = planSkills({ subject, topic, skills, mix, count, seed });
+  const useTemplates = subject === "math" && source !== "llm";
+  const useModel = source !== "template";
+  const questions = [];
+  const passages = [];
+  const rejected = [];
+
+  // With a language each question goes out once its translation is ready, so `emitted` counts
+  // the questions on their way and `translating` the translations
+  const translating = [];
+  let emitted = 0;
+  function emit(q) {
+    emitted++;
+    if (language) {
+      translating.push(translateQuestion(q, q.id || bank.questionId(q), language).then((translation) => deliver(q, translation)));
+    } else {
+      deliver(q);
+    }
+  }
+  function deliver(q, translation = null) {
+    if (q.passage && !passages.some((p) => p.id === q.passage.id)) {
+      passages.push(q.passage);
+      onPassage(q.passage);
+    }
+    const client = toClientQuestion(q, translation, language, printSet);
+    questions.push(client);
+    onQuestion(client);
+  }
+
+  let banked = [];
+  if (useBank && useModel) {
+    try {
+      banked = plan
+        ? plan.flatMap((entry) =>
+            bank.selectQuestions({ subject, skills: [entry.skill], difficulty, format, count: entry.count, excludeIds, misconception: focus })
+          )
+        : bank.selectQuestions({ subject, topic, difficulty, format, count, excludeIds, misconception: focus });
+    } catch (err) {
+      console.error("Could not read the question bank:", err);
+    }
+  }
+  banked.forEach(emit);
+
+  const toGenerate = count - banked.length;
+
+  // Without a model the bank and the templates can still serve what they have
+  const configError = toGenerate > 0 && useModel ? llm.configError() : null;
+  if (configError && banked.length === 0 && !useTemplates) {
+    return { error: configError };
+  }
+
+  // Batches run side by side so a 57-question section takes about as long as a 10-question set;
+  // they share one set of prompts, starting from the bank's, so none repeats another
+  const callbacks = {
+    seenPrompts: new Set(banked.map((q) => promptKey(q.prompt))),
+    onQuestion: emit,
+    onRejected: (rejection) => {
+      rejected.push(rejection);
+      onRejected(rejection);
+    },
+  };
+  const batches =
+    toGenerate > 0 && useModel && !configError
+      ? await Promise.all(
+          planBatches({ subject, topic, count: toGenerate, plan: plan && remainingPlan(plan, banked, toGenerate) }).map((batch) =>
+            generateVerifiedBatch({ subject, topic, skills, difficulty, format, focus, ...batch }, callbacks)
+          )
+        )
+      : [];
+
+  // Replacements for what verification threw out: one more pass for the questions still missing
+  // (reading ones come with a new passage of their own), after which templates fill any gap in math
+  const missing = count - emitted;
+  const replacements =
+    missing > 0 && batches.length && !batches.some((batch) => batch.error)
+      ? await Promise.all(
+          planBatches({
+            subject,
+            topic,
+            count: missing,
+            plan: plan && remainingPlan(plan, [...banked, ...batches.flatMap((batch) => batch.questions)], missing),
+          }).map((batch) => generateVerifiedBatch({ subject, topic, skills, difficulty, format, focus, ...batch }, callbacks))
+        )
+      : [];
+
+  const generated = [...batches, ...replacements].flatMap((batch) => batch.questions || []);
+  const failed = batches.find((batch) => batch.error);
+
+  if (generated.length && saveToBank) {
+    bankQuestions(generated);
+  }
+
+  // Templates are cheap to rebuild from their seed, so they are never banked
+  let templated = [];
+  const templateSeed = seed || newSeed();
+  if (useTemplates && emitted < count) {
+    templated = generateFromTemplates({
+      topic,
+      skills: plan && plan.map((entry) => entry.skill),
+      difficulty,
+      format,
+      focus,
+      count: count - emitted,
+      seed: templateSeed,
+    });
+    templated.forEach(emit);
+  }
+  await Promise.all(translating);
+
+  telemetry.recordGeneration({
+    request: { subject, topic, skills, difficulty, format, source, language },
+    requested: count,
+    delivered: questions.length,
+    fromBank: banked.length,
+    fromTemplates: templated.length,
+    rejected,
+  });
+
+  // Only fail when nothing was produced; otherwise return what we have
+  if (failed && questions.length === 0) {
+    return { error: failed.error, details: failed.details };
+  }
+
+  const result = {
+    questions,
+    passages,
+    rejected,
+    fromBank: banked.length,
+    fromTemplates: templated.length,
+    shortfall: Math.max(0, count - questions.length),
+  };
+  if (templated.length) result.seed = templateSeed;
+  if (printToken) result.printToken = printToken;
+  return result;
+}
+
+// Review variants: one new question per entry of `variantsOf`, the same problem with different
+// numbers. A template question is rebuilt from its template with a fresh seed; the rest go to
+// the model in one call and are verified like any generated question. Each client question
+// carries variantOf, the index of its original. An original whose variant was rejected gets
+// none, and the caller shows the original again, so this never fails outright.
+async function generateVariants({ difficulty, format, variantsOf, seed, language }, { onQuestion, onRejected }) {
+  const questions = [];
+  const rejected = [];
+  const generated = [];
+  const translating = [];
+  let fromTemplates = 0;
+
+  function emit(q, index) {
+    if (language) {
+      translating.push(translateQuestion(q, bank.questionId(q), language).then((translation) => deliver(q, index, translation)));
+    } else {
+      deliver(q, index);
+    }
+  }
+  function deliver(q, index, translation = null) {
+    const client = toClientQuestion({ ...q, variantOf: index }, translation, language);
+    questions.push(client);
+    onQuestion(client);
+  }
+  function reject(rejection) {
+    rejected.push(rejection);
+    onRejected(rejection);
+  }
+
+  const templateSeed = seed || newSeed();
+  const forModel = [];
+  variantsOf.forEach((original, index) => {
+    const [q] = original.template
+      ? generateFromTemplates({ templateId: original.template, difficulty, format, count: 1, seed: `${templateSeed}:${index}` })
+      : [];
+    if (q && q.prompt !== original.prompt) {
+      fromTemplates++;
+      emit(q, index);
+    } else {
+      forModel.push(index);
+    }
+  });
+
+  if (forModel.length && !llm.configError()) {
+    const covered = new Set();
+    // No replacement round: a rejected variant just falls back to its original
+    await generateBatch(
+      { subject: "math", topic: "mixed", difficulty, format, count: forModel.length, variantsOf: forModel.map((i) => variantsOf[i].prompt) },
+      (q, rejection) => {
+        const index = q && Number.isInteger(q.variantOf) ? forModel[q.variantOf - 1] : undefined;
+        if (!rejection && (index === undefined || covered.has(index))) {
+          rejection = { prompt: q.prompt, reason: "not_a_variant" };
+        } else if (!rejection && q.prompt === variantsOf[index].prompt) {
+          rejection = { prompt: q.prompt, reason: "same_as_original" };
+        }
+        if (rejection) {
+          reject(rejection);
+          return;
+        }
+        covered.add(index);
+        delete q.variantOf;
+        generated.push(q);
+        emit(q, index);
+      }
+    );
+  }
+
+  await Promise.all(translating);
+
+  if (generated.length) {
+    bankQuestions(generated);
+  }
+  telemetry.recordGeneration({
+    request: { subject: "math", variants: variantsOf.length, difficulty, format, language },
+    requested: variantsOf.length,
+    delivered: questions.length,
+    fromTemplates,
+    rejected,
+  });
+  const result = { questions, passages: [], rejected, fromBank: 0, fromTemplates, shortfall: variantsOf.length - questions.length };
+  if (fromTemplates) result.seed = templateSeed;
+  return result;
+}
+
+module.exports = {
+  TOPICS,
+  MIXES,
+  DIFFICULTIES,
+  checkRequest,
+  parseRequest,
+  generateQuestions,
+};
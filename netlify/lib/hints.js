@@ -0,0 +1,239 @@
+// netlify/lib/hints.js
+//
+// Progressive hints and guided steps for one issued question. Every question has four hint
+// levels; only the last one gives the answer away:
+//   math: restate the question, name the quantities that matter, set up the equation, finish
+//   ela:  restate the question, point to the evidence, rule out choices, finish
+// The first three are written by the model from the sealed key, then checked: a hint that
+// mentions the answer (or which choice is right) is thrown out in favour of plain rule-based
+// hints. Math questions also get guided steps, the intermediate values a student works out on
+// the way; the last step's value must equal the key's answer or guided mode is not offered.
+// Results are cached per question in the JSON store, so a question costs one model call no
+// matter how many students ask for help with it.
+
+const crypto = require("crypto");
+const llm = require("./llm");
+const store = require("./store");
+const { parseAnswer, sameAnswer } = require("./answers");
+const { numberedText } = require("./passages");
+const { checkFigure, promptWithFigure } = require("./figures");
+const telemetry = require("./telemetry");
+
+const CACHE = "hints";
+const MAX_CACHED = 2000;
+const LETTERS = ["A", "B", "C", "D"];
+const LEVELS = {
+  math: ["Restate the question", "Find the quantities", "Set up the equation", "Finish"],
+  ela: ["Restate the question", "Find the evidence", "Rule out choices", "Finish"],
+};
+// Fields of the model's reply, in level order
+const HINT_FIELDS = {
+  math: ["restate", "quantities", "setup"],
+  ela: ["restate", "evidence", "eliminate"],
+};
+const MIN_STEPS = 2;
+const MAX_STEPS = 5;
+
+// Same inputs as the answer-key fingerprint, so a cached entry belongs to exactly one question
+function cacheKey({ prompt, choices, format, figure, passageId }) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify([prompt, choices || null, format || "multiple-choice", figure || null, passageId || null]))
+    .digest("base64url")
+    .slice(0, 22);
+}
+
+// The key's answer as an answer from answers.js, or null when it isn't a value (most ELA)
+function keyAnswer(question, key) {
+  if (question.format === "grid-in") return parseAnswer(key.correctAnswer);
+  const choice = question.choices && question.choices[key.correctIndex];
+  return choice === undefined ? null : parseAnswer(choice);
+}
+
+function answerText(question, key) {
+  return question.format === "grid-in"
+    ? String(key.correctAnswer)
+    : `${LETTERS[key.correctIndex]} (${question.choices[key.correctIndex]})`;
+}
+
+function hintPrompt(subject, question, key, passage) {
+  // Like the solver, the model reads a figure as words, and only one that checks out
+  const figure = subject === "math" && question.figure ? checkFigure(question.figure, question.prompt) : null;
+  const prompt = figure && !figure.problems.length ? promptWithFigure(question.prompt, figure.figure) : question.prompt;
+  const passageBlock = passage
+    ? `\nPassage${passage.title ? ` ("${passage.title}")` : ""}:\n${numberedText(passage)}\n`
+    : "";
+  const choiceBlock = question.choices
+    ? `\nChoices:\n${question.choices.map((c, i) => `${LETTERS[i]}) ${c}`).join("\n")}\n`
+    : "";
+
+  const shape =
+    subject === "math"
+      ? `{
+  "restate": "the question in plain words: what is given and what is asked for",
+  "quantities": "which numbers and facts matter, and what each one stands for",
+  "setup": "the equation or plan that leads to the answer, without solving it",
+  "steps": [
+    { "prompt": "What is the price after the 25% markup, in dollars?", "answer": "60" },
+    { "prompt": "What is the sale price after 10% off, in dollars?", "answer": "54" }
+  ]
+}
+
+- steps: ${MIN_STEPS} to ${MAX_STEPS} values the student works out in order. Each answer is one exact number
+  (a fraction like "3/8" is fine, no units). The last step's answer is the final answer.`
+      : `{
+  "restate": "the question in plain words: what it is really asking",
+  "evidence": "where to look in the passage or sentence, without quoting the answer",
+  "eliminate": "how to rule out two of the wrong choices, without naming the right one"
+}`;
+
+  return `
+You are tutoring a student who is stuck on a SHSAT-style ${subject === "math" ? "math" : "ELA"} question.
+Write hints that lead them toward the answer one level at a time.
+${passageBlock}
+Question:
+${prompt}
+${choiceBlock}
+Correct answer: ${answerText(question, key)}
+Worked solution: ${key.solution || "(none)"}
+
+Respond ONLY with JSON of this exact shape:
+
+${shape}
+
+Rules:
+- No hint may state the final answer or say which choice (A, B, C or D) is correct.
+- Talk to the student directly, in one or two short sentences per hint.
+`;
+}
+
+// Every number written in a hint, "\frac{3}{8}" and "3/8" included
+function numbersIn(text) {
+  const plain = String(text).replace(/\\frac\s*\{(\d+)\}\s*\{(\d+)\}/g, "$1/$2");
+  return (plain.match(/-?\d[\d,]*(?:\.\d+)?(?:\s*\/\s*\d+)?/g) || []).map((n) => parseAnswer(n)).filter(Boolean);
+}
+
+// Whether a hint gives the answer away. A number the question itself states can't leak it.
+function revealsAnswer(hint, question, key, answer) {
+  if (/\b(?:[Cc]hoice|[Oo]ption|[Aa]nswer)\s*\(?[A-D]\)?(?![A-Za-z])/.test(hint)) return true;
+  if (answer) {
+    const given = numbersIn(question.prompt);
+    const leaked = numbersIn(hint).some((n) => sameAnswer(n, answer) && !given.some((g) => sameAnswer(g, answer)));
+    if (leaked) return true;
+  }
+  const choice = question.choices && question.choices[key.correctIndex];
+  return !!choice && choice.trim().length > 3 && hint.toLowerCase().includes(choice.trim().toLowerCase());
+}
+
+// Guided steps from the model, or null unless there are enough and the last one lands on the answer
+function checkSteps(steps, answer) {
+  if (!answer || !Array.isArray(steps) || steps.length < MIN_STEPS || steps.length > MAX_STEPS) return null;
+  const parsed = steps.map((step) => {
+    const value = step && typeof step.prompt === "string" && step.prompt.trim() ? parseAnswer(step.answer) : null;
+    return value && value.kind === "number" ? { prompt: step.prompt.trim(), answer: String(step.answer).trim() } : null;
+  });
+  if (parsed.includes(null)) return null;
+  return sameAnswer(parseAnswer(parsed[parsed.length - 1].answer), answer) ? parsed : null;
+}
+
+// The question sentence itself, usually the last one
+function askedSentence(prompt) {
+  const sentences = prompt.replace(/\\\(|\\\)/g, "").split(/(?<=[.?!])\s+/).filter(Boolean);
+  return sentences.reverse().find((s) => s.trim().endsWith("?")) || sentences[0] || prompt;
+}
+
+// Used when the model is unavailable or its hints gave the answer away
+function basicHints(subject, question, passage) {
+  const restate = `Reread what is being asked: "${askedSentence(question.prompt).trim()}" Put it in your own words before you start.`;
+  if (subject === "math") {
+    const numbers = [...new Set(String(question.prompt).match(/\d[\d,]*(?:\.\d+)?%?/g) || [])];
+    return [
+      restate,
+      numbers.length
+        ? `The numbers to work with are ${numbers.join(", ")}. Write down what each one stands for.`
+        : "List what the question tells you and what each fact means.",
+      "Write an equation or expression that connects those quantities to what the question asks for, then solve it one step at a time.",
+    ];
+  }
+  return [
+    restate,
+    passage
+      ? "Find the part of the passage the question points to and reread it with the question in mind."
+      : "Read the sentence with each choice in place and listen for the one that is clear and correct.",
+    "Rule out any choice the text doesn't support, that is too broad or too narrow, or that adds a new error.",
+  ];
+}
+
+function cached(id) {
+  return store.readJSON(CACHE, {})[id] || null;
+}
+
+function remember(id, entry) {
+  store.updateJSON(CACHE, {}, (entries) => {
+    const kept = Object.keys(entries).filter((k) => k !== id).slice(-(MAX_CACHED - 1));
+    return { ...Object.fromEntries(kept.map((k) => [k, entries[k]])), [id]: entry };
+  });
+}
+
+// The hint ladder for a question whose sealed `key` holds its answer: { hints: [3 texts],
+// steps: [{ prompt, answer }] | null, source: "model" | "basic" }. `question` is what the
+// client sent (with passageId filled in), `passage` the normalized passage for reading questions.
+async function hintsFor(subject, question, key, passage) {
+  const id = cacheKey(question);
+  const hit = cached(id);
+  if (hit) return hit;
+
+  const answer = keyAnswer(question, key);
+  const fallback = { hints: basicHints(subject, question, passage), steps: null, source: "basic" };
+  if (llm.configError()) return fallback;
+
+  const reply = await llm.chatJSON({
+    purpose: `hint-${subject}`,
+    system: "You are a patient SHSAT tutor. Always return valid JSON and follow the requested schema exactly.",
+    user: hintPrompt(subject, question, key, passage),
+    temperature: 0.3,
+  });
+  // A failed call isn't cached, so the next request tries the model again
+  if (reply.error) return fallback;
+
+  const hints = HINT_FIELDS[subject].map((field) => reply.json[field]);
+  const usable = hints.every((hint) => typeof hint === "string" && hint.trim() && !revealsAnswer(hint, question, key, answer));
+  if (!usable) {
+    console.error("Model hints were unusable or gave the answer away:", reply.json);
+    telemetry.event("unusable_hints", JSON.stringify(reply.json));
+  }
+  const entry = {
+    hints: usable ? hints.map((hint) => hint.trim()) : fallback.hints,
+    steps: subject === "math" ? checkSteps(reply.json.steps, answer) : null,
+    source: usable ? "model" : "basic",
+  };
+  remember(id, entry);
+  return entry;
+}
+
+// Hint `level` (1-based). The last level is the answer and the worked solution.
+function hintAt(subject, entry, level, question, key) {
+  const labels = LEVELS[subject];
+  const reply = { level, levels: labels.length, label: labels[level - 1] };
+  if (level < labels.length) return { ...reply, text: entry.hints[level - 1] };
+  return { ...reply, text: `The answer is ${answerText(question, key)}.`, solution: key.solution || "" };
+}
+
+// Check a student's value for guided step `index` (0-based). Returns { step, steps, isCorrect },
+// plus the step's value when they got it or gave up (`reveal`), or null for a step that
+// doesn't exist.
+function checkStep(entry, index, response, { reveal = false } = {}) {
+  const step = entry.steps && entry.steps[index];
+  if (!step) return null;
+  const isCorrect = response !== undefined && sameAnswer(parseAnswer(response), parseAnswer(step.answer));
+  const reply = { step: index, steps: entry.steps.length, isCorrect };
+  if (isCorrect || reveal) reply.answer = step.answer;
+  return reply;
+}
+
+module.exports = {
+  LEVELS,
+  hintsFor,
+  hintAt,
+  checkStep,
+};
@@ -0,0 +1,34 @@
+// netlify/lib/limit.js
+//
+// Caps how many async tasks run at once. Tasks beyond the limit wait in FIFO order.
+
+function createLimiter(max) {
+  const limit = Math.max(1, Math.floor(max) || 1);
+  const waiting = [];
+  let active = 0;
+
+  function next() {
+    if (active >= limit || !waiting.length) return;
+    active++;
+    const { task, resolve, reject } = waiting.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  }
+
+  // Resolves or rejects with whatever `task` does, once a slot is free
+  return function run(task) {
+    return new Promise((resolve, reject) => {
+      waiting.push({ task, resolve, reject });
+      next();
+    });
+  };
+}
+
+module.exports = {
+  createLimiter,
+};
@@ -0,0 +1,205 @@
+// netlify/lib/llm.js
+//
+// Shared chat-completion client for the functions. LLM_PROVIDER picks the backend:
+//   openai (default) - api.openai.com, needs OPENAI_API_KEY
+//   local            - any OpenAI-compatible server (Ollama, llama.cpp) at LLM_BASE_URL
+//   mock             - canned responses from netlify/lib/fixtures/<purpose>.json, no network
+// LLM_MODEL overrides the model for every call; LLM_SOLVER_MODEL overrides it for solver calls only.
+// LLM_TIMEOUT_MS caps how long any one call may take (default 60 seconds). Every call counts
+// against the daily budget in budget.js (best effort per instance on hosted Netlify, see there);
+// once it is spent, calls fail with "budget_exceeded".
+// Each call's tokens, cost and latency also go to the current request's telemetry record.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const budget = require("./budget");
+const telemetry = require("./telemetry");
+
+const DEFAULT_TIMEOUT_MS = 60000;
+
+const PROVIDERS = {
+  openai: {
+    baseUrl: "https://api.openai.com/v1",
+    model: "gpt-4o",
+    apiKeyEnv: "OPENAI_API_KEY",
+  },
+  local: {
+    baseUrl: "http://localhost:11434/v1", // Ollama's OpenAI-compatible endpoint
+    model: "llama3.1",
+    apiKeyEnv: "LLM_API_KEY", // most local servers ignore it
+  },
+  mock: {
+    model: "mock",
+  },
+};
+
+function getProviderName() {
+  return (process.env.LLM_PROVIDER || "openai").toLowerCase();
+}
+
+// Solver calls ("solve-*" purposes) can run on a different model than generation
+function modelFor(purpose) {
+  const provider = PROVIDERS[getProviderName()];
+  if (purpose.startsWith("solve") && process.env.LLM_SOLVER_MODEL) {
+    return process.env.LLM_SOLVER_MODEL;
+  }
+  return process.env.LLM_MODEL || provider.model;
+}
+
+// Returns a message when the selected provider cannot be used right now (misconfigured, or
+// today's budget is spent), otherwise null
+function configError() {
+  const name = getProviderName();
+  if (!PROVIDERS[name]) {
+    return `Unknown LLM_PROVIDER "${name}" (expected openai, local or mock)`;
+  }
+  if (name === "openai" && !process.env.OPENAI_API_KEY) {
+    return "OPENAI_API_KEY is not set";
+  }
+  return budget.budgetError();
+}
+
+function defaultTimeoutMs() {
+  return Number(process.env.LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+}
+
+// Ask for a JSON object. `purpose` names the call site (e.g. "generate-math", "solve-choice");
+// the mock provider picks its fixture file by it. Resolves to { json, usage, model } or to
+// { error, details } where error is "budget_exceeded", "request_failed", "timeout",
+// "no_content" or "invalid_json".
+async function chatJSON(options) {
+  const started = Date.now();
+  const reply = await callModel(options);
+  telemetry.recordCall({
+    purpose: options.purpose,
+    model: modelFor(options.purpose),
+    usage: reply.usage,
+    latencyMs: Date.now() - started,
+    error: reply.error,
+  });
+  return reply;
+}
+
+async function callModel({ purpose, system, user, temperature = 0.2, timeoutMs = defaultTimeoutMs() }) {
+  const name = getProviderName();
+  const model = modelFor(purpose);
+
+  // Checked before every call, so a big generation stops partway once the budget runs out
+  const overBudget = budget.budgetError();
+  if (overBudget) {
+    return { error: "budget_exceeded", details: overBudget };
+  }
+
+  if (name === "mock") {
+    return mockChat({ purpose, user, model });
+  }
+
+  const provider = PROVIDERS[name];
+  const baseUrl = (process.env.LLM_BASE_URL || provider.baseUrl).replace(/\/+$/, "");
+  const apiKey = process.env[provider.apiKeyEnv];
+
+  const headers = { "Content-Type": "application/json" };
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+
+  let data;
+  try {
+    const response = await fetch(`${baseUrl}/chat/completions`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({
+        model,
+        messages: [
+          { role: "system", content: system },
+          { role: "user", content: user },
+        ],
+        temperature,
+        response_format: { type: "json_object" },
+      }),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+
+    if (!response.ok) {
+      const errText = await response.text();
+      console.error(`LLM API error (${purpose}):`, errText);
+      return { error: "request_failed", details: errText };
+    }
+
+    data = await response.json();
+  } catch (e) {
+    // AbortSignal.timeout rejects with a TimeoutError; anything else is a network failure
+    if (e.name === "TimeoutError") {
+      console.error(`LLM call timed out after ${timeoutMs}ms (${purpose})`);
+      return { error: "timeout", details: `No reply within ${timeoutMs}ms` };
+    }
+    console.error(`LLM request failed (${purpose}):`, String(e));
+    return { error: "request_failed", details: String(e) };
+  }
+
+  budget.recordUsage(model, data.usage);
+  const content = data.choices?.[0]?.message?.content;
+
+  if (!content) {
+    console.error(`No content in LLM response (${purpose}):`, JSON.stringify(data, null, 2));
+    return { error: "no_content", usage: data.usage };
+  }
+
+  try {
+    return { json: JSON.parse(content), usage: data.usage || null, model };
+  } catch (e) {
+    console.error(`Failed to parse LLM JSON (${purpose}):`, content);
+    return { error: "invalid_json", details: content, usage: data.usage };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Mock provider
+// ---------------------------------------------------------------------------
+
+function fixturesDir() {
+  return process.env.LLM_FIXTURES_DIR || path.join(__dirname, "fixtures");
+}
+
+// A fixture file is { "responses": [{ "match"?: string, "response": object }] }. The first
+// entry whose `match` text appears in the prompt wins; otherwise one of the entries without
+// `match` is chosen by a hash of the prompt, so the same prompt always gets the same answer.
+function mockChat({ purpose, user, model }) {
+  const file = path.join(fixturesDir(), `${purpose}.json`);
+
+  let fixture;
+  try {
+    fixture = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    console.error(`Mock LLM has no usable fixture for "${purpose}":`, String(e));
+    return { error: "request_failed", details: `No mock fixture for ${purpose}` };
+  }
+
+  const responses = fixture.responses || [];
+  const matched = responses.find((entry) => entry.match && user.includes(entry.match));
+  const fallbacks = responses.filter((entry) => !entry.match);
+
+  let entry = matched;
+  if (!entry && fallbacks.length) {
+    const hash = crypto.createHash("sha256").update(user).digest();
+    entry = fallbacks[hash.readUInt32BE(0) % fallbacks.length];
+  }
+
+  if (!entry) {
+    return { error: "no_content" };
+  }
+
+  return {
+    json: entry.response,
+    usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+    model,
+  };
+}
+
+module.exports = {
+  chatJSON,
+  configError,
+  getProviderName,
+  modelFor,
+};
@@ -0,0 +1,650 @@
+// netlify/lib/math-templates.js
+//
+// SHSAT-style math word problems built from templates instead of the model: random numbers,
+// an answer computed exactly, and wrong choices that come from coded common errors (each one
+// tagged like a model-written distractor, see misconceptions.js). No network, no cost, and the
+// same seed always gives the same set.
+
+const { parseAnswer, sameAnswer, fitsGrid } = require("./answers");
+const { createRandom } = require("./random");
+const { checkFigure } = require("./figures");
+const { findSkill } = require("./skills");
+
+const NAMES = ["Ava", "Marcus", "Priya", "Diego", "Lena", "Omar", "Jada", "Kenji", "Sofia", "Malik"];
+const ITEMS = ["jacket", "bicycle", "speaker", "backpack", "tablet", "pair of sneakers", "desk lamp", "guitar"];
+// How many times to re-roll a template whose numbers came out unusable before skipping it
+const BUILD_ATTEMPTS = 20;
+
+// Answers are plain numbers or exact fractions { n, d }
+function fraction(n, d) {
+  return { n, d };
+}
+
+function toNumber(value) {
+  return typeof value === "number" ? value : value.n / value.d;
+}
+
+function gcd(a, b) {
+  return b ? gcd(b, a % b) : Math.abs(a);
+}
+
+// Numbers are built to stay within 4 decimal places; anything longer is float noise
+function formatNumber(x) {
+  return String(Math.round(x * 10000) / 10000);
+}
+
+function formatMoney(x) {
+  return Number.isInteger(Math.round(x * 10000) / 10000) ? formatNumber(x) : x.toFixed(2);
+}
+
+// Fractions are written in inline math markup, which the page draws stacked (js/math-render.js)
+function fractionText(n, d) {
+  return `\\(\\frac{${n}}{${d}}\\)`;
+}
+
+function formatValue(value) {
+  if (typeof value === "number") return formatNumber(value);
+  const g = gcd(value.n, value.d);
+  return value.d / g === 1 ? String(value.n / g) : fractionText(value.n / g, value.d / g);
+}
+
+// A choice should read like a real answer: no long decimals, no negative counts
+function isClean(value) {
+  const x = toNumber(value);
+  if (!Number.isFinite(x) || x <= 0) return false;
+  return typeof value !== "number" || Number.isInteger(Math.round(x * 100 * 10000) / 10000);
+}
+
+// Grid-ins take decimals; a fraction only works when it terminates within the grid
+function gridText(value) {
+  const x = toNumber(value);
+  if (!Number.isInteger(Math.round(x * 10000 * 1e6) / 1e6)) return null;
+  const text = formatNumber(x);
+  return fitsGrid(text) ? text : null;
+}
+
+function lcm(a, b) {
+  return (a * b) / gcd(a, b);
+}
+
+// Each template's build(rnd, difficulty) returns { prompt, answer, solution, distractors, show? }.
+// distractors are { value, tag, rationale }; `tags` lists the tags they can carry, so targeted
+// review can pick templates that exercise a given mistake. `skill` is the template's skill in
+// skills.js.
+const TEMPLATES = [
+  {
+    id: "percent-change",
+    topic: "percent",
+    skill: "percent",
+    tags: ["stopped-early", "sign-error", "percent-conversion", "equation-setup", "wrong-base"],
+    build(rnd, difficulty) {
+      const item = rnd.pick(ITEMS);
+      if (difficulty === "easy") {
+        const price = rnd.int(40, 200, 20);
+        const p = rnd.int(10, 40, 5);
+        const up = rnd.next() < 0.5;
+        const change = (price * p) / 100;
+        return {
+          prompt: `A ${item} costs $${price}. Its price ${up ? "increases" : "decreases"} by ${p}%. What is the new price of the ${item}, in dollars?`,
+          answer: up ? price + change : price - change,
+          solution: `${p}% of $${price} is $${formatMoney(change)}, so the new price is $${price} ${up ? "+" : "-"} $${formatMoney(change)} = $${formatMoney(up ? price + change : price - change)}.`,
+          show: formatMoney,
+          distractors: [
+            { value: change, tag: "stopped-early", rationale: `$${formatMoney(change)} is the amount of the change; it still has to be ${up ? "added to" : "subtracted from"} the original price.` },
+            { value: up ? price - change : price + change, tag: "sign-error", rationale: `The price ${up ? "increases" : "decreases"}, so the change should be ${up ? "added" : "subtracted"}, not ${up ? "subtracted" : "added"}.` },
+            { value: up ? price + p : price - p, tag: "percent-conversion", rationale: `You treated ${p}% as $${p} instead of ${p}% of $${price}.` },
+          ],
+        };
+      }
+      if (difficulty === "hard") {
+        const original = rnd.int(60, 300, 20);
+        const d = rnd.int(15, 40, 5);
+        const sale = (original * (100 - d)) / 100;
+        return {
+          prompt: `During a sale, every ${item} is ${d}% off. ${rnd.pick(NAMES)} pays $${formatMoney(sale)} for a ${item} on sale. What was the original price of the ${item}, in dollars?`,
+          answer: original,
+          solution: `The sale price is ${100 - d}% of the original price, so the original price is $${formatMoney(sale)} ÷ ${(100 - d) / 100} = $${original}.`,
+          show: formatMoney,
+          distractors: [
+            { value: (sale * (100 + d)) / 100, tag: "wrong-base", rationale: `You added ${d}% of the sale price, but the discount was ${d}% of the original price.` },
+            { value: sale + d, tag: "percent-conversion", rationale: `You added $${d} back instead of working out what ${d}% of the original price was.` },
+            { value: (original * d) / 100, tag: "stopped-early", rationale: `$${formatMoney((original * d) / 100)} is the amount of the discount, not the original price.` },
+          ],
+        };
+      }
+      const price = rnd.int(40, 200, 20);
+      const m = rnd.int(10, 50, 5);
+      const d = rnd.pick([10, 15, 20, 25, 30].filter((x) => x !== m));
+      const marked = (price * (100 + m)) / 100;
+      const answer = (marked * (100 - d)) / 100;
+      return {
+        prompt: `A store buys a ${item} for $${price} and marks the price up by ${m}%. During a sale, the marked price is discounted by ${d}%. What is the sale price of the ${item}, in dollars?`,
+        answer,
+        solution: `The marked price is $${price} × ${(100 + m) / 100} = $${formatMoney(marked)}. The sale price is $${formatMoney(marked)} × ${(100 - d) / 100} = $${formatMoney(answer)}.`,
+        show: formatMoney,
+        distractors: [
+          { value: (price * (100 + m - d)) / 100, tag: "equation-setup", rationale: `You combined the ${m}% markup and ${d}% discount into one change, but the discount is taken from the marked price, not from $${price}.` },
+          { value: marked, tag: "stopped-early", rationale: `$${formatMoney(marked)} is the marked price before the ${d}% discount.` },
+          { value: marked - (price * d) / 100, tag: "wrong-base", rationale: `You took ${d}% of the original $${price} instead of ${d}% of the marked price.` },
+        ],
+      };
+    },
+  },
+  {
+    id: "percent-of-change",
+    topic: "percent",
+    skill: "percent",
+    tags: ["wrong-base", "stopped-early", "percent-conversion"],
+    build(rnd, difficulty) {
+      const start = rnd.pick(difficulty === "easy" ? [20, 40, 50, 80, 200] : [60, 120, 150, 160, 240, 250]);
+      const p = rnd.pick([5, 10, 15, 20, 25, 30, 35, 40, 45, 60, 75].filter((x) => (start * x) % 100 === 0));
+      const up = difficulty === "easy" || rnd.next() < 0.5;
+      const change = (start * p) / 100;
+      const end = up ? start + change : start - change;
+      const group = rnd.pick(["members in a chess club", "students in an after-school program", "runners in a charity race", "visitors to a museum exhibit"]);
+      return {
+        prompt: `The number of ${group} went from ${start} last year to ${end} this year. By what percent did the number ${up ? "increase" : "decrease"}?`,
+        answer: p,
+        solution: `The change is ${change}. As a percent of last year's ${start}, that is ${change} ÷ ${start} × 100 = ${p}%.`,
+        distractors: [
+          { value: Math.round((change / end) * 1000) / 10, tag: "wrong-base", rationale: `You divided the change by this year's ${end}; percent change is measured from last year's ${start}.` },
+          { value: change, tag: "stopped-early", rationale: `${change} is how much the number changed, not the percent change.` },
+          { value: Math.round((end / start) * 1000) / 10, tag: "percent-conversion", rationale: `That is this year's number as a percent of last year's; the percent change is the difference from 100%.` },
+        ],
+      };
+    },
+  },
+  {
+    id: "ratio-share",
+    topic: "ratios",
+    skill: "proportions",
+    tags: ["missed-condition", "stopped-early", "wrong-denominator"],
+    build(rnd, difficulty) {
+      const [first, second, group] = rnd.pick([
+        ["boys", "girls", "students"],
+        ["fiction books", "nonfiction books", "books"],
+        ["red tiles", "blue tiles", "tiles"],
+        ["adults", "children", "people"],
+      ]);
+      const a = rnd.int(2, 7);
+      const b = rnd.int(1, 6);
+      if (a <= b || gcd(a, b) !== 1) return null;
+      const k = rnd.int(difficulty === "easy" ? 3 : 6, difficulty === "easy" ? 9 : 15);
+
+      if (difficulty === "hard") {
+        const c = rnd.int(b + 1, b + 4);
+        if (gcd(a, c) !== 1) return null;
+        const joined = (c - b) * k;
+        return {
+          prompt: `In a group of ${group}, the ratio of ${first} to ${second} is ${a} to ${b}. After ${joined} more ${second} are added and nothing else changes, the ratio of ${first} to ${second} is ${a} to ${c}. How many ${group} are in the group now?`,
+          answer: (a + c) * k,
+          solution: `The ${first} did not change, so each ratio part stays the same size. The ${second} went from ${b} to ${c} parts, so the ${joined} new ${second} make up ${c - b} part${c - b > 1 ? "s" : ""} and each part is ${k}. Now there are ${a + c} parts, or ${(a + c) * k} ${group}.`,
+          distractors: [
+            { value: (a + b) * k, tag: "stopped-early", rationale: `${(a + b) * k} is the size of the group before the ${joined} ${second} were added.` },
+            { value: (a + c) * joined, tag: "wrong-denominator", rationale: `You treated the ${joined} new ${second} as one part of the ratio; they make up ${c - b} parts.` },
+            { value: c * k, tag: "missed-condition", rationale: `${c * k} counts only the ${second}; the question asks for all the ${group}.` },
+          ],
+        };
+      }
+
+      const total = (a + b) * k;
+      if (difficulty === "easy") {
+        return {
+          prompt: `In a group of ${total} ${group}, the ratio of ${first} to ${second} is ${a} to ${b}. How many ${second} are in the group?`,
+          answer: b * k,
+          solution: `The ratio has ${a + b} parts, so one part is ${total} ÷ ${a + b} = ${k}. The ${second} are ${b} parts: ${b} × ${k} = ${b * k}.`,
+          distractors: [
+            { value: a * k, tag: "missed-condition", rationale: `${a * k} is the number of ${first}, not ${second}.` },
+            { value: k, tag: "stopped-early", rationale: `${k} is the size of one part of the ratio; the ${second} are ${b} parts.` },
+            { value: (total * b) / a, tag: "wrong-denominator", rationale: `You divided by the ${first}' ${a} parts instead of by all ${a + b} parts of the ratio.` },
+          ],
+        };
+      }
+      return {
+        prompt: `In a group of ${total} ${group}, the ratio of ${first} to ${second} is ${a} to ${b}. How many more ${first} than ${second} are in the group?`,
+        answer: (a - b) * k,
+        solution: `The ratio has ${a + b} parts, so one part is ${total} ÷ ${a + b} = ${k}. There are ${a * k} ${first} and ${b * k} ${second}, a difference of ${(a - b) * k}.`,
+        distractors: [
+          { value: a * k, tag: "stopped-early", rationale: `${a * k} is the number of ${first}; you still need to subtract the ${second}.` },
+          { value: (total * (a - b)) / a, tag: "wrong-denominator", rationale: `You divided by ${a} parts instead of by all ${a + b} parts of the ratio.` },
+          { value: a - b, tag: "missed-condition", rationale: `${a - b} is the difference in ratio parts; each part is ${k} ${group}.` },
+        ],
+      };
+    },
+  },
+  {
+    id: "rate-time-distance",
+    topic: "ratios",
+    skill: "unit-rates",
+    tags: ["unit-conversion", "equation-setup", "stopped-early", "missed-condition"],
+    build(rnd, difficulty) {
+      const name = rnd.pick(NAMES);
+      if (difficulty === "easy") {
+        const rate = rnd.int(8, 18);
+        const minutes = rnd.pick([15, 20, 30, 40, 45, 75, 90]);
+        const answer = (rate * minutes) / 60;
+        return {
+          prompt: `${name} rides a bike at a constant speed of ${rate} miles per hour for ${minutes} minutes. How many miles does ${name} ride?`,
+          answer,
+          solution: `${minutes} minutes is ${formatNumber(minutes / 60)} hour, so the distance is ${rate} × ${formatNumber(minutes / 60)} = ${formatNumber(answer)} miles.`,
+          distractors: [
+            { value: rate * minutes, tag: "unit-conversion", rationale: "You multiplied miles per hour by minutes; convert the minutes to hours first." },
+            { value: (rate * minutes) / 100, tag: "unit-conversion", rationale: `An hour has 60 minutes, not 100, so ${minutes} minutes is not ${formatNumber(minutes / 100)} hour.` },
+            { value: Math.round(((rate * 60) / minutes) * 100) / 100, tag: "equation-setup", rationale: "You divided the speed by the time; distance is speed times time." },
+          ],
+        };
+      }
+      if (difficulty === "hard") {
+        const slow = rnd.int(30, 60, 5);
+        const gap = rnd.pick([5, 10, 15, 20]);
+        const headStart = rnd.int(1, 3);
+        const hours = (slow * headStart) / gap;
+        if (!Number.isInteger(hours * 2) || hours > 12) return null;
+        const fast = slow + gap;
+        return {
+          prompt: `A freight train leaves a station traveling at ${slow} miles per hour. ${headStart} hour${headStart > 1 ? "s" : ""} later, a passenger train leaves the same station on a parallel track, traveling in the same direction at ${fast} miles per hour. How many miles from the station is the passenger train when it catches up to the freight train?`,
+          answer: fast * hours,
+          solution: `The freight train's head start is ${slow} × ${headStart} = ${slow * headStart} miles, and the passenger train closes the gap at ${gap} miles per hour, taking ${formatNumber(hours)} hours. It has gone ${fast} × ${formatNumber(hours)} = ${formatNumber(fast * hours)} miles.`,
+          distractors: [
+            { value: hours, tag: "stopped-early", rationale: `${formatNumber(hours)} is how many hours the passenger train travels, not how far.` },
+            { value: slow * hours, tag: "missed-condition", rationale: `That is how far the freight train goes in ${formatNumber(hours)} hours, leaving out its ${headStart}-hour head start.` },
+            { value: (slow + fast) * hours, tag: "equation-setup", rationale: "You added the speeds, which works for trains moving toward each other, not for one catching up to the other." },
+          ],
+        };
+      }
+      const [r1, r2] = rnd.pick([[30, 60], [40, 60], [20, 30], [12, 24], [36, 45], [10, 15], [60, 90], [45, 90], [24, 40]]);
+      const distance = lcm(r1, r2) * rnd.int(1, 2);
+      const time = distance / r1 + distance / r2;
+      const answer = (2 * distance) / time;
+      return {
+        prompt: `${name} drives ${distance} miles to a lake at an average speed of ${r1} miles per hour and drives back the same way at an average speed of ${r2} miles per hour. What is ${name}'s average speed, in miles per hour, for the whole round trip?`,
+        answer,
+        solution: `The trip there takes ${distance / r1} hours and the trip back takes ${distance / r2} hours. Average speed is total distance over total time: ${2 * distance} ÷ ${time} = ${formatNumber(answer)} miles per hour.`,
+        distractors: [
+          { value: (r1 + r2) / 2, tag: "equation-setup", rationale: "You averaged the two speeds, but more time is spent at the slower speed; divide total distance by total time." },
+          { value: time, tag: "stopped-early", rationale: `${time} is the total time in hours; you still need to divide the distance by it.` },
+          { value: distance / time, tag: "missed-condition", rationale: `You used the one-way distance of ${distance} miles; the round trip is ${2 * distance} miles.` },
+        ],
+      };
+    },
+  },
+  {
+    id: "linear-equation",
+    topic: "algebra",
+    skill: "linear-equations",
+    tags: ["missed-condition", "sign-error", "stopped-early", "equation-setup"],
+    build(rnd, difficulty) {
+      const name = rnd.pick(NAMES);
+      if (difficulty === "easy") {
+        const rate = rnd.int(15, 45, 5);
+        const fee = rate * rnd.int(1, 4);
+        const months = rnd.int(3, 12);
+        const total = fee + rate * months;
+        return {
+          prompt: `A gym charges a one-time sign-up fee of $${fee} plus $${rate} per month. ${name} has paid $${total} in all since joining. For how many months has ${name} been a member?`,
+          answer: months,
+          solution: `Solve ${fee} + ${rate}m = ${total}: ${rate}m = ${total - fee}, so m = ${months}.`,
+          distractors: [
+            { value: total / rate, tag: "missed-condition", rationale: `You divided the whole $${total} by $${rate} without first taking out the $${fee} sign-up fee.` },
+            { value: (total + fee) / rate, tag: "sign-error", rationale: `You added the $${fee} fee instead of subtracting it.` },
+            { value: total - fee, tag: "stopped-early", rationale: `$${total - fee} is what was paid for the months; divide by $${rate} to get the number of months.` },
+          ],
+        };
+      }
+      const r1 = rnd.int(10, 25);
+      const r2 = r1 + rnd.int(3, 12);
+      const x = rnd.int(4, 15);
+      const fee2 = rnd.int(10, 40, 5);
+      const fee1 = fee2 + (r2 - r1) * x;
+      const cost = fee1 + r1 * x;
+      const intro = `Plan A for a phone costs $${fee1} to start plus $${r1} per month. Plan B costs $${fee2} to start plus $${r2} per month.`;
+      if (difficulty === "hard") {
+        return {
+          prompt: `${intro} After some number of months, the total cost of the two plans is the same. What is that total cost, in dollars?`,
+          answer: cost,
+          solution: `Set ${fee1} + ${r1}m = ${fee2} + ${r2}m, so ${r2 - r1}m = ${fee1 - fee2} and m = ${x}. Either plan then costs ${fee1} + ${r1} × ${x} = $${cost}.`,
+          distractors: [
+            { value: x, tag: "stopped-early", rationale: `${x} is the number of months; the question asks for the total cost then.` },
+            { value: fee2 + r1 * x, tag: "equation-setup", rationale: "You mixed the plans, using Plan B's start fee with Plan A's monthly charge." },
+            { value: r1 * x + r2 * x, tag: "missed-condition", rationale: "You added the two plans' monthly charges and left out both start fees." },
+          ],
+        };
+      }
+      return {
+        prompt: `${intro} After how many months will the two plans have cost the same total amount?`,
+        answer: x,
+        solution: `Set ${fee1} + ${r1}m = ${fee2} + ${r2}m. Then ${r2 - r1}m = ${fee1 - fee2}, so m = ${x}.`,
+        distractors: [
+          { value: (fee1 + fee2) / (r2 - r1), tag: "sign-error", rationale: `You added the start fees; moving $${fee2} to the other side subtracts it.` },
+          { value: fee1 - fee2, tag: "stopped-early", rationale: `$${fee1 - fee2} is the difference in start fees; divide it by the $${r2 - r1} monthly difference.` },
+          { value: (fee1 - fee2) / r1, tag: "equation-setup", rationale: `You divided by Plan A's $${r1} monthly charge instead of by the $${r2 - r1} difference between the plans.` },
+        ],
+      };
+    },
+  },
+  {
+    id: "area",
+    topic: "geometry",
+    skill: "area-perimeter-circles",
+    tags: ["unit-conversion", "stopped-early", "equation-setup", "missed-condition"],
+    build(rnd, difficulty) {
+      if (difficulty === "easy") {
+        const length = rnd.int(8, 20);
+        const width = rnd.int(6, 15);
+        const tile = rnd.pick([6, 12]);
+        const area = length * width;
+        const perFoot = 144 / (tile * tile);
+        return {
+          prompt: `Rectangle ABCD, shown below, is the floor of a room. It is ${length} feet long and ${width} feet wide and will be covered with square tiles that are ${tile} inches on each side. How many tiles are needed to cover the floor with no gaps or overlaps?`,
+          figure: {
+            type: "polygon",
+            vertices: [{ label: "A", x: 0, y: 0 }, { label: "B", x: length, y: 0 }, { label: "C", x: length, y: width }, { label: "D", x: 0, y: width }],
+            sides: [{ from: "A", to: "B", label: `${length} ft` }, { from: "B", to: "C", label: `${width} ft` }],
+            angles: ["A", "B", "C", "D"].map((at) => ({ at, right: true })),
+          },
+          answer: area * perFoot,
+          solution: `The floor is ${area} square feet. Each square foot is 144 square inches and each tile covers ${tile * tile} square inches, so ${perFoot} tile${perFoot > 1 ? "s" : ""} per square foot: ${area} × ${perFoot} = ${area * perFoot}.`,
+          distractors: [
+            { value: area, tag: "stopped-early", rationale: `${area} is the area in square feet; you still need to work out how many tiles fit in each square foot.` },
+            { value: (area * 12) / tile, tag: "unit-conversion", rationale: "A square foot is 12 × 12 = 144 square inches, not 12; convert both dimensions." },
+            { value: area * 144, tag: "unit-conversion", rationale: `That is the area in square inches; each tile covers ${tile * tile} of them, not 1.` },
+          ],
+        };
+      }
+      const length = rnd.int(10, 30);
+      const width = rnd.int(6, 20);
+      const path = rnd.int(2, difficulty === "hard" ? 5 : 3);
+      const outer = (length + 2 * path) * (width + 2 * path);
+      const answer = outer - length * width;
+      const price = difficulty === "hard" ? rnd.int(2, 6) : 0;
+      const finish = price
+        ? ` Paving costs $${price} per square foot. How much, in dollars, will it cost to pave the path?`
+        : " What is the area of the path, in square feet?";
+      return {
+        prompt: `A rectangular garden is ${length} feet long and ${width} feet wide. A path ${path} feet wide runs all the way around the outside of the garden.${finish}`,
+        answer: answer * (price || 1),
+        solution: `With the path, the outer rectangle is ${length + 2 * path} by ${width + 2 * path} feet, or ${outer} square feet. Taking away the garden's ${length * width} leaves ${answer} square feet${price ? `, which costs ${answer} × $${price} = $${answer * price}` : ""}.`,
+        distractors: [
+          { value: ((length + path) * (width + path) - length * width) * (price || 1), tag: "equation-setup", rationale: `The path is on both sides, so each dimension grows by 2 × ${path} feet, not ${path}.` },
+          { value: outer * (price || 1), tag: "stopped-early", rationale: "That covers the garden and the path together; subtract the garden's area." },
+          { value: 2 * path * (length + width) * (price || 1), tag: "missed-condition", rationale: `Multiplying the perimeter by ${path} leaves out the four ${path}-by-${path} corners.` },
+        ],
+      };
+    },
+  },
+  {
+    id: "volume",
+    topic: "geometry",
+    skill: "volume-surface-area",
+    tags: ["missed-condition", "stopped-early", "equation-setup"],
+    build(rnd, difficulty) {
+      const q = rnd.pick([2, 3, 4, 5]);
+      const length = rnd.int(3, 10);
+      const width = rnd.int(2, 8);
+      const height = q * rnd.int(1, 3);
+      const volume = length * width * height;
+      const box = `A rectangular fish tank is ${length} feet long, ${width} feet wide, and ${height} feet tall.`;
+
+      if (difficulty === "hard") {
+        const from = rnd.int(1, q - 1);
+        const to = q;
+        const target = rnd.int(from + 1, to);
+        const answer = (volume * (target - from)) / q;
+        const label = (k) => (k === q ? "completely full" : `${formatValue(fraction(k, q))} full`);
+        return {
+          prompt: `${box} It is ${label(from)} of water. How many cubic feet of water must be added so that it is ${label(target)}?`,
+          answer,
+          solution: `The tank holds ${length} × ${width} × ${height} = ${volume} cubic feet. Going from ${label(from)} to ${label(target)} adds ${formatValue(fraction(target - from, q))} of that: ${formatNumber(answer)} cubic feet.`,
+          distractors: [
+            { value: (volume * target) / q, tag: "missed-condition", rationale: "That is all the water needed from empty; some water is already in the tank." },
+            { value: (volume * from) / q, tag: "stopped-early", rationale: "That is the water already in the tank, not the amount to add." },
+            { value: 2 * (length * width + length * height + width * height), tag: "equation-setup", rationale: "That is the surface area of the tank, which measures its sides, not the space inside." },
+          ],
+        };
+      }
+      const answer = (volume * (q - 1)) / q;
+      return {
+        prompt: `${box} It is ${formatValue(fraction(1, q))} full of water. How many more cubic feet of water are needed to fill the tank completely?`,
+        answer,
+        solution: `The tank holds ${length} × ${width} × ${height} = ${volume} cubic feet and already has ${formatNumber(volume / q)}, so ${formatNumber(answer)} more are needed.`,
+        distractors: [
+          { value: volume, tag: "missed-condition", rationale: "That is the volume of the whole tank; part of it is already full." },
+          { value: volume / q, tag: "stopped-early", rationale: "That is the water already in the tank, not the amount still needed." },
+          { value: 2 * (length * width + length * height + width * height), tag: "equation-setup", rationale: "That is the surface area of the tank, which measures its sides, not the space inside." },
+        ],
+      };
+    },
+  },
+  {
+    id: "probability",
+    topic: "probability",
+    skill: "probability",
+    tags: ["missed-condition", "wrong-denominator", "equation-setup", "stopped-early", "arithmetic-slip"],
+    build(rnd, difficulty) {
+      const red = rnd.int(2, 8);
+      const blue = rnd.int(2, 8);
+      const green = rnd.int(1, 6);
+      const total = red + blue + green;
+      const bag = `A bag holds ${red} red, ${blue} blue, and ${green} green marbles.`;
+
+      if (difficulty === "easy") {
+        return {
+          prompt: `${bag} One marble is picked at random. What is the probability that it is NOT red?`,
+          answer: fraction(blue + green, total),
+          solution: `${blue + green} of the ${total} marbles are not red, so the probability is ${formatValue(fraction(blue + green, total))}.`,
+          distractors: [
+            { value: fraction(red, total), tag: "missed-condition", rationale: "That is the probability that the marble IS red." },
+            { value: fraction(blue + green, red), tag: "wrong-denominator", rationale: `The denominator should be all ${total} marbles, not just the ${red} red ones.` },
+            { value: fraction(blue, total), tag: "missed-condition", rationale: "You counted only the blue marbles; the green ones are not red either." },
+          ],
+        };
+      }
+      if (difficulty === "hard") {
+        return {
+          prompt: `${bag} Two marbles are picked at random, one after the other, without putting the first one back. What is the probability that both are red?`,
+          answer: fraction(red * (red - 1), total * (total - 1)),
+          solution: `The first pick is red with probability ${fractionText(red, total)}. That leaves ${red - 1} red out of ${total - 1}, so both are red with probability \\(\\frac{${red}}{${total}} \\times \\frac{${red - 1}}{${total - 1}}\\) = ${formatValue(fraction(red * (red - 1), total * (total - 1)))}.`,
+          distractors: [
+            { value: fraction(red * red, total * total), tag: "missed-condition", rationale: "That treats the first marble as put back; without replacement the second pick has one fewer red and one fewer marble." },
+            { value: fraction(red * (total - 1) + (red - 1) * total, total * (total - 1)), tag: "equation-setup", rationale: "You added the two probabilities; for both events to happen, multiply them." },
+            { value: fraction(red * red, total * (total - 1)), tag: "arithmetic-slip", rationale: "You took one marble out of the total but not out of the red marbles." },
+          ],
+        };
+      }
+      return {
+        prompt: `${bag} A marble is picked at random, its color is recorded, and it is put back. Then a second marble is picked at random. What is the probability that both marbles are red?`,
+        answer: fraction(red * red, total * total),
+        solution: `Each pick is red with probability ${fractionText(red, total)}, and the picks are independent, so the probability is \\(\\left(\\frac{${red}}{${total}}\\right)^{2}\\) = ${formatValue(fraction(red * red, total * total))}.`,
+        distractors: [
+          { value: fraction(2 * red, total), tag: "equation-setup", rationale: "You added the two probabilities; for both events to happen, multiply them." },
+          { value: fraction(red, total), tag: "stopped-early", rationale: "That is the probability for one pick; both picks have to be red." },
+          { value: fraction(red * (red - 1), total * (total - 1)), tag: "missed-condition", rationale: "The first marble is put back, so the second pick has the same chances as the first." },
+        ],
+      };
+    },
+  },
+  {
+    id: "average",
+    topic: "statistics",
+    skill: "mean-median-mode",
+    tags: ["missed-condition", "stopped-early", "equation-setup"],
+    build(rnd, difficulty) {
+      const name = rnd.pick(NAMES);
+      if (difficulty === "hard") {
+        const tests = rnd.int(4, 8);
+        const before = rnd.int(72, 88);
+        const score = rnd.int(before + 2, 100);
+        const after = (before * tests + score) / (tests + 1);
+        if (!Number.isInteger(after * 10) || after === before) return null;
+        return {
+          prompt: `${name}'s average score on ${tests} tests is ${before}. After one more test, the average of all ${tests + 1} tests is ${formatNumber(after)}. What did ${name} score on the last test?`,
+          answer: score,
+          solution: `The first ${tests} tests total ${tests} × ${before} = ${tests * before}. All ${tests + 1} total ${tests + 1} × ${formatNumber(after)} = ${formatNumber(after * (tests + 1))}, so the last test was ${formatNumber(after * (tests + 1))} − ${tests * before} = ${score}.`,
+          distractors: [
+            { value: after, tag: "missed-condition", rationale: "That is the new average, not the score on the last test." },
+            { value: 2 * after - before, tag: "equation-setup", rationale: `You weighted the old average like a single test; it stands for ${tests} tests.` },
+            { value: after * (tests + 1), tag: "stopped-early", rationale: `That is the total of all ${tests + 1} scores; subtract the first ${tests} tests' total.` },
+          ],
+        };
+      }
+      const count = difficulty === "easy" ? 4 : rnd.int(5, 6);
+      const scores = Array.from({ length: count - 1 }, () => rnd.int(70, 96));
+      const sum = scores.reduce((a, b) => a + b, 0);
+      const goal = rnd.int(80, 90);
+      const needed = goal * count - sum;
+      if (needed < 60 || needed > 100) return null;
+      const current = sum / (count - 1);
+      return {
+        prompt: `The bar chart shows ${name}'s scores on the first ${count - 1} tests of the term. What score does ${name} need on test ${count} to have an average of exactly ${goal} on all ${count} tests?`,
+        figure: {
+          type: "bar-chart",
+          title: `${name}'s test scores`,
+          xLabel: "Test",
+          yLabel: "Score",
+          bars: scores.map((value, i) => ({ label: `Test ${i + 1}`, value })),
+        },
+        answer: needed,
+        solution: `An average of ${goal} over ${count} tests means a total of ${goal * count}. The first ${count - 1} tests add up to ${sum}, so the last test must be ${goal * count} − ${sum} = ${needed}.`,
+        distractors: [
+          { value: goal, tag: "missed-condition", rationale: `${goal} is the average ${name} wants, not the score that gets there.` },
+          { value: Math.round(current * 100) / 100, tag: "stopped-early", rationale: "That is the average of the first tests so far." },
+          { value: Math.round((2 * goal - current) * 100) / 100, tag: "equation-setup", rationale: `You treated the current average as one test; it stands for ${count - 1} tests.` },
+        ],
+      };
+    },
+  },
+];
+
+// Nearby wrong answers when a template's coded errors collide or come out unusable
+function fillerValues(answer) {
+  if (typeof answer !== "number") {
+    return [fraction(answer.n + 1, answer.d), fraction(answer.n + 2, answer.d), fraction(Math.max(answer.n - 1, 1), answer.d)];
+  }
+  const step = Number.isInteger(answer) ? Math.max(1, Math.round(answer / 10)) : 0.5;
+  return [answer + step, answer - step, answer + 2 * step, answer - 2 * step];
+}
+
+// Turn a template's raw output into a question in the generator's internal shape, or null
+// when the numbers can't make a valid one
+function assemble(template, raw, difficulty, format) {
+  const base = {
+    subject: "math",
+    topic: template.topic,
+    skill: template.skill,
+    difficulty,
+    prompt: raw.prompt,
+    solution: raw.solution,
+    source: "template",
+  };
+  if (!isClean(raw.answer)) return null;
+  if (raw.figure) {
+    const { figure, problems } = checkFigure(raw.figure, raw.prompt);
+    if (problems.length) {
+      console.error(`Template ${template.id} drew a bad figure:`, problems.join("; "));
+      return null;
+    }
+    base.figure = figure;
+  }
+
+  if (format === "grid-in") {
+    const answer = gridText(raw.answer);
+    return answer === null ? null : { ...base, format: "grid-in", correctAnswer: answer };
+  }
+
+  const show = raw.show || formatValue;
+  const options = [{ value: raw.answer, misconception: null }];
+  // Compare what the student will see, so two choices never read as the same answer
+  const taken = (value) => options.some((o) => sameAnswer(parseAnswer(show(o.value)), parseAnswer(show(value))));
+
+  raw.distractors.forEach(({ value, tag, rationale }) => {
+    if (options.length < 4 && isClean(value) && !taken(value)) {
+      options.push({ value, misconception: { tag, rationale } });
+    }
+  });
+  fillerValues(raw.answer).forEach((value) => {
+    if (options.length < 4 && isClean(value) && !taken(value)) {
+      options.push({
+        value,
+        misconception: { tag: "arithmetic-slip", rationale: "This comes from an arithmetic slip in an otherwise correct method." },
+      });
+    }
+  });
+  if (options.length < 4) return null;
+
+  // SHSAT lists numeric choices from least to greatest
+  options.sort((x, y) => toNumber(x.value) - toNumber(y.value));
+  const correctIndex = options.findIndex((o) => o.misconception === null);
+  return {
+    ...base,
+    choices: options.map((o) => show(o.value)),
+    correctIndex,
+    correctAnswer: show(raw.answer),
+    misconceptions: options.map((o) => o.misconception),
+  };
+}
+
+// Templates for a topic ("mixed" takes them all), or for a list of skills (those skills' topics
+// when no template tests the skills themselves). With a focus tag, only templates whose
+// distractors can show that mistake, when any can. A template id (review variants) picks that
+// one template alone.
+function templatesFor(topic, focus, templateId, skills) {
+  const named = TEMPLATES.filter((t) => t.id === templateId);
+  if (named.length) return named;
+  let onTopic;
+  if (skills && skills.length) {
+    const topics = skills.map((id) => findSkill("math", id)?.topic);
+    onTopic = TEMPLATES.filter((t) => skills.includes(t.skill));
+    if (!onTopic.length) onTopic = TEMPLATES.filter((t) => topics.includes(t.topic));
+  } else {
+    onTopic = TEMPLATES.filter((t) => topic === "mixed" || !topic || t.topic === topic);
+  }
+  const pool = onTopic.length ? onTopic : TEMPLATES;
+  const focused = focus ? pool.filter((t) => t.tags.includes(focus)) : [];
+  return focused.length ? focused : pool;
+}
+
+// `count` questions in the generator's internal shape (keys in the clear, see generator.js).
+// The same seed and options always give the same questions in the same order.
+function generateFromTemplates({ topic, difficulty, count, format, focus, seed, templateId, skills }) {
+  const rnd = createRandom(seed);
+  const level = ["easy", "medium", "hard"].includes(difficulty) ? difficulty : "medium";
+  const pool = templatesFor(topic, focus, templateId, skills);
+  const questions = [];
+  const prompts = new Set();
+
+  // Deal templates out in shuffled rounds so a set covers each of them before repeating. Some
+  // can't produce every combination (a hard probability answer rarely fits a grid), so stop
+  // once a whole round goes by without a new question.
+  let deck = [];
+  let misses = 0;
+  while (questions.length < count && misses < pool.length) {
+    if (!deck.length) deck = rnd.shuffle(pool);
+    const template = deck.pop();
+
+    let q = null;
+    for (let attempt = 0; !q && attempt < BUILD_ATTEMPTS; attempt++) {
+      const raw = template.build(rnd, level);
+      q = raw && assemble(template, raw, level, format);
+      if (q && prompts.has(q.prompt)) q = null;
+    }
+    if (!q) {
+      misses++;
+      continue;
+    }
+
+    misses = 0;
+    prompts.add(q.prompt);
+    questions.push({ ...q, template: template.id });
+  }
+  return questions;
+}
+
+function isTemplate(id) {
+  return TEMPLATES.some((t) => t.id === id);
+}
+
+module.exports = {
+  TEMPLATES,
+  isTemplate,
+  generateFromTemplates,
+};
@@ -0,0 +1,78 @@
+// netlify/lib/misconceptions.js
+//
+// The mistakes a wrong answer choice is built to catch. Generation tags every distractor with
+// one of these, the tags travel sealed in the answer key, and check-answer reports the one
+// behind the student's pick.
+
+const MISCONCEPTIONS = {
+  math: {
+    "missed-condition": "Missed or ignored a condition in the problem",
+    "stopped-early": "Stopped a step early and answered an in-between quantity",
+    "percent-conversion": "Converted or applied a percent incorrectly",
+    "wrong-base": "Took the percent or fraction of the wrong amount",
+    "wrong-denominator": "Used the wrong total or denominator in a ratio",
+    "equation-setup": "Set up the equation or relationship incorrectly",
+    "order-of-operations": "Applied operations in the wrong order",
+    "unit-conversion": "Forgot to convert units or converted them incorrectly",
+    "sign-error": "Made a sign error with negative numbers",
+    "arithmetic-slip": "Made an arithmetic slip in an otherwise correct method",
+    other: "Made another kind of mistake",
+  },
+  ela: {
+    "misread-detail": "Misread or misremembered a detail in the passage",
+    "unsupported-inference": "Inferred more than the text supports",
+    "too-narrow": "Picked a detail instead of the central idea",
+    "too-broad": "Picked a claim broader than the passage makes",
+    "wrong-tone": "Misjudged the author's tone or attitude",
+    "literal-meaning": "Used a word's everyday meaning instead of its meaning in context",
+    "agreement-error": "Missed a subject-verb or pronoun agreement error",
+    "punctuation-error": "Missed a punctuation error",
+    "run-on-or-fragment": "Accepted a run-on or sentence fragment",
+    "misplaced-modifier": "Left a modifier dangling or attached to the wrong word",
+    "wordy-or-redundant": "Chose wordy or redundant phrasing",
+    "illogical-transition": "Chose a transition that doesn't fit the logic",
+    other: "Made another kind of mistake",
+  },
+};
+
+// The tag list as it appears in generation prompts
+function promptList(subject) {
+  return Object.entries(MISCONCEPTIONS[subject] || MISCONCEPTIONS.math)
+    .map(([tag, label]) => `  - "${tag}": ${label}`)
+    .join("\n");
+}
+
+function isKnown(subject, tag) {
+  return typeof tag === "string" && Object.hasOwn(MISCONCEPTIONS[subject] || {}, tag);
+}
+
+function describe(subject, tag) {
+  return isKnown(subject, tag) ? MISCONCEPTIONS[subject][tag] : null;
+}
+
+// Clean up the model's per-choice list against the verified correctIndex. Returns an array with
+// one { tag, rationale } per choice (null for the correct one), or null when the list is missing
+// or was written for a different correct choice than verification found.
+function normalizeMisconceptions(raw, subject, correctIndex) {
+  if (!Array.isArray(raw) || raw.length !== 4) return null;
+
+  if (raw[correctIndex]) {
+    console.warn("Dropping misconceptions written for a different correct choice");
+    return null;
+  }
+
+  return raw.map((entry, i) => {
+    if (i === correctIndex) return null;
+    const tag = entry && isKnown(subject, entry.tag) ? entry.tag : "other";
+    const rationale = entry && typeof entry.rationale === "string" ? entry.rationale.trim() : "";
+    return { tag, rationale };
+  });
+}
+
+module.exports = {
+  MISCONCEPTIONS,
+  isKnown,
+  promptList,
+  describe,
+  normalizeMisconceptions,
+};
@@ -0,0 +1,104 @@
+// netlify/lib/passages.js
+//
+// Reading passages are shared by a set of questions instead of being copied onto each one.
+// A passage is { id, title, genre, numbering, text, wordCount }: paragraphs in `text` are
+// separated by blank lines, and a poem has one line per "\n". `numbering` tells the page
+// whether questions refer to paragraph numbers or line numbers.
+
+const crypto = require("crypto");
+
+const GENRES = {
+  "literary-fiction": { label: "Realistic or literary fiction (a scene with characters, dialogue and inner thoughts)", numbering: "paragraph" },
+  "literary-nonfiction": { label: "Literary nonfiction (memoir, a historical moment, or a personal reflection)", numbering: "paragraph" },
+  informational: { label: "Informational text (science, history or social studies) with a clear central idea", numbering: "paragraph" },
+  argumentative: { label: "Argumentative essay that makes and supports a claim", numbering: "paragraph" },
+  poetry: { label: "Poem", numbering: "line" },
+};
+
+// Order genres are handed out in, roughly the mix of a real SHSAT reading section
+const GENRE_ROTATION = [
+  "literary-fiction",
+  "informational",
+  "poetry",
+  "literary-nonfiction",
+  "informational",
+  "argumentative",
+  "literary-fiction",
+  "informational",
+  "literary-nonfiction",
+];
+
+// Real passages carry 5-6 questions; split `count` into sets as close to that as it allows
+function planPassages(count) {
+  const sets = Math.max(1, Math.round(count / 5.5));
+  const base = Math.floor(count / sets);
+  return Array.from({ length: sets }, (_, i) => base + (i < count % sets ? 1 : 0));
+}
+
+// Genres for `n` passages, starting somewhere random in the rotation so practice sets vary
+function pickGenres(n) {
+  const start = Math.floor(Math.random() * GENRE_ROTATION.length);
+  return Array.from({ length: n }, (_, i) => GENRE_ROTATION[(start + i) % GENRE_ROTATION.length]);
+}
+
+function isGenre(genre) {
+  return typeof genre === "string" && Object.hasOwn(GENRES, genre);
+}
+
+function passageId(text) {
+  return crypto.createHash("sha256").update(text).digest("hex").slice(0, 12);
+}
+
+function countWords(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+// Build a passage from the model's (or an import's) { title, genre, text }; a bare string is
+// taken as the text. Returns null when there is no usable text.
+function normalizePassage(raw, fallbackGenre = "") {
+  const source = typeof raw === "string" ? { text: raw } : raw;
+  if (!source || typeof source.text !== "string") return null;
+
+  // Normalize line endings and collapse runs of blank lines so numbering is predictable
+  const text = source.text
+    .replace(/\r\n?/g, "\n")
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+  if (!text) return null;
+
+  const genre = isGenre(source.genre) ? source.genre : isGenre(fallbackGenre) ? fallbackGenre : "";
+  return {
+    id: passageId(text),
+    title: typeof source.title === "string" ? source.title.trim() : "",
+    genre,
+    numbering: genre === "poetry" || source.numbering === "line" ? "line" : "paragraph",
+    text,
+    wordCount: countWords(text),
+  };
+}
+
+// The passage as a solver should see it: numbered the same way the page numbers it, so
+// "paragraph 3" or "line 12" in a question points at the same text
+function numberedText(passage) {
+  if (passage.numbering === "line") {
+    let line = 0;
+    return passage.text
+      .split("\n")
+      .map((text) => (text.trim() ? `${++line}  ${text}` : ""))
+      .join("\n");
+  }
+  return passage.text
+    .split("\n\n")
+    .map((paragraph, i) => `[${i + 1}] ${paragraph}`)
+    .join("\n\n");
+}
+
+module.exports = {
+  GENRES,
+  planPassages,
+  pickGenres,
+  passageId,
+  normalizePassage,
+  numberedText,
+};
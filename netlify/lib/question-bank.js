@@ -0,0 +1,335 @@
+// netlify/lib/question-bank.js
+//
+// Curated bank of verified questions with their answer keys, kept in the JSON store.
+// generate-questions serves from here first and saves what it generates; the question-bank
+// function exposes import, export and editing. Reading passages are stored once, alongside the
+// questions, and questions point at them by passageId.
+
+const crypto = require("crypto");
+const store = require("./store");
+const { normalizeMisconceptions } = require("./misconceptions");
+const { normalizePassage } = require("./passages");
+const { checkFigure } = require("./figures");
+const { isSkill, topicIds } = require("./skills");
+
+const STORE_NAME = "question-bank";
+// Prompts whose word-trigram overlap reaches this are treated as the same question
+const DUPLICATE_SIMILARITY = 0.8;
+const DIFFICULTIES = ["easy", "medium", "hard"];
+
+// Fields a banked question keeps; anything else on an incoming object is dropped
+const FIELDS = [
+  "id",
+  "subject",
+  "topic",
+  "skill",
+  "difficulty",
+  "format",
+  "prompt",
+  "passageId",
+  "figure",
+  "choices",
+  "correctIndex",
+  "correctAnswer",
+  "solution",
+  "misconceptions",
+  "source",
+  "createdAt",
+  "updatedAt",
+];
+
+// Id of the passage a question belongs to, whether it carries the passage or just its id
+function passageKey(q) {
+  if (q.passage) return normalizePassage(q.passage)?.id || "";
+  return q.passageId || "";
+}
+
+// Stable id from what the student sees, so the same question always gets the same id
+function questionId(q) {
+  const seen = [q.prompt || "", passageKey(q), Array.isArray(q.choices) ? q.choices : null];
+  if (q.figure) seen.push(q.figure);
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(seen))
+    .digest("hex")
+    .slice(0, 16);
+}
+
+function loadBank() {
+  const data = store.readJSON(STORE_NAME, {});
+  return { questions: data.questions || [], passages: data.passages || [] };
+}
+
+// Passages no question points at any more are dropped on save
+function saveBank({ questions, passages }) {
+  const used = new Set(questions.map((q) => q.passageId).filter(Boolean));
+  store.writeJSON(STORE_NAME, { questions, passages: passages.filter((p) => used.has(p.id)) });
+}
+
+function addPassage(passages, passage) {
+  if (!passages.some((p) => p.id === passage.id)) passages.push(passage);
+}
+
+// Lowercase words with numbers collapsed, so "$48 jacket ... 25%" and "$60 jacket ... 20%"
+// read as the same prompt
+function shingles(prompt) {
+  const words = String(prompt || "")
+    .toLowerCase()
+    .replace(/\d+(\.\d+)?/g, "#")
+    .replace(/[^a-z#\s]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+  const set = new Set();
+  for (let i = 0; i + 2 < words.length; i++) {
+    set.add(words.slice(i, i + 3).join(" "));
+  }
+  if (!set.size && words.length) set.add(words.join(" "));
+  return set;
+}
+
+function similarity(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  a.forEach((s) => {
+    if (b.has(s)) shared++;
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+// The banked question `q` nearly duplicates, or null
+function findNearDuplicate(questions, q) {
+  const target = shingles(q.prompt);
+  return (
+    questions.find(
+      (existing) =>
+        existing.id !== q.id &&
+        existing.subject === q.subject &&
+        (existing.passageId || "") === (q.passageId || "") &&
+        similarity(shingles(existing.prompt), target) >= DUPLICATE_SIMILARITY
+    ) || null
+  );
+}
+
+// Returns a list of problems; empty when the question can be banked. `knownPassageIds` are the
+// passages a question may point at without carrying its own.
+// Topic and difficulty as the bank stores them: trimmed and lowercase, "" when missing
+function label(value) {
+  return value === undefined || value === null ? "" : String(value).trim().toLowerCase();
+}
+
+function validateQuestion(q, knownPassageIds = new Set()) {
+  const problems = [];
+  if (!q || typeof q !== "object") return ["not an object"];
+  if (q.passage && !normalizePassage(q.passage)) problems.push("passage has no text");
+  if (!q.passage && q.passageId && !knownPassageIds.has(q.passageId)) problems.push("unknown passageId");
+  if (q.subject !== "math" && q.subject !== "ela") problems.push('subject must be "math" or "ela"');
+  if (typeof q.prompt !== "string" || !q.prompt.trim()) problems.push("prompt is required");
+  // Blank is fine (older questions have no skill), anything else must be in the taxonomy
+  if (q.skill !== undefined && q.skill !== null && q.skill !== "" && !isSkill(q.subject, q.skill)) {
+    problems.push(`skill "${q.skill}" is not a known ${q.subject} skill (see lib/skills.js)`);
+  }
+  // Blank topic and difficulty get defaults in normalize; anything else must be a known one
+  const topic = label(q.topic);
+  if (topic && (q.subject === "math" || q.subject === "ela") && !topicIds(q.subject).includes(topic)) {
+    problems.push(`topic "${q.topic}" is not a known ${q.subject} topic (one of ${topicIds(q.subject).join(", ")})`);
+  }
+  const difficulty = label(q.difficulty);
+  if (difficulty && !DIFFICULTIES.includes(difficulty)) {
+    problems.push(`difficulty "${q.difficulty}" must be one of ${DIFFICULTIES.join(", ")}`);
+  }
+  if (q.figure) {
+    if (q.subject !== "math") problems.push("only math questions can have a figure");
+    checkFigure(q.figure, q.prompt).problems.forEach((problem) => problems.push(`figure: ${problem}`));
+  }
+
+  if (q.format === "grid-in") {
+    if (q.subject !== "math") problems.push("grid-in questions must be math");
+    if (q.correctAnswer == null || String(q.correctAnswer).trim() === "") {
+      problems.push("grid-in questions need correctAnswer");
+    }
+  } else {
+    if (!Array.isArray(q.choices) || q.choices.length !== 4 || q.choices.some((c) => String(c ?? "").trim() === "")) {
+      problems.push("multiple-choice questions need exactly 4 non-empty choices");
+    }
+    if (!Number.isInteger(q.correctIndex) || q.correctIndex < 0 || q.correctIndex > 3) {
+      problems.push("correctIndex must be 0-3");
+    }
+  }
+  return problems;
+}
+
+// Returns the bankable item and, if the question carried one, its passage
+function normalize(q, source) {
+  const now = new Date().toISOString();
+  const passage = q.passage ? normalizePassage(q.passage) : null;
+  const item = {};
+  FIELDS.forEach((field) => {
+    if (q[field] !== undefined && q[field] !== null && q[field] !== "") item[field] = q[field];
+  });
+  if (passage) item.passageId = passage.id;
+  if (item.figure) item.figure = checkFigure(item.figure, item.prompt).figure;
+  item.format = q.format === "grid-in" ? "grid-in" : "multiple-choice";
+  if (item.format === "grid-in") {
+    delete item.choices;
+    delete item.correctIndex;
+    delete item.misconceptions;
+    item.correctAnswer = String(item.correctAnswer);
+  } else {
+    item.choices = item.choices.map(String);
+    item.correctAnswer = item.choices[item.correctIndex];
+    const misconceptions = normalizeMisconceptions(item.misconceptions, item.subject, item.correctIndex);
+    if (misconceptions) {
+      item.misconceptions = misconceptions;
+    } else {
+      delete item.misconceptions;
+    }
+  }
+  item.id = questionId(item);
+  item.topic = label(item.topic) || "mixed";
+  item.difficulty = label(item.difficulty) || "medium";
+  item.solution = item.solution || "";
+  item.source = item.source || source;
+  item.createdAt = item.createdAt || now;
+  item.updatedAt = now;
+  return { item, passage };
+}
+
+// Add questions, skipping invalid ones and near-duplicates of what's already banked (or
+// earlier in the same list). Returns { added, duplicates, invalid }.
+function addQuestions(incoming, { source = "generated" } = {}) {
+  const bank = loadBank();
+  const { questions, passages } = bank;
+  const added = [];
+  const duplicates = [];
+  const invalid = [];
+
+  incoming.forEach((q, index) => {
+    const problems = validateQuestion(q, new Set(passages.map((p) => p.id)));
+    if (problems.length) {
+      invalid.push({ index, prompt: q?.prompt ?? null, problems });
+      return;
+    }
+    const { item, passage } = normalize(q, source);
+    const duplicate = questions.find((existing) => existing.id === item.id) || findNearDuplicate(questions, item);
+    if (duplicate) {
+      duplicates.push({ index, prompt: item.prompt, duplicateOf: duplicate.id });
+      return;
+    }
+    if (passage) addPassage(passages, passage);
+    questions.push(item);
+    added.push(item);
+  });
+
+  if (added.length) saveBank(bank);
+  return { added, duplicates, invalid };
+}
+
+function matchesFilters(q, { subject, topic, skills, difficulty, format, misconception }) {
+  if (subject && q.subject !== subject) return false;
+  if (skills && !skills.includes(q.skill)) return false;
+  if (misconception && !(q.misconceptions || []).some((m) => m && m.tag === misconception)) return false;
+  if (difficulty && q.difficulty !== difficulty) return false;
+  if (format && q.format !== format) return false;
+  // "mixed" means any topic; otherwise the model's topic label just has to mention it
+  if (topic && topic !== "mixed" && !String(q.topic).toLowerCase().includes(topic.toLowerCase())) return false;
+  return true;
+}
+
+function listQuestions(filters = {}) {
+  return loadBank().questions.filter((q) => matchesFilters(q, filters));
+}
+
+// The passages the given questions point at
+function passagesFor(questions) {
+  const ids = new Set(questions.map((q) => q.passageId).filter(Boolean));
+  return loadBank().passages.filter((p) => ids.has(p.id));
+}
+
+function shuffle(list) {
+  for (let i = list.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [list[i], list[j]] = [list[j], list[i]];
+  }
+  return list;
+}
+
+// Up to `count` banked questions matching the filters that aren't in excludeIds, in random order.
+// Questions on the same passage are picked together and come back with the passage attached
+// as `passage`, the way freshly generated ones do.
+function selectQuestions({ count, excludeIds = [], ...filters }) {
+  const { questions, passages } = loadBank();
+  const exclude = new Set(excludeIds);
+  const pool = questions.filter((q) => matchesFilters(q, filters) && !exclude.has(q.id));
+
+  const groups = new Map();
+  pool.forEach((q) => {
+    const key = q.passageId || q.id;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(q);
+  });
+
+  const selected = [];
+  shuffle([...groups.values()]).forEach((group) => {
+    if (selected.length + group.length <= count) selected.push(...group);
+  });
+
+  return selected.map((q) => {
+    if (!q.passageId) return { ...q };
+    const { passageId, ...rest } = q;
+    return { ...rest, passage: passages.find((p) => p.id === passageId) };
+  });
+}
+
+// Every banked question's fingerprint (its questionId), for keeping sets whose keys go out in
+// the clear apart from what worksheets and exams draw on
+function fingerprints() {
+  return new Set(loadBank().questions.flatMap((q) => [q.id, questionId(q)]));
+}
+
+function getQuestion(id) {
+  return loadBank().questions.find((q) => q.id === id) || null;
+}
+
+// Apply edits to a banked question. Editing the text gives it a new id, since it is now a
+// different question. Returns { question } or { problems }.
+function updateQuestion(id, changes) {
+  const bank = loadBank();
+  const { questions, passages } = bank;
+  const index = questions.findIndex((q) => q.id === id);
+  if (index === -1) return { problems: ["question not found"] };
+
+  const merged = { ...questions[index], ...changes };
+  const problems = validateQuestion(merged, new Set(passages.map((p) => p.id)));
+  if (problems.length) return { problems };
+
+  const { item, passage } = normalize(merged, questions[index].source);
+  const duplicate = findNearDuplicate(questions.filter((_, i) => i !== index), item);
+  if (duplicate) return { problems: [`near-duplicate of ${duplicate.id}`] };
+
+  if (passage) addPassage(passages, passage);
+  questions[index] = item;
+  saveBank(bank);
+  return { question: item };
+}
+
+function deleteQuestion(id) {
+  const bank = loadBank();
+  const remaining = bank.questions.filter((q) => q.id !== id);
+  if (remaining.length === bank.questions.length) return false;
+  saveBank({ questions: remaining, passages: bank.passages });
+  return true;
+}
+
+module.exports = {
+  questionId,
+  validateQuestion,
+  findNearDuplicate,
+  addQuestions,
+  listQuestions,
+  passagesFor,
+  selectQuestions,
+  fingerprints,
+  getQuestion,
+  updateQuestion,
+  deleteQuestion,
+};
@@ -0,0 +1,50 @@
+// netlify/lib/random.js
+//
+// Seeded pseudo-random numbers, so the same seed always produces the same worksheet.
+// Not for anything security related; answer keys use crypto (see answer-key.js).
+
+const crypto = require("crypto");
+
+// A fresh seed for callers that didn't pass one; returned to them so the set can be rebuilt
+function newSeed() {
+  return crypto.randomBytes(4).toString("hex");
+}
+
+// mulberry32, started from a hash of the seed so any string works
+function createRandom(seed) {
+  let state = crypto.createHash("sha256").update(String(seed)).digest().readUInt32LE(0);
+
+  function next() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Integer in [min, max], optionally only multiples of `step`
+  function int(min, max, step = 1) {
+    const steps = Math.floor((max - min) / step);
+    return min + step * Math.floor(next() * (steps + 1));
+  }
+
+  function pick(items) {
+    return items[Math.floor(next() * items.length)];
+  }
+
+  function shuffle(items) {
+    const copy = items.slice();
+    for (let i = copy.length - 1; i > 0; i--) {
+      const j = Math.floor(next() * (i + 1));
+      [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+  }
+
+  return { next, int, pick, shuffle };
+}
+
+module.exports = {
+  newSeed,
+  createRandom,
+};
@@ -0,0 +1,104 @@
+// netlify/lib/rate-limit.js
+//
+// Per-client request limits for the functions, counted in fixed one-minute windows. Every
+// request counts against both its IP address and its browser session (the x-session-id header
+// the page sends). The IP allowance is several sessions' worth, since a whole classroom can sit
+// behind one school address. Counters live in the JSON store, so the functions share them
+// wherever they share DATA_DIR. On hosted Netlify, without a persistent DATA_DIR, each function
+// instance counts on its own and forgets on a cold start, so the limits are best effort per
+// instance: they stop one client hammering a warm instance, not a determined one.
+// RATE_LIMIT_SCALE multiplies every limit (e.g. 2 for a bigger class, 0 turns limiting off;
+// empty or not a number = 1).
+
+const store = require("./store");
+
+const COUNTERS = "rate-limits";
+const WINDOW_MS = 60 * 1000;
+// Requests per minute for each kind of work
+const LIMITS = {
+  // Each request can mean several model calls
+  generate: { session: 6, ip: 30 },
+  // Grading a full exam sends 114 requests in a burst
+  grade: { session: 150, ip: 600 },
+  worksheet: { session: 20, ip: 100 },
+  // Hints are cached per question, so only the first request for one calls the model
+  hint: { session: 40, ip: 200 },
+  // An offline pack is a full section's worth of questions in one request
+  pack: { session: 2, ip: 10 },
+  // Opening a printable set's keys for its teacher copy
+  print: { session: 5, ip: 30 },
+  // The question-bank and telemetry functions; also caps admin token guesses
+  admin: { session: 30, ip: 60 },
+};
+
+function scale() {
+  const text = (process.env.RATE_LIMIT_SCALE || "").trim();
+  const value = Number(text);
+  return text !== "" && Number.isFinite(value) && value >= 0 ? value : 1;
+}
+
+// Works with v1 header objects (lowercased names) and v2 Request headers
+function header(headers, name) {
+  if (!headers) return "";
+  if (typeof headers.get === "function") return headers.get(name) || "";
+  return headers[name] || headers[name.toLowerCase()] || "";
+}
+
+function clientIds(headers) {
+  const ip = header(headers, "x-nf-client-connection-ip") || header(headers, "x-forwarded-for").split(",")[0].trim() || "unknown";
+  const session = header(headers, "x-session-id").slice(0, 64);
+  const ids = [["ip", ip]];
+  if (session) ids.push(["session", session]);
+  return ids;
+}
+
+// Count one `bucket` request from the client behind `headers`. Returns null when it is allowed,
+// or { retryAfterSeconds } when the client is over a limit (the refused request still counts).
+function checkRateLimit(headers, bucket) {
+  const factor = scale();
+  if (factor === 0) return null;
+
+  const now = Date.now();
+  const window = Math.floor(now / WINDOW_MS);
+  let over = false;
+  store.updateJSON(COUNTERS, {}, (counters) => {
+    const next = {};
+    // Only the current window matters; older ones are dropped as we go
+    Object.entries(counters).forEach(([key, entry]) => {
+      if (entry.window === window) next[key] = entry;
+    });
+    clientIds(headers).forEach(([kind, id]) => {
+      const key = `${bucket}:${kind}:${id}`;
+      const entry = next[key] || { window, count: 0 };
+      entry.count++;
+      next[key] = entry;
+      if (entry.count > LIMITS[bucket][kind] * factor) over = true;
+    });
+    return next;
+  });
+
+  return over ? { retryAfterSeconds: Math.ceil(((window + 1) * WINDOW_MS - now) / 1000) } : null;
+}
+
+// The reply body for a refused request; functions send it with status 429 and Retry-After
+function rateLimitBody(limited) {
+  return {
+    error: `Too many requests; try again in ${limited.retryAfterSeconds} seconds`,
+    retryAfterSeconds: limited.retryAfterSeconds,
+  };
+}
+
+// The whole 429 reply, for the v1 (event) functions
+function tooManyRequests(limited) {
+  return {
+    statusCode: 429,
+    headers: { "Content-Type": "application/json", "Retry-After": String(limited.retryAfterSeconds) },
+    body: JSON.stringify(rateLimitBody(limited)),
+  };
+}
+
+module.exports = {
+  checkRateLimit,
+  rateLimitBody,
+  tooManyRequests,
+};
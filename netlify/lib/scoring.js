@@ -0,0 +1,202 @@
+// netlify/lib/scoring.js
+//
+// Estimated SHSAT scaled scores. Each section's raw score goes through a raw-to-scaled
+// conversion table, the two sections add up to a composite, and the composite is compared with
+// each specialized high school's admission cutoff. A set is only a sample of the test, so every
+// estimate comes as a range: the sampling error of the student's percent correct (a Wilson
+// interval, wide for a short set) plus a fixed margin for how much the real tables move from
+// one test form to the next.
+//
+// The tables below are approximate and change every admissions year. SCORING_TABLES_FILE names a
+// JSON file that replaces any of them: { conversion: { ela, math }, margin, cutoffs, source }.
+// Conversion rows are [percent correct, scaled score], rising; a real test scores 47 questions a
+// section, and percent correct lets a set of any length use the same table.
+
+const fs = require("fs");
+const { validate } = require("./validate");
+
+const SECTIONS = ["ela", "math"];
+// Ranges cover the true score about 80% of the time
+const CONFIDENCE = 0.8;
+const Z = 1.2816;
+
+// Steep at both ends and flat in the middle, as the published conversions are
+const DEFAULT_CONVERSION = [
+  [0, 100],
+  [10, 145],
+  [20, 170],
+  [30, 190],
+  [40, 205],
+  [50, 220],
+  [60, 236],
+  [70, 254],
+  [80, 272],
+  [85, 283],
+  [90, 297],
+  [95, 316],
+  [100, 350],
+];
+
+const DEFAULTS = {
+  conversion: { ela: DEFAULT_CONVERSION, math: DEFAULT_CONVERSION },
+  // Scaled points added to each side of a section's range for form-to-form differences
+  margin: 8,
+  // Lowest composite offered a seat, highest first
+  cutoffs: [
+    { school: "Stuyvesant High School", cutoff: 561 },
+    { school: "Staten Island Technical High School", cutoff: 544 },
+    { school: "Queens High School for the Sciences at York College", cutoff: 525 },
+    { school: "Bronx High School of Science", cutoff: 518 },
+    { school: "High School of American Studies at Lehman College", cutoff: 518 },
+    { school: "High School for Math, Science and Engineering at City College", cutoff: 514 },
+    { school: "Brooklyn Latin School", cutoff: 487 },
+    { school: "Brooklyn Technical High School", cutoff: 486 },
+  ],
+  source: "Approximate tables from recent admissions years",
+};
+
+const ROW = { type: "array", minItems: 2, maxItems: 2, items: { type: "number", min: 0 } };
+const TABLE = { type: "array", minItems: 2, maxItems: 200, items: ROW };
+const TABLES_SCHEMA = {
+  conversion: { type: "object", fields: { ela: TABLE, math: TABLE } },
+  margin: { type: "number", min: 0, max: 100 },
+  cutoffs: {
+    type: "array",
+    maxItems: 50,
+    items: {
+      type: "object",
+      fields: {
+        school: { type: "string", required: true, maxLength: 200 },
+        cutoff: { type: "number", required: true, min: 0 },
+      },
+    },
+  },
+  source: { type: "string", maxLength: 500 },
+};
+
+function checkTables(tables) {
+  const problems = validate(tables, TABLES_SCHEMA);
+  if (problems.length) return problems;
+  Object.entries(tables.conversion || {}).forEach(([section, rows]) => {
+    rows.forEach(([percent, scaled], i) => {
+      if (percent > 100) problems.push(`conversion.${section}[${i}] percent must be at most 100`);
+      if (i > 0 && (percent <= rows[i - 1][0] || scaled < rows[i - 1][1])) {
+        problems.push(`conversion.${section} rows must rise in both percent and score`);
+      }
+    });
+    if (rows[0][0] !== 0 || rows[rows.length - 1][0] !== 100) {
+      problems.push(`conversion.${section} must run from 0 to 100 percent`);
+    }
+  });
+  return problems;
+}
+
+let cached = null;
+
+// The tables in use: the defaults with SCORING_TABLES_FILE laid over them. A file that can't be
+// read or doesn't check out is logged and ignored, so a bad edit never takes scoring down.
+function loadTables() {
+  if (cached) return cached;
+  cached = DEFAULTS;
+  const file = process.env.SCORING_TABLES_FILE;
+  if (file) {
+    try {
+      const custom = JSON.parse(fs.readFileSync(file, "utf8"));
+      const problems = checkTables(custom);
+      if (problems.length) throw new Error(problems.join("; "));
+      cached = {
+        ...DEFAULTS,
+        ...custom,
+        conversion: { ...DEFAULTS.conversion, ...custom.conversion },
+      };
+    } catch (err) {
+      console.error(`Ignoring ${file}, using the built-in scoring tables:`, err.message);
+    }
+  }
+  return cached;
+}
+
+// Straight-line interpolation between the table rows around `percent`
+function convert(rows, percent) {
+  const upper = rows.findIndex(([p]) => p >= percent);
+  if (upper <= 0) return rows[Math.max(upper, 0)][1];
+  const [p0, s0] = rows[upper - 1];
+  const [p1, s1] = rows[upper];
+  return s0 + ((percent - p0) / (p1 - p0)) * (s1 - s0);
+}
+
+// Wilson score interval for `correct` out of `total`, as fractions
+function wilson(correct, total) {
+  const p = correct / total;
+  const denominator = 1 + (Z * Z) / total;
+  const center = (p + (Z * Z) / (2 * total)) / denominator;
+  const half = (Z * Math.sqrt((p * (1 - p)) / total + (Z * Z) / (4 * total * total))) / denominator;
+  return [Math.max(0, center - half), Math.min(1, center + half)];
+}
+
+// Standard normal CDF (Abramowitz and Stegun 7.1.26, good to about 1e-7)
+function normalCdf(x) {
+  const t = 1 / (1 + 0.3275911 * (Math.abs(x) / Math.SQRT2));
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(x * x) / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// { subject, raw, total, percent, scaled, low, high } for one section
+function estimateSection({ subject, raw, total }, tables) {
+  const rows = tables.conversion[subject];
+  const [lowP, highP] = wilson(raw, total);
+  const floor = rows[0][1];
+  const ceiling = rows[rows.length - 1][1];
+  return {
+    subject,
+    raw,
+    total,
+    percent: raw / total,
+    scaled: Math.round(convert(rows, (raw / total) * 100)),
+    low: Math.round(Math.max(floor, convert(rows, lowP * 100) - tables.margin)),
+    high: Math.round(Math.min(ceiling, convert(rows, highP * 100) + tables.margin)),
+  };
+}
+
+// The sections' distances to the edges of their ranges add in quadrature, as independent errors do
+function combine(sections) {
+  const scaled = sections.reduce((sum, s) => sum + s.scaled, 0);
+  const below = Math.sqrt(sections.reduce((sum, s) => sum + (s.scaled - s.low) ** 2, 0));
+  const above = Math.sqrt(sections.reduce((sum, s) => sum + (s.high - s.scaled) ** 2, 0));
+  return { scaled, low: Math.round(scaled - below), high: Math.round(scaled + above) };
+}
+
+// How the composite's range sits against each cutoff. `chance` is the estimated probability the
+// true composite reaches the cutoff; "likely" and "unlikely" mean the whole range is above or below.
+function projectCutoffs(composite, cutoffs) {
+  return cutoffs.map(({ school, cutoff }) => {
+    const spread = (cutoff >= composite.scaled ? composite.high - composite.scaled : composite.scaled - composite.low) / Z;
+    const chance = spread > 0 ? normalCdf((composite.scaled - cutoff) / spread) : composite.scaled >= cutoff ? 1 : 0;
+    const outlook = composite.low >= cutoff ? "likely" : composite.high < cutoff ? "unlikely" : "possible";
+    return { school, cutoff, chance: Math.round(chance * 100) / 100, outlook };
+  });
+}
+
+// Scores for `sections` ([{ subject, raw, total }], at most one per subject). The composite and
+// cutoffs need both sections and are null without them.
+function estimateScores(sections) {
+  const tables = loadTables();
+  const estimates = SECTIONS.map((subject) => sections.find((s) => s.subject === subject))
+    .filter(Boolean)
+    .map((section) => estimateSection(section, tables));
+  const composite = estimates.length === SECTIONS.length ? combine(estimates) : null;
+  return {
+    sections: estimates,
+    composite,
+    cutoffs: composite ? projectCutoffs(composite, tables.cutoffs) : null,
+    confidence: CONFIDENCE,
+    source: tables.source,
+  };
+}
+
+module.exports = {
+  SECTIONS,
+  estimateScores,
+  checkTables,
+};
@@ -0,0 +1,178 @@
+// netlify/lib/skills.js
+//
+// The skill taxonomy shared by generation, the question bank and the page (which loads it from
+// the skills function). Every skill belongs to one SHSAT content category, lists the grade 6-8
+// Common Core standards it draws on, and has a coarse `topic`, the label the rest of the app
+// (topic filters, templates, the progress dashboard) already groups by. `weight` is roughly how
+// many questions of the skill a 57-question section of the real test has; a "blueprint" mix
+// deals questions out in those proportions.
+
+const { createRandom, newSeed } = require("./random");
+
+// Topic filters a request may name, in the order the page lists them
+const TOPICS = {
+  math: [
+    ["mixed", "Mixed"],
+    ["number", "Number & operations"],
+    ["percent", "Percent"],
+    ["ratios", "Ratios & proportions"],
+    ["algebra", "Algebra"],
+    ["geometry", "Geometry"],
+    ["probability", "Probability"],
+    ["statistics", "Statistics"],
+  ],
+  ela: [
+    ["reading", "Reading comprehension (passages)"],
+    ["editing", "Revising & editing sentences"],
+    ["mixed", "Mixed ELA"],
+  ],
+};
+
+const CATEGORIES = {
+  math: [
+    ["number", "Number system"],
+    ["ratios", "Ratios & proportional relationships"],
+    ["expressions", "Expressions & equations"],
+    ["geometry", "Geometry"],
+    ["statistics", "Statistics & probability"],
+  ],
+  ela: [
+    ["editing", "Revising/Editing"],
+    ["reading", "Reading Comprehension"],
+  ],
+};
+
+// [id, category, topic, label, standards, weight]
+const SKILL_ROWS = {
+  math: [
+    ["integer-operations", "number", "number", "Integer and rational number operations", ["7.NS.A.1", "7.NS.A.2", "7.NS.A.3"], 4],
+    ["absolute-value", "number", "number", "Absolute value and the number line", ["6.NS.C.7", "7.NS.A.1c"], 1],
+    ["fractions-decimals", "number", "number", "Fractions, decimals and conversions", ["6.NS.B.3", "7.NS.A.2d"], 3],
+    ["exponents-roots", "number", "number", "Exponents, square roots and scientific notation", ["8.EE.A.1", "8.EE.A.2", "8.EE.A.3"], 2],
+    ["number-theory", "number", "number", "Factors, multiples and divisibility", ["6.NS.B.4"], 3],
+    ["unit-rates", "ratios", "ratios", "Unit rates and rate problems", ["6.RP.A.3b", "7.RP.A.1"], 3],
+    ["proportions", "ratios", "ratios", "Ratios and proportional relationships", ["6.RP.A.3", "7.RP.A.2"], 5],
+    ["percent", "ratios", "percent", "Percent: discount, markup, tax and percent change", ["7.RP.A.3"], 6],
+    ["unit-conversion", "ratios", "ratios", "Measurement and unit conversion", ["6.RP.A.3d"], 1],
+    ["expressions", "expressions", "algebra", "Writing and simplifying expressions", ["7.EE.A.1", "7.EE.A.2"], 3],
+    ["linear-equations", "expressions", "algebra", "Linear equations in one variable", ["7.EE.B.4a", "8.EE.C.7"], 5],
+    ["inequalities", "expressions", "algebra", "Inequalities", ["7.EE.B.4b"], 2],
+    ["linear-relationships", "expressions", "algebra", "Slope and linear relationships", ["8.EE.B.5", "8.EE.B.6", "8.F.B.4"], 2],
+    ["systems", "expressions", "algebra", "Systems of linear equations", ["8.EE.C.8"], 1],
+    ["angles-triangles", "geometry", "geometry", "Angles and triangles", ["7.G.A.2", "7.G.B.5", "8.G.A.5"], 2],
+    ["area-perimeter-circles", "geometry", "geometry", "Area, perimeter and circles", ["7.G.B.4", "7.G.B.6"], 2],
+    ["volume-surface-area", "geometry", "geometry", "Volume and surface area", ["7.G.B.6", "8.G.C.9"], 2],
+    ["pythagorean", "geometry", "geometry", "Pythagorean theorem", ["8.G.B.7", "8.G.B.8"], 1],
+    ["coordinate-geometry", "geometry", "geometry", "Coordinate plane and transformations", ["6.NS.C.8", "8.G.A.3"], 1],
+    ["scale-drawings", "geometry", "geometry", "Scale drawings and scale factor", ["7.G.A.1"], 1],
+    ["probability", "statistics", "probability", "Probability of simple and compound events", ["7.SP.C.5", "7.SP.C.7", "7.SP.C.8"], 3],
+    ["counting", "statistics", "probability", "Counting outcomes", ["7.SP.C.8b"], 1],
+    ["mean-median-mode", "statistics", "statistics", "Mean, median, mode and range", ["6.SP.B.5c", "7.SP.B.4"], 2],
+    ["data-displays", "statistics", "statistics", "Reading tables, charts and data displays", ["6.SP.B.4", "8.SP.A.4"], 1],
+  ],
+  ela: [
+    ["grammar-usage", "editing", "editing", "Grammar: agreement, verb tense and pronouns", ["L.7.1", "L.8.1"], 3],
+    ["punctuation", "editing", "editing", "Punctuation", ["L.7.2", "L.8.2"], 2],
+    ["sentence-structure", "editing", "editing", "Sentence structure: run-ons, fragments, modifiers, combining", ["L.7.1b", "L.7.1c"], 2],
+    ["transitions", "editing", "editing", "Transitions and logical connections", ["W.7.2c", "W.8.2c"], 1],
+    ["word-choice", "editing", "editing", "Precise and concise word choice", ["L.7.3a"], 1],
+    ["revising-text", "editing", "editing", "Adding, removing or moving sentences", ["W.7.2a", "W.7.5"], 1],
+    ["central-idea", "reading", "reading", "Central idea and summary", ["RI.7.2", "RL.7.2"], 9],
+    ["key-details", "reading", "reading", "Key details and supporting evidence", ["RI.7.1", "RL.7.1"], 8],
+    ["inference", "reading", "reading", "Inferences and conclusions", ["RI.8.1", "RL.8.1"], 9],
+    ["word-meaning", "reading", "reading", "Word and phrase meaning in context", ["RL.7.4", "RI.7.4", "L.7.4a"], 5],
+    ["structure-purpose", "reading", "reading", "Text structure and author's purpose", ["RI.7.5", "RL.7.5", "RI.7.6"], 7],
+    ["point-of-view", "reading", "reading", "Point of view and tone", ["RL.7.6", "RI.7.6"], 4],
+    ["theme-character", "reading", "reading", "Theme, character and plot", ["RL.7.2", "RL.7.3"], 5],
+  ],
+};
+
+const SKILLS = Object.fromEntries(
+  Object.entries(SKILL_ROWS).map(([subject, rows]) => [
+    subject,
+    rows.map(([id, category, topic, label, standards, weight]) => ({ id, category, topic, label, standards, weight })),
+  ])
+);
+
+function topicIds(subject) {
+  return (TOPICS[subject] || []).map(([id]) => id);
+}
+
+function findSkill(subject, id) {
+  return (SKILLS[subject] || []).find((skill) => skill.id === id) || null;
+}
+
+function isSkill(subject, id) {
+  return typeof id === "string" && !!findSkill(subject, id);
+}
+
+// A question's skill tag from the model or an import: kept when the taxonomy has it, otherwise
+// the only skill it could be (`fallback`), or null
+function normalizeSkill(subject, tag, fallback = null) {
+  return isSkill(subject, tag) ? tag : fallback;
+}
+
+// The skills as they appear in generation prompts, for the given ids (all of them by default)
+function promptList(subject, ids) {
+  return (SKILLS[subject] || [])
+    .filter((skill) => !ids || ids.includes(skill.id))
+    .map((skill) => `  - "${skill.id}": ${skill.label} (${skill.standards.join(", ")})`)
+    .join("\n");
+}
+
+// How many questions of each skill a set of `count` gets: [{ skill, count }], in taxonomy order.
+// The pool is the requested `skills`, or with mix "blueprint" and no skills, every skill on the
+// topic. "even" weighs the pool equally, "blueprint" by each skill's share of the real test.
+// Questions are dealt by systematic sampling from a random start, so every skill gets its share
+// give or take one question and small sets still vary from one request to the next. Returns null
+// when the request has no skill plan (no skills, even mix).
+function planSkills({ subject, topic = "mixed", skills = null, mix = "even", count, seed = null }) {
+  if (!(skills && skills.length) && mix !== "blueprint") return null;
+  const pool = (SKILLS[subject] || []).filter((skill) =>
+    skills && skills.length ? skills.includes(skill.id) : topic === "mixed" || skill.topic === topic
+  );
+  if (!pool.length) return null;
+
+  const weights = pool.map((skill) => (mix === "blueprint" ? skill.weight : 1));
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  const step = total / count;
+  const start = createRandom(seed || newSeed()).next() * step;
+  const counts = pool.map(() => 0);
+  let index = 0;
+  let reached = weights[0];
+  for (let k = 0; k < count; k++) {
+    const point = start + k * step;
+    while (point >= reached && index < pool.length - 1) reached += weights[++index];
+    counts[index]++;
+  }
+  return pool.map((skill, i) => ({ skill: skill.id, count: counts[i] })).filter((entry) => entry.count > 0);
+}
+
+// What the page needs to draw its topic and skill pickers
+function publicTaxonomy() {
+  return Object.fromEntries(
+    Object.keys(SKILLS).map((subject) => [
+      subject,
+      {
+        topics: TOPICS[subject],
+        categories: CATEGORIES[subject].map(([id, label]) => ({
+          id,
+          label,
+          skills: SKILLS[subject].filter((skill) => skill.category === id),
+        })),
+      },
+    ])
+  );
+}
+
+module.exports = {
+  TOPICS,
+  SKILLS,
+  topicIds,
+  findSkill,
+  isSkill,
+  normalizeSkill,
+  promptList,
+  planSkills,
+  publicTaxonomy,
+};
@@ -0,0 +1,126 @@
+// netlify/lib/solver.js
+//
+// Math solver calls shared by generate-questions (answer keys and verification) and
+// check-answer (re-solving when a question has no usable key).
+//
+// All solver calls in a function instance share one limiter: SOLVER_CONCURRENCY calls at a time
+// (default 6), each given SOLVER_TIMEOUT_MS to answer (default 20 seconds).
+
+const llm = require("./llm");
+const { createLimiter } = require("./limit");
+const { parseAnswer } = require("./answers");
+const telemetry = require("./telemetry");
+
+const SYSTEM_PROMPT = "You are a careful SHSAT math solver. Always return valid JSON.";
+const DEFAULT_CONCURRENCY = 6;
+const DEFAULT_TIMEOUT_MS = 20000;
+
+const runLimited = createLimiter(Number(process.env.SOLVER_CONCURRENCY) || DEFAULT_CONCURRENCY);
+
+function solverCall(options) {
+  const timeoutMs = Number(process.env.SOLVER_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+  return runLimited(() => llm.chatJSON({ ...options, system: SYSTEM_PROMPT, timeoutMs }));
+}
+
+// Choice-blind: the model never sees the options, so it can't be steered by a distractor
+function numericPrompt(prompt) {
+  return `
+You are solving a SHSAT-style MATH question.
+
+Question:
+${prompt}
+
+Tasks:
+1. Carefully solve the math problem and compute the exact result (call it finalAnswer).
+2. DO NOT think in terms of answer choices, letters, or options. Ignore A/B/C/D completely.
+3. finalAnswer must be the actual value that correctly solves the problem.
+4. In your explanation, you may show intermediate numeric steps, but you must not refer to "option A", "choice C", etc.
+
+Important:
+- finalAnswer must be EXACT, with no units and no commas, so we can compare it to the answer choices separately:
+  - a number when the answer is an integer or a terminating decimal (e.g., 24 or 0.375),
+  - otherwise a string with a fraction, π or a square root (e.g., "1/3", "4π", "2√3"), never a rounded decimal,
+  - a string like "3:5" when the question asks for a ratio, or "x > 7" when it asks for an inequality.
+- Do NOT put "A", "B", "C", "D", "option", or "choice" into finalAnswer.
+
+Respond ONLY with JSON of this exact shape:
+
+{
+  "finalAnswer": 24,
+  "solution": "step-by-step explanation here"
+}
+`;
+}
+
+function choicePrompt(prompt, choices) {
+  return `
+You are solving a SHSAT-style math question. Choose which answer choice is correct.
+
+Question:
+${prompt}
+
+Choices:
+A) ${choices[0]}
+B) ${choices[1]}
+C) ${choices[2]}
+D) ${choices[3]}
+
+Respond ONLY with JSON of this shape:
+
+{
+  "correctIndex": 0,
+  "solution": "step-by-step explanation here"
+}
+
+Where:
+- correctIndex is 0 for A, 1 for B, 2 for C, 3 for D.
+- solution clearly explains how you got the answer.
+`;
+}
+
+// Resolves to { finalAnswer, answer, solution } or { error, details }: finalAnswer is the text
+// the solver gave ("0.375", "4π"), answer the same parsed by answers.js. Errors are the
+// llm.chatJSON codes plus "invalid_answer" when the reply has no usable answer.
+async function solveNumeric(prompt, { temperature = 0.1 } = {}) {
+  const reply = await solverCall({
+    purpose: "solve-numeric",
+    user: numericPrompt(prompt),
+    temperature,
+  });
+  if (reply.error) return reply;
+
+  const raw = reply.json.finalAnswer;
+  const answer = typeof raw === "number" || typeof raw === "string" ? parseAnswer(raw) : null;
+
+  if (!answer) {
+    console.error("Solver did not return a usable finalAnswer:", reply.json);
+    telemetry.event("unusable_final_answer", JSON.stringify(reply.json));
+    return { error: "invalid_answer", details: reply.json };
+  }
+
+  return { finalAnswer: String(raw).trim(), answer, solution: reply.json.solution || "" };
+}
+
+// Resolves to { correctIndex, solution } or { error, details }
+async function solveWithChoices(prompt, choices) {
+  const reply = await solverCall({
+    purpose: "solve-choice",
+    user: choicePrompt(prompt, choices),
+    temperature: 0.1,
+  });
+  if (reply.error) return reply;
+
+  const ci = reply.json.correctIndex;
+  if (!Number.isInteger(ci) || ci < 0 || ci >= choices.length) {
+    console.error("Solver returned invalid correctIndex:", reply.json);
+    telemetry.event("invalid_correct_index", JSON.stringify(reply.json));
+    return { error: "invalid_answer", details: reply.json };
+  }
+
+  return { correctIndex: ci, solution: reply.json.solution || "" };
+}
+
+module.exports = {
+  solveNumeric,
+  solveWithChoices,
+};
@@ -0,0 +1,52 @@
+// netlify/lib/store.js
+//
+// Tiny JSON file store for server-side data (question bank, and anything else that needs to
+// outlive a request). Files live in DATA_DIR; point it at a persistent directory when running
+// `netlify dev` or self-hosting. On hosted Netlify the default temp directory only lasts as
+// long as the function instance.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+function dataDir() {
+  return process.env.DATA_DIR || path.join(os.tmpdir(), "shsat-math-app");
+}
+
+function filePath(name) {
+  return path.join(dataDir(), `${name}.json`);
+}
+
+function readJSON(name, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath(name), "utf8"));
+  } catch (e) {
+    if (e.code !== "ENOENT") {
+      console.error(`Could not read store file "${name}":`, String(e));
+    }
+    return fallback;
+  }
+}
+
+// Write to a temp file and rename, so a crash mid-write never leaves half a file behind
+function writeJSON(name, value) {
+  fs.mkdirSync(dataDir(), { recursive: true });
+  const target = filePath(name);
+  const temp = `${target}.${process.pid}.${Date.now()}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify(value, null, 2));
+  fs.renameSync(temp, target);
+}
+
+// Read-modify-write helper; `fn` receives the current value and returns the new one
+function updateJSON(name, fallback, fn) {
+  const next = fn(readJSON(name, fallback));
+  writeJSON(name, next);
+  return next;
+}
+
+module.exports = {
+  dataDir,
+  readJSON,
+  writeJSON,
+  updateJSON,
+};
@@ -0,0 +1,224 @@
+// netlify/lib/telemetry.js
+//
+// Per-request telemetry for the functions that call the model. A request runs inside `track`,
+// and everything that happens on its behalf adds to one record: each model call (purpose, model,
+// tokens, estimated cost, latency, error), the questions requested, delivered and dropped with
+// the reason for each drop, solver checks and disagreements, and the failures that used to be
+// console lines only. The record is saved in the JSON store when the request ends (the newest
+// MAX_RECORDS are kept) and the telemetry function reports on them. Requests that did none of
+// this, like grading from a sealed key or a cached hint, aren't saved, so an exam's worth of
+// grading doesn't rewrite the log a hundred times. The record travels with the
+// request's async context, so llm.js and the generator don't have to pass it along; outside
+// `track` every call here does nothing.
+
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+const store = require("./store");
+const { costOf } = require("./budget");
+
+const LOG = "telemetry";
+const MAX_RECORDS = 500;
+// A full exam section makes a few hundred calls; past this a record only counts them
+const MAX_CALLS = 300;
+const MAX_EVENTS = 50;
+// Rejections that mean two solves of the same question disagreed
+const DISAGREEMENTS = ["numeric_solves_disagree", "choice_solve_disagrees"];
+
+const context = new AsyncLocalStorage();
+
+function current() {
+  return context.getStore() || null;
+}
+
+// Run `work` as one request of function `fn` and save its record when it settles. Resolves to
+// what `work` does; a handler response's statusCode, or an { error } result, goes in the record.
+async function track(fn, work) {
+  const record = {
+    id: crypto.randomUUID(),
+    fn,
+    at: new Date().toISOString(),
+    request: null,
+    durationMs: 0,
+    statusCode: null,
+    error: null,
+    calls: [],
+    callCount: 0,
+    generation: null,
+    counters: {},
+    events: [],
+  };
+  const started = Date.now();
+  try {
+    const result = await context.run(record, work);
+    if (result && typeof result.statusCode === "number") record.statusCode = result.statusCode;
+    if (result && typeof result.error === "string") record.error = result.error;
+    return result;
+  } catch (err) {
+    record.error = String(err);
+    throw err;
+  } finally {
+    record.durationMs = Date.now() - started;
+    save(record);
+  }
+}
+
+function save(record) {
+  if (!record.callCount && !record.generation && !record.events.length && !record.error) return;
+  try {
+    store.updateJSON(LOG, [], (records) => [...records.slice(-(MAX_RECORDS - 1)), record]);
+  } catch (err) {
+    // Telemetry is best effort; the request itself already succeeded or failed on its own
+    console.error("Could not save telemetry:", err);
+  }
+}
+
+// One model call: `usage` as the API reports it, `error` the llm.js error code if it failed
+function recordCall({ purpose, model, usage, latencyMs, error }) {
+  const record = current();
+  if (!record) return;
+  record.callCount++;
+  if (record.calls.length >= MAX_CALLS) return;
+  record.calls.push({
+    purpose,
+    model,
+    promptTokens: (usage && usage.prompt_tokens) || 0,
+    completionTokens: (usage && usage.completion_tokens) || 0,
+    costUsd: usage ? costOf(model, usage) : 0,
+    latencyMs,
+    error: error || null,
+  });
+}
+
+// Add one generateQuestions result; a request that generates more than once (a worksheet's
+// difficulty mix) adds up. `request` is a short summary of what was asked, kept from the first.
+function recordGeneration({ request, requested, delivered, fromBank = 0, fromTemplates = 0, rejected = [] }) {
+  const record = current();
+  if (!record) return;
+  if (!record.request) record.request = request;
+  const totals = record.generation || { requested: 0, delivered: 0, fromBank: 0, fromTemplates: 0, dropped: 0, shortfall: 0, reasons: {} };
+  totals.requested += requested;
+  totals.delivered += delivered;
+  totals.fromBank += fromBank;
+  totals.fromTemplates += fromTemplates;
+  totals.dropped += rejected.length;
+  totals.shortfall += Math.max(0, requested - delivered);
+  rejected.forEach(({ reason }) => {
+    totals.reasons[reason] = (totals.reasons[reason] || 0) + 1;
+  });
+  record.generation = totals;
+}
+
+// Bump a named counter, e.g. "solverChecks" or "bankSaved"
+function count(name, n = 1) {
+  const record = current();
+  if (record) record.counters[name] = (record.counters[name] || 0) + n;
+}
+
+// Something that went wrong without failing the request, e.g. a solver reply that matched no choice
+function event(kind, detail = null) {
+  const record = current();
+  if (record && record.events.length < MAX_EVENTS) record.events.push({ kind, detail: detail === null ? null : String(detail).slice(0, 500) });
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+function latency(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return { p50: percentile(sorted, 0.5), p95: percentile(sorted, 0.95) };
+}
+
+function addCall(totals, call) {
+  totals.calls++;
+  if (call.error) totals.errors++;
+  totals.promptTokens += call.promptTokens;
+  totals.completionTokens += call.completionTokens;
+  totals.costUsd += call.costUsd;
+  totals.latencies.push(call.latencyMs);
+}
+
+function emptyCallTotals() {
+  return { calls: 0, errors: 0, promptTokens: 0, completionTokens: 0, costUsd: 0, latencies: [] };
+}
+
+function finishCallTotals({ latencies, ...totals }) {
+  return { ...totals, costUsd: Math.round(totals.costUsd * 10000) / 10000, latencyMs: latency(latencies) };
+}
+
+// A summary of the requests saved since `since` (an ISO time), with the `recent` newest in full
+function report({ since, recent = 20 }) {
+  const records = store.readJSON(LOG, []).filter((record) => record.at >= since);
+  const byFunction = {};
+  const byPurpose = {};
+  const generation = { requests: 0, requested: 0, delivered: 0, fromBank: 0, fromTemplates: 0, dropped: 0, shortfall: 0, shortRequests: 0, reasons: {} };
+  const solver = { checks: 0, disagreements: 0 };
+  const questionBank = { saved: 0, duplicates: 0 };
+  const events = {};
+
+  records.forEach((record) => {
+    const fn = (byFunction[record.fn] = byFunction[record.fn] || { requests: 0, failed: 0, durations: [], ...emptyCallTotals() });
+    fn.requests++;
+    if (record.error || (record.statusCode && record.statusCode >= 400)) fn.failed++;
+    fn.durations.push(record.durationMs);
+    record.calls.forEach((call) => {
+      addCall(fn, call);
+      byPurpose[call.purpose] = byPurpose[call.purpose] || emptyCallTotals();
+      addCall(byPurpose[call.purpose], call);
+    });
+
+    const g = record.generation;
+    if (g) {
+      generation.requests++;
+      ["requested", "delivered", "fromBank", "fromTemplates", "dropped", "shortfall"].forEach((field) => {
+        generation[field] += g[field];
+      });
+      if (g.shortfall) generation.shortRequests++;
+      Object.entries(g.reasons).forEach(([reason, n]) => {
+        generation.reasons[reason] = (generation.reasons[reason] || 0) + n;
+        if (DISAGREEMENTS.includes(reason)) solver.disagreements += n;
+      });
+    }
+    solver.checks += record.counters.solverChecks || 0;
+    questionBank.saved += record.counters.bankSaved || 0;
+    questionBank.duplicates += record.counters.bankDuplicates || 0;
+    record.events.forEach(({ kind }) => {
+      events[kind] = (events[kind] || 0) + 1;
+    });
+  });
+
+  const allCalls = Object.values(byPurpose).reduce(
+    (sum, totals) => ({
+      calls: sum.calls + totals.calls,
+      errors: sum.errors + totals.errors,
+      tokens: sum.tokens + totals.promptTokens + totals.completionTokens,
+      costUsd: sum.costUsd + totals.costUsd,
+    }),
+    { calls: 0, errors: 0, tokens: 0, costUsd: 0 }
+  );
+
+  return {
+    since,
+    requests: records.length,
+    totals: { ...allCalls, costUsd: Math.round(allCalls.costUsd * 10000) / 10000 },
+    byFunction: Object.fromEntries(
+      Object.entries(byFunction).map(([name, { durations, ...totals }]) => [name, { ...finishCallTotals(totals), durationMs: latency(durations) }])
+    ),
+    byPurpose: Object.fromEntries(Object.entries(byPurpose).map(([purpose, totals]) => [purpose, finishCallTotals(totals)])),
+    generation,
+    solver: { ...solver, disagreementRate: solver.checks ? Math.round((solver.disagreements / solver.checks) * 1000) / 1000 : null },
+    questionBank,
+    events,
+    recent: records.slice(-recent).reverse(),
+  };
+}
+
+module.exports = {
+  track,
+  recordCall,
+  recordGeneration,
+  count,
+  event,
+  report,
+};
@@ -0,0 +1,162 @@
+// netlify/lib/translations.js
+//
+// Math questions side by side in another language, for English language learners; the SHSAT
+// offers its math section in the languages below. A question is translated after it has been
+// verified in English: prompt, choices and worked solution, plus a short glossary of the key
+// math terms in the prompt ("proportional", "scale factor", "constant rate"). The English stays
+// the question of record. Its answer key is sealed on the English text and grading never reads a
+// translation, so a student is graded the same way in every language. A translation whose
+// numbers don't match the English is dropped and the student sees English only. Results are
+// cached per question and language in the JSON store, so each costs one model call.
+
+const llm = require("./llm");
+const store = require("./store");
+const { createLimiter } = require("./limit");
+const telemetry = require("./telemetry");
+
+const CACHE = "translations";
+const MAX_CACHED = 4000;
+const MAX_GLOSSARY = 6;
+const LETTERS = ["A", "B", "C", "D"];
+// Calls for a 57-question section would otherwise all start at once
+const runLimited = createLimiter(4);
+
+// code -> { name, native, dir }
+const LANGUAGES = {
+  es: { name: "Spanish", native: "Español", dir: "ltr" },
+  zh: { name: "Chinese", native: "中文", dir: "ltr" },
+  bn: { name: "Bengali", native: "বাংলা", dir: "ltr" },
+  ar: { name: "Arabic", native: "العربية", dir: "rtl" },
+  ht: { name: "Haitian Creole", native: "Kreyòl ayisyen", dir: "ltr" },
+  ko: { name: "Korean", native: "한국어", dir: "ltr" },
+  pl: { name: "Polish", native: "Polski", dir: "ltr" },
+  ru: { name: "Russian", native: "Русский", dir: "ltr" },
+  ur: { name: "Urdu", native: "اردو", dir: "rtl" },
+};
+
+function isLanguage(code) {
+  return typeof code === "string" && Object.hasOwn(LANGUAGES, code);
+}
+
+// Runs of digits, sorted: "1,200.50" and "1.200,50" both give ["1", "200", "50"], so decimal
+// and thousands separators may follow the language while the numbers themselves may not change
+function digitRuns(text) {
+  return (String(text).match(/\d+/g) || []).sort();
+}
+
+function sameNumbers(english, translated) {
+  return typeof translated === "string" && translated.trim() !== "" && digitRuns(english).join() === digitRuns(translated).join();
+}
+
+function translatePrompt(q, language) {
+  const { name } = LANGUAGES[language];
+  const choiceBlock = q.choices ? `\nChoices:\n${q.choices.map((c, i) => `${LETTERS[i]}) ${c}`).join("\n")}\n` : "";
+  const solutionBlock = q.solution ? `\nWorked solution:\n${q.solution}\n` : "";
+  return `
+Translate this SHSAT math question from English into ${name} for a student who is still learning English.
+The student sees your translation next to the English, so keep it faithful: the same meaning in the
+same order, with nothing added, left out or explained.
+
+Rules:
+- Keep every number, variable, unit symbol and math expression exactly as in the English, written with
+  the digits 0-9. Never spell a number out in words or turn a word into a number.
+- Translate the choices one for one, in the same order.${q.choices ? "" : " (This question has no choices.)"}
+- Glossary: up to ${MAX_GLOSSARY} key math terms from the question, such as "proportional",
+  "scale factor" or "constant rate", each written exactly as it appears in the English, with its
+  ${name} translation and a one-sentence explanation in ${name}. Leave out everyday words.
+
+Question:
+${q.prompt}
+${choiceBlock}${solutionBlock}
+Respond ONLY with JSON of this exact shape:
+{
+  "prompt": "the question in ${name}",
+  "choices": ["A in ${name}", "B", "C", "D"],
+  "solution": "the worked solution in ${name}",
+  "glossary": [{ "term": "constant rate", "translation": "...", "explanation": "..." }]
+}
+`;
+}
+
+// Keep only what checks out against the English. The prompt and choices must all pass or there
+// is no translation; a solution or glossary entry that doesn't is simply left out.
+function checkTranslation(q, reply) {
+  if (!reply || !sameNumbers(q.prompt, reply.prompt)) return null;
+  let choices = null;
+  if (q.choices) {
+    const usable =
+      Array.isArray(reply.choices) &&
+      reply.choices.length === q.choices.length &&
+      reply.choices.every((choice, i) => sameNumbers(q.choices[i], choice));
+    if (!usable) return null;
+    choices = reply.choices.map((choice) => choice.trim());
+  }
+  const english = q.prompt.toLowerCase();
+  const glossary = (Array.isArray(reply.glossary) ? reply.glossary : [])
+    .filter((entry) => entry && typeof entry.term === "string" && english.includes(entry.term.trim().toLowerCase()))
+    .filter((entry) => typeof entry.translation === "string" && entry.translation.trim())
+    .slice(0, MAX_GLOSSARY)
+    .map((entry) => ({
+      term: entry.term.trim(),
+      translation: entry.translation.trim(),
+      explanation: typeof entry.explanation === "string" ? entry.explanation.trim() : "",
+    }));
+  return {
+    prompt: reply.prompt.trim(),
+    choices,
+    solution: q.solution && sameNumbers(q.solution, reply.solution) ? reply.solution.trim() : null,
+    glossary,
+  };
+}
+
+function cached(id) {
+  const entries = store.readJSON(CACHE, {});
+  return Object.hasOwn(entries, id) ? entries[id] : undefined;
+}
+
+function remember(id, entry) {
+  store.updateJSON(CACHE, {}, (entries) => {
+    const kept = Object.keys(entries).filter((k) => k !== id).slice(-(MAX_CACHED - 1));
+    return { ...Object.fromEntries(kept.map((k) => [k, entries[k]])), [id]: entry };
+  });
+}
+
+// `q` in `language`: { prompt, choices | null, solution | null, glossary: [{ term, translation,
+// explanation }] }, or null when there is none to offer. `q` is a verified math question with its
+// key still in the clear (see generator.js) and `id` its question id. Never rejects.
+async function translateQuestion(q, id, language) {
+  const cacheId = `${id}:${language}`;
+  try {
+    const hit = cached(cacheId);
+    if (hit !== undefined) return hit;
+    if (llm.configError()) return null;
+
+    const reply = await runLimited(() =>
+      llm.chatJSON({
+        purpose: "translate",
+        system: "You translate SHSAT math questions for English language learners. Always return valid JSON and follow the requested schema exactly.",
+        user: translatePrompt(q, language),
+        temperature: 0.2,
+      })
+    );
+    // A failed call isn't cached, so the next request tries the model again
+    if (reply.error) return null;
+
+    const translation = checkTranslation(q, reply.json);
+    if (!translation) {
+      console.error(`Unusable ${language} translation:`, reply.json);
+      telemetry.event("unusable_translation", language);
+    }
+    remember(cacheId, translation);
+    return translation;
+  } catch (err) {
+    console.error("Could not translate question:", err);
+    return null;
+  }
+}
+
+module.exports = {
+  LANGUAGES,
+  isLanguage,
+  translateQuestion,
+};
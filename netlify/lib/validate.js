@@ -0,0 +1,98 @@
+// netlify/lib/validate.js
+//
+// Request-body checks for the functions. A schema maps each field to a rule:
+//   { type: "string" | "integer" | "number" | "boolean" | "array" | "object",
+//     required, nullable, oneOf, min, max, maxLength, pattern, minItems, maxItems, items, fields }
+// `items` is the rule for every array element and `fields` the schema of a nested object (an
+// object rule without `fields` takes any keys). validate() returns one readable sentence per
+// bad field, using the field's path ("question.choices[2] must be a string"). Fields a schema
+// doesn't list are reported too, so a misspelled option fails loudly instead of quietly
+// falling back to a default.
+
+function describeType(rule) {
+  return rule.type === "integer" ? "a whole number" : rule.type === "array" || rule.type === "object" ? `an ${rule.type}` : `a ${rule.type}`;
+}
+
+function hasType(value, type) {
+  switch (type) {
+    case "string":
+      return typeof value === "string";
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "boolean":
+      return typeof value === "boolean";
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return !!value && typeof value === "object" && !Array.isArray(value);
+    default:
+      return true;
+  }
+}
+
+function checkValue(value, rule, path, problems) {
+  if (value === null && rule.nullable) return;
+  if (!hasType(value, rule.type)) {
+    problems.push(`${path} must be ${describeType(rule)}`);
+    return;
+  }
+  if (rule.oneOf && !rule.oneOf.includes(value)) {
+    problems.push(`${path} must be one of ${rule.oneOf.map((v) => JSON.stringify(v)).join(", ")}`);
+    return;
+  }
+  if (rule.min !== undefined && value < rule.min) problems.push(`${path} must be at least ${rule.min}`);
+  if (rule.max !== undefined && value > rule.max) problems.push(`${path} must be at most ${rule.max}`);
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    problems.push(`${path} must be at most ${rule.maxLength} characters`);
+  }
+  if (rule.pattern && !rule.pattern.test(value)) problems.push(`${path} has an invalid format`);
+  if (rule.type === "array") {
+    if (rule.minItems !== undefined && value.length < rule.minItems) problems.push(`${path} must have at least ${rule.minItems} item(s)`);
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      problems.push(`${path} must have at most ${rule.maxItems} item(s)`);
+      return;
+    }
+    if (rule.items) value.forEach((item, i) => checkValue(item, rule.items, `${path}[${i}]`, problems));
+  }
+  if (rule.type === "object" && rule.fields) {
+    checkFields(value, rule.fields, `${path}.`, problems);
+  }
+}
+
+function checkFields(body, schema, prefix, problems) {
+  Object.keys(body).forEach((name) => {
+    if (!Object.hasOwn(schema, name)) problems.push(`${prefix}${name} is not a recognized field`);
+  });
+  Object.entries(schema).forEach(([name, rule]) => {
+    const value = body[name];
+    if (value === undefined) {
+      if (rule.required) problems.push(`${prefix}${name} is required`);
+      return;
+    }
+    checkValue(value, rule, `${prefix}${name}`, problems);
+  });
+}
+
+// Problems with `body` against `schema`; an empty list means it passed
+function validate(body, schema) {
+  if (!hasType(body, "object")) return ["request body must be a JSON object"];
+  const problems = [];
+  checkFields(body, schema, "", problems);
+  return problems;
+}
+
+// Parse an event's JSON body: { body } or { problems } when it isn't JSON
+function parseBody(text) {
+  try {
+    return { body: JSON.parse(text || "{}") };
+  } catch (err) {
+    return { problems: ["request body must be valid JSON"] };
+  }
+}
+
+module.exports = {
+  validate,
+  parseBody,
+};
@@ -0,0 +1,486 @@
+// netlify/lib/worksheets.js
+//
+// Teacher worksheets: a fixed set of questions a teacher builds once and shares by code.
+// Students open it by code, answer, and submit; grading happens here against keys that never
+// leave the server. Each student submits once, and sees only which answers were right until
+// the teacher releases the keys and solutions. The teacher gets a gradebook (one submission per
+// student) and an item analysis per question. There are no accounts: creating a worksheet
+// returns a teacher key, and only a matching key can read its gradebook or release its answers.
+//   worksheet   { code, title, subject, format, settings, questions, passages, teacherKeyHash, createdAt,
+//                 releasedAt }
+//   submission  { id, code, student, studentKey, answers [{ questionId, response, isCorrect }],
+//                 score, total, timeSpentMs, submittedAt }
+
+const crypto = require("crypto");
+const store = require("./store");
+const bank = require("./question-bank");
+const { TOPICS, DIFFICULTIES, parseRequest, generateQuestions } = require("./generator");
+const { openAnswerKey, hasAnswer } = require("./answer-key");
+const { newSeed } = require("./random");
+const { parseAnswer, sameAnswer } = require("./answers");
+const { describe } = require("./misconceptions");
+const { validate } = require("./validate");
+
+const WORKSHEETS = "worksheets";
+const SUBMISSIONS = "worksheet-submissions";
+// No 0/O or 1/I/L, so a code read off a whiteboard can't be mistyped
+const CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 6;
+const MAX_QUESTIONS = 60;
+const MAX_NAME = 60;
+// A worksheet stops taking submissions after this many, and the store keeps the newest overall
+const MAX_SUBMISSIONS_PER_WORKSHEET = 300;
+const MAX_SUBMISSIONS = 20000;
+// Where a worksheet's questions come from: the bank only, or anything generateQuestions accepts
+const SOURCES = ["auto", "bank", "llm", "template"];
+
+const COUNT_RULE = { type: "integer", min: 0, max: MAX_QUESTIONS };
+const CREATE_SCHEMA = {
+  action: { type: "string" },
+  title: { type: "string", maxLength: 80 },
+  subject: { type: "string", oneOf: ["math", "ela"] },
+  topics: { type: "array", maxItems: 10, items: { type: "string", maxLength: 40 } },
+  mix: { type: "object", required: true, fields: { easy: COUNT_RULE, medium: COUNT_RULE, hard: COUNT_RULE } },
+  format: { type: "string", oneOf: ["multiple-choice", "grid-in"] },
+  source: { type: "string", oneOf: SOURCES },
+  seed: { type: "string", nullable: true, maxLength: 64 },
+};
+const SUBMIT_SCHEMA = {
+  action: { type: "string" },
+  code: { type: "string", required: true, maxLength: 12 },
+  student: { type: "string", required: true, maxLength: MAX_NAME },
+  // { questionId: choice index or grid-in text }; each value is checked in submitWorksheet
+  responses: { type: "object", required: true },
+  timeSpentMs: { type: "number", nullable: true, min: 0 },
+};
+
+function loadWorksheets() {
+  return store.readJSON(WORKSHEETS, []);
+}
+
+function loadSubmissions() {
+  return store.readJSON(SUBMISSIONS, []);
+}
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex");
+}
+
+function newCode(taken) {
+  for (;;) {
+    const code = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join("");
+    if (!taken.has(code)) return code;
+  }
+}
+
+function normalizeCode(code) {
+  return String(code || "").trim().toUpperCase();
+}
+
+// Student names are matched loosely, so "Ana " and "ana" are the same student
+function studentKey(name) {
+  return name.trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+// ---------------------------------------------------------------------
+// Building
+// ---------------------------------------------------------------------
+
+// Check a create request: { title, subject, topics, mix: { easy, medium, hard }, format,
+// source, seed }. Returns { options } with defaults filled in, or { problems }.
+function parseCreateRequest(body) {
+  const problems = validate(body, CREATE_SCHEMA);
+  if (problems.length) return { problems };
+
+  const subject = body.subject || "math";
+  const topics = [...new Set(body.topics || [])];
+  topics
+    .filter((topic) => !TOPICS[subject].includes(topic))
+    .forEach((topic) => problems.push(`topic "${topic}" is not one of ${TOPICS[subject].join(", ")} for ${subject}`));
+  const mix = {};
+  DIFFICULTIES.forEach((level) => {
+    mix[level] = body.mix[level] || 0;
+  });
+  const total = DIFFICULTIES.reduce((sum, level) => sum + mix[level], 0);
+  if (total < 1) problems.push("ask for at least one question");
+  if (total > MAX_QUESTIONS) problems.push(`a worksheet can have at most ${MAX_QUESTIONS} questions`);
+  if (body.format === "grid-in" && subject !== "math") problems.push("grid-in questions are only available for math");
+  if (body.source === "template" && subject !== "math") problems.push("template questions are only available for math");
+
+  if (problems.length) return { problems };
+  return {
+    options: {
+      title: (body.title || "").trim() || "Worksheet",
+      subject,
+      topics: topics.length ? topics : ["mixed"],
+      mix,
+      format: body.format || "multiple-choice",
+      source: body.source || "auto",
+      // One seed for the whole worksheet, so its template questions can be rebuilt
+      seed: body.seed || newSeed(),
+    },
+  };
+}
+
+// Each difficulty's count shared out across the topics, e.g. 5 medium over 2 topics is 3 + 2
+function planParts({ topics, mix }) {
+  const parts = [];
+  DIFFICULTIES.forEach((difficulty) => {
+    topics.forEach((topic, i) => {
+      const count = Math.floor(mix[difficulty] / topics.length) + (i < mix[difficulty] % topics.length ? 1 : 0);
+      if (count) parts.push({ topic, difficulty, count });
+    });
+  });
+  return parts;
+}
+
+// Questions for one part with their keys in the clear and `passage` attached. Bank picks skip
+// ids in `taken`, so topics that overlap don't draw the same question twice.
+async function buildPart({ subject, format, source, seed }, part, taken) {
+  if (source === "bank") {
+    const picked = bank.selectQuestions({ subject, format, ...part, excludeIds: [...taken] });
+    picked.forEach((q) => taken.add(q.id));
+    return { questions: picked, rejected: [] };
+  }
+
+  // Each part gets its own template stream; one shared seed would deal the same questions twice
+  const partSeed = `${seed}:${part.topic}:${part.difficulty}`;
+  const result = await generateQuestions(parseRequest({ subject, format, source, seed: partSeed, ...part }));
+  if (result.error) return result;
+
+  // generateQuestions seals every key for the browser; worksheets keep them here instead
+  const passages = new Map(result.passages.map((p) => [p.id, p]));
+  const questions = [];
+  result.questions.forEach((q) => {
+    const key = openAnswerKey(q.answerKey, q);
+    // An unkeyed reading item could only be graded by re-solving; leave it out
+    if (!hasAnswer(key)) return;
+    const { answerKey, passageId, ...rest } = q;
+    questions.push({ ...rest, ...key, passage: passageId ? passages.get(passageId) : undefined });
+  });
+  return { questions, rejected: result.rejected };
+}
+
+// Stored form of a question: what the student sees plus its key
+function toStoredQuestion(q) {
+  const stored = {
+    id: q.id || bank.questionId(q),
+    subject: q.subject,
+    topic: q.topic,
+    difficulty: q.difficulty,
+    format: q.format === "grid-in" ? "grid-in" : "multiple-choice",
+    prompt: q.prompt,
+    solution: q.solution || "",
+  };
+  if (q.skill) stored.skill = q.skill;
+  if (q.passage) stored.passageId = q.passage.id;
+  if (q.figure) stored.figure = q.figure;
+  if (stored.format === "grid-in") {
+    stored.correctAnswer = String(q.correctAnswer);
+  } else {
+    stored.choices = q.choices;
+    stored.correctIndex = q.correctIndex;
+    if (q.misconceptions) stored.misconceptions = q.misconceptions;
+  }
+  return stored;
+}
+
+// Build and save a worksheet. Resolves to { worksheet, teacherKey, rejected }, { problems } when
+// nothing matched, or { error, details } when generation failed.
+async function createWorksheet(options) {
+  const taken = new Set();
+  const results = await Promise.all(planParts(options).map((part) => buildPart(options, part, taken)));
+
+  const failed = results.find((r) => r.error);
+  const questions = [];
+  const passages = [];
+  const seen = new Set();
+  results.forEach((r) => {
+    (r.questions || []).forEach((q) => {
+      const stored = toStoredQuestion(q);
+      if (seen.has(stored.id)) return;
+      seen.add(stored.id);
+      questions.push(stored);
+      if (q.passage && !passages.some((p) => p.id === q.passage.id)) passages.push(q.passage);
+    });
+  });
+  // Keep each passage's questions together, so worksheet numbers match what students see
+  const order = [...new Set(questions.map((q) => q.passageId || q.id))];
+  questions.sort((a, b) => order.indexOf(a.passageId || a.id) - order.indexOf(b.passageId || b.id));
+
+  if (failed && !questions.length) {
+    return { error: failed.error, details: failed.details };
+  }
+  if (!questions.length) {
+    return { problems: ["no questions matched those settings"] };
+  }
+
+  const teacherKey = crypto.randomBytes(18).toString("base64url");
+  let worksheet;
+  store.updateJSON(WORKSHEETS, [], (worksheets) => {
+    worksheet = {
+      code: newCode(new Set(worksheets.map((w) => w.code))),
+      title: options.title,
+      subject: options.subject,
+      format: options.format,
+      settings: { topics: options.topics, mix: options.mix, source: options.source, seed: options.seed },
+      questions,
+      passages,
+      teacherKeyHash: hashKey(teacherKey),
+      createdAt: new Date().toISOString(),
+    };
+    return [...worksheets, worksheet];
+  });
+
+  return { worksheet: summarize(worksheet), teacherKey, rejected: results.flatMap((r) => r.rejected || []) };
+}
+
+// ---------------------------------------------------------------------
+// Taking and grading
+// ---------------------------------------------------------------------
+
+function getWorksheet(code) {
+  const wanted = normalizeCode(code);
+  return loadWorksheets().find((w) => w.code === wanted) || null;
+}
+
+function summarize(worksheet) {
+  return {
+    code: worksheet.code,
+    title: worksheet.title,
+    subject: worksheet.subject,
+    questionCount: worksheet.questions.length,
+    createdAt: worksheet.createdAt,
+    releasedAt: worksheet.releasedAt || null,
+  };
+}
+
+// What a student's browser gets: the questions without keys
+function studentView(worksheet) {
+  return {
+    ...summarize(worksheet),
+    questions: worksheet.questions.map(({ correctIndex, correctAnswer, solution, misconceptions, ...visible }) => visible),
+    passages: worksheet.passages,
+  };
+}
+
+function gradeOne(q, response) {
+  if (response === null || response === undefined || response === "") {
+    return { questionId: q.id, response: null, isCorrect: false };
+  }
+  if (q.format === "grid-in") {
+    const answer = parseAnswer(String(response), { strict: true });
+    return { questionId: q.id, response: String(response).slice(0, 20), isCorrect: !!answer && sameAnswer(answer, parseAnswer(q.correctAnswer)) };
+  }
+  const index = Number(response);
+  if (!Number.isInteger(index) || index < 0 || index >= q.choices.length) {
+    return { questionId: q.id, response: null, isCorrect: false };
+  }
+  return { questionId: q.id, response: index, isCorrect: index === q.correctIndex };
+}
+
+// The key and solution for one question, as a submit result or the released answers carry them
+function questionKey(q) {
+  return q.format === "grid-in"
+    ? { correctAnswer: q.correctAnswer, solution: q.solution }
+    : { correctIndex: q.correctIndex, solution: q.solution };
+}
+
+// Grade and record one student's answers: { code, student, responses: { questionId: index or
+// grid-in text }, timeSpentMs }. Returns { submission, results, released }, { conflict } when
+// the student already submitted or the worksheet is full, or { problems }. Results carry the
+// keys, solutions and misconceptions only once the teacher has released the answers.
+function submitWorksheet(body) {
+  const problems = validate(body, SUBMIT_SCHEMA);
+  if (problems.length) return { problems };
+  const { code, student, responses: given, timeSpentMs } = body;
+
+  const worksheet = getWorksheet(code);
+  if (!worksheet) return { problems: ["unknown worksheet code"] };
+  const name = student.trim();
+  if (!name) return { problems: ["enter your name before submitting"] };
+  const ids = new Set(worksheet.questions.map((q) => q.id));
+  Object.entries(given).forEach(([id, value]) => {
+    if (!ids.has(id)) {
+      problems.push(`responses.${id} is not a question on this worksheet`);
+    } else if (!Number.isInteger(value) && !(typeof value === "string" && value.length <= 20)) {
+      problems.push(`responses.${id} must be a choice index or a grid-in answer of at most 20 characters`);
+    }
+  });
+  if (problems.length) return { problems };
+
+  const answers = worksheet.questions.map((q) => gradeOne(q, Object.hasOwn(given, q.id) ? given[q.id] : null));
+  const submission = {
+    id: crypto.randomUUID(),
+    code: worksheet.code,
+    student: name,
+    studentKey: studentKey(name),
+    answers,
+    score: answers.filter((a) => a.isCorrect).length,
+    total: answers.length,
+    timeSpentMs: timeSpentMs === undefined ? null : timeSpentMs,
+    submittedAt: new Date().toISOString(),
+  };
+  // Only the first submission counts, so a student can't retry with the keys in hand or
+  // replace a classmate's work by typing their name
+  let conflict = null;
+  store.updateJSON(SUBMISSIONS, [], (submissions) => {
+    const earlier = submissions.filter((s) => s.code === worksheet.code);
+    if (earlier.some((s) => s.studentKey === submission.studentKey)) {
+      conflict = `${name} has already submitted this worksheet`;
+    } else if (earlier.length >= MAX_SUBMISSIONS_PER_WORKSHEET) {
+      conflict = "this worksheet is not taking more submissions";
+    }
+    return conflict ? submissions : [...submissions.slice(-(MAX_SUBMISSIONS - 1)), submission];
+  });
+  if (conflict) return { conflict };
+
+  const released = !!worksheet.releasedAt;
+  const results = worksheet.questions.map((q, i) => {
+    const answer = answers[i];
+    const result = { questionId: q.id, isCorrect: answer.isCorrect };
+    if (!released) return result;
+    Object.assign(result, questionKey(q));
+    const picked = q.format !== "grid-in" && !answer.isCorrect && answer.response !== null ? q.misconceptions?.[answer.response] : null;
+    if (picked) result.misconception = { tag: picked.tag, label: describe(q.subject, picked.tag), rationale: picked.rationale };
+    return result;
+  });
+  return { submission, results, released };
+}
+
+// The keys and solutions for students, once released: { code, keys: [{ questionId, ... }] } in
+// worksheet order. { problems } before then, or null for an unknown code.
+function releasedAnswers(code) {
+  const worksheet = getWorksheet(code);
+  if (!worksheet) return null;
+  if (!worksheet.releasedAt) return { problems: ["your teacher hasn't released the answers yet"] };
+  return { code: worksheet.code, keys: worksheet.questions.map((q) => ({ questionId: q.id, ...questionKey(q) })) };
+}
+
+// ---------------------------------------------------------------------
+// Gradebook
+// ---------------------------------------------------------------------
+
+function isTeacher(worksheet, teacherKey) {
+  if (!worksheet || !teacherKey) return false;
+  const given = Buffer.from(hashKey(teacherKey));
+  const expected = Buffer.from(worksheet.teacherKeyHash);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Percent correct and the most common wrong answer for each question, over `submissions`
+function itemAnalysis(worksheet, submissions) {
+  return worksheet.questions.map((q, i) => {
+    const answers = submissions.map((s) => s.answers.find((a) => a.questionId === q.id)).filter(Boolean);
+    const answered = answers.filter((a) => a.response !== null);
+    const correct = answers.filter((a) => a.isCorrect).length;
+    const item = {
+      number: i + 1,
+      questionId: q.id,
+      prompt: q.prompt,
+      topic: q.topic,
+      skill: q.skill || null,
+      difficulty: q.difficulty,
+      format: q.format,
+      students: answers.length,
+      answered: answered.length,
+      correct,
+      percentCorrect: answers.length ? correct / answers.length : null,
+      topDistractor: null,
+    };
+
+    // Wrong answers by what was picked (or typed), most common first
+    const wrong = new Map();
+    answered.filter((a) => !a.isCorrect).forEach((a) => {
+      const key = q.format === "grid-in" ? String(a.response) : a.response;
+      wrong.set(key, (wrong.get(key) || 0) + 1);
+    });
+    if (q.format !== "grid-in") {
+      item.choiceCounts = q.choices.map((_, c) => answered.filter((a) => a.response === c).length);
+      item.correctIndex = q.correctIndex;
+    }
+    const [top] = [...wrong.entries()].sort((a, b) => b[1] - a[1]);
+    if (top) {
+      const [response, count] = top;
+      item.topDistractor = q.format === "grid-in"
+        ? { response, count }
+        : {
+            index: response,
+            choice: q.choices[response],
+            count,
+            misconception: q.misconceptions?.[response] ? describe(q.subject, q.misconceptions[response].tag) : null,
+          };
+    }
+    return item;
+  });
+}
+
+// { worksheet, students, items } for a teacher, or null when the code or key is wrong
+function gradebook(code, teacherKey) {
+  const worksheet = getWorksheet(code);
+  if (!isTeacher(worksheet, teacherKey)) return null;
+
+  // Submissions from before the one-per-student rule may repeat a student; their first counts
+  const byStudent = new Map();
+  loadSubmissions()
+    .filter((s) => s.code === worksheet.code)
+    .forEach((s) => {
+      if (!byStudent.has(s.studentKey)) byStudent.set(s.studentKey, s);
+    });
+  const first = [...byStudent.values()];
+
+  const students = first
+    .map((s) => ({
+      student: s.student,
+      score: s.score,
+      total: s.total,
+      percent: s.total ? s.score / s.total : null,
+      timeSpentMs: s.timeSpentMs,
+      submittedAt: s.submittedAt,
+      // One entry per question, in worksheet order: true, false, or null when left blank
+      answers: worksheet.questions.map((q) => {
+        const a = s.answers.find((x) => x.questionId === q.id);
+        return !a || a.response === null ? null : a.isCorrect;
+      }),
+    }))
+    .sort((a, b) => a.student.localeCompare(b.student));
+
+  return { worksheet: summarize(worksheet), students, items: itemAnalysis(worksheet, first) };
+}
+
+// Let students see the keys and solutions. Returns the worksheet summary, or null when the code
+// or key is wrong. Releasing again keeps the first release time.
+function releaseAnswers(code, teacherKey) {
+  const worksheet = getWorksheet(code);
+  if (!isTeacher(worksheet, teacherKey)) return null;
+  let released;
+  store.updateJSON(WORKSHEETS, [], (worksheets) =>
+    worksheets.map((w) => {
+      if (w.code !== worksheet.code) return w;
+      released = { ...w, releasedAt: w.releasedAt || new Date().toISOString() };
+      return released;
+    })
+  );
+  return summarize(released);
+}
+
+// A worksheet with its key, for the printed teacher copy: the student view plus one
+// { correctIndex | correctAnswer, solution } per question. Null when the code or key is wrong.
+function teacherCopy(code, teacherKey) {
+  const worksheet = getWorksheet(code);
+  if (!isTeacher(worksheet, teacherKey)) return null;
+  const keys = worksheet.questions.map(questionKey);
+  return { ...studentView(worksheet), keys };
+}
+
+module.exports = {
+  parseCreateRequest,
+  createWorksheet,
+  getWorksheet,
+  studentView,
+  submitWorksheet,
+  releasedAnswers,
+  gradebook,
+  releaseAnswers,
+  teacherCopy,
+};
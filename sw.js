@@ -0,0 +1,86 @@
+// sw.js
+//
+// Service worker for the installed app. The page and its scripts are cached when it installs,
+// so the app opens with no connection, and each visit refreshes them in the background; a new
+// VERSION drops the old cache. Function calls go to the network, except the two GETs a student
+// may need offline (the skill list and an opened worksheet), which fall back to their last good
+// reply. Offline questions and grading come from downloaded packs (see js/offline.js), not from here.
+
+const VERSION = "shsat-v1";
+const SHELL = [
+  "./",
+  "index.html",
+  "manifest.webmanifest",
+  "icon.svg",
+  "js/progress-store.js",
+  "js/review-queue.js",
+  "js/adaptive.js",
+  "js/math-render.js",
+  "js/figure-render.js",
+  "js/print-sheet.js",
+  "js/offline.js",
+];
+const FUNCTIONS = "/.netlify/functions/";
+const CACHED_FUNCTIONS = ["skills", "worksheets"];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(VERSION)
+      .then((cache) => cache.addAll(SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== VERSION).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// The cached copy straight away, refreshed from the network for next time
+async function staleWhileRevalidate(event) {
+  const cache = await caches.open(VERSION);
+  // "?worksheet=ABC123" links open the same page
+  const cached = await cache.match(event.request, { ignoreSearch: event.request.mode === "navigate" });
+  const refresh = fetch(event.request).then((res) => {
+    if (res.ok) cache.put(event.request, res.clone());
+    return res;
+  });
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+}
+
+async function networkFirst(request) {
+  const cache = await caches.open(VERSION);
+  try {
+    const res = await fetch(request);
+    if (res.ok) cache.put(request, res.clone());
+    return res;
+  } catch (err) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  // Answers, grading and everything else that sends data always goes to the server
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+
+  if (url.pathname.startsWith(FUNCTIONS)) {
+    const name = url.pathname.slice(FUNCTIONS.length);
+    // Teacher views (worksheets?view=...) are never kept on a student's device
+    if (CACHED_FUNCTIONS.includes(name) && !url.searchParams.has("view")) event.respondWith(networkFirst(request));
+    return;
+  }
+  event.respondWith(staleWhileRevalidate(event));
+});